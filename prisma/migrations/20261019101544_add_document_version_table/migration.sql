@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "document_version" (
+    "id" UUID NOT NULL,
+    "document_id" UUID NOT NULL,
+    "version" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "authors" UUID[],
+    "size" INTEGER NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "document_version_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "document_version_document_id_idx" ON "document_version"("document_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_version_document_id_version_key" ON "document_version"("document_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "document_version" ADD CONSTRAINT "document_version_document_id_fkey" FOREIGN KEY ("document_id") REFERENCES "document_data"("id") ON DELETE CASCADE ON UPDATE CASCADE;
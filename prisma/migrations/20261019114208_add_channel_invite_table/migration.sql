@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "channel_invite" (
+    "id" UUID NOT NULL,
+    "channel_id" UUID NOT NULL,
+    "code" TEXT,
+    "invitee_id" UUID,
+    "created_by" UUID NOT NULL,
+    "max_uses" INTEGER,
+    "use_count" INTEGER NOT NULL DEFAULT 0,
+    "expires_at" TIMESTAMPTZ(6),
+    "status" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "channel_invite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "channel_invite_code_key" ON "channel_invite"("code");
+
+-- CreateIndex
+CREATE INDEX "channel_invite_channel_id_idx" ON "channel_invite"("channel_id");
+
+-- CreateIndex
+CREATE INDEX "channel_invite_invitee_id_idx" ON "channel_invite"("invitee_id");
+
+-- CreateIndex
+CREATE INDEX "channel_invite_status_idx" ON "channel_invite"("status");
+
+-- AddForeignKey
+ALTER TABLE "channel_invite" ADD CONSTRAINT "channel_invite_channel_id_fkey" FOREIGN KEY ("channel_id") REFERENCES "channel_data"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "channel_invite" ADD CONSTRAINT "channel_invite_invitee_id_fkey" FOREIGN KEY ("invitee_id") REFERENCES "user_data"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "channel_invite" ADD CONSTRAINT "channel_invite_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "user_data"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "channel_member" ALTER COLUMN "permission" SET DEFAULT 2;
+
+-- Migrate existing members (1, read-only) to viewer role (4)
+UPDATE "channel_member" SET "permission" = 4 WHERE "permission" = 1;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "document_data" ADD COLUMN     "acl" JSONB;
@@ -0,0 +1,18 @@
+-- DropIndex
+DROP INDEX "document_data_channel_id_parent_id_dir_name_key";
+
+-- AlterTable
+ALTER TABLE "document_data" ADD COLUMN     "deleted_at" TIMESTAMPTZ(6),
+ADD COLUMN     "deleted_by" UUID;
+
+-- Backfill deleted_at for documents deleted before the trash existed
+UPDATE "document_data" SET "deleted_at" = "updated_at" WHERE "status" = 1;
+
+-- CreateIndex
+CREATE INDEX "document_data_channel_id_parent_id_dir_name_idx" ON "document_data"("channel_id", "parent_id", "dir", "name");
+
+-- CreateIndex
+CREATE INDEX "document_data_deleted_at_idx" ON "document_data"("deleted_at");
+
+-- Only non-deleted documents must have a unique path (not expressible in schema.prisma)
+CREATE UNIQUE INDEX "document_data_active_path_key" ON "document_data"("channel_id", "parent_id", "dir", "name") WHERE "status" = 0;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "document_data" ADD COLUMN     "deleted_with" UUID;
+
+-- CreateIndex
+CREATE INDEX "document_data_deleted_with_idx" ON "document_data"("deleted_with");
+
+-- Move items left active under already deleted folders into the trash together with the folder
+WITH RECURSIVE "orphaned" AS (
+    SELECT c."id", p."id" AS "root_id", p."deleted_at", p."deleted_by"
+    FROM "document_data" c
+    JOIN "document_data" p ON c."parent_id" = p."id"
+    WHERE p."status" = 1 AND c."status" = 0
+  UNION ALL
+    SELECT c."id", o."root_id", o."deleted_at", o."deleted_by"
+    FROM "document_data" c
+    JOIN "orphaned" o ON c."parent_id" = o."id"
+    WHERE c."status" = 0
+)
+UPDATE "document_data" d
+SET "status" = 1, "deleted_at" = o."deleted_at", "deleted_by" = o."deleted_by", "deleted_with" = o."root_id"
+FROM "orphaned" o
+WHERE d."id" = o."id";
+
+UPDATE "document_data" SET "deleted_with" = "id"
+WHERE "status" = 1 AND "id" IN (SELECT DISTINCT "deleted_with" FROM "document_data" WHERE "deleted_with" IS NOT NULL);
@@ -0,0 +1,11 @@
+-- Trigram indexes for searchDocs (ILIKE '%query%' on names, folder names and contents)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "document_data_name_trgm_idx" ON "document_data" USING GIN ("name" gin_trgm_ops) WHERE "status" = 0;
+
+-- CreateIndex
+CREATE INDEX "document_data_dir_trgm_idx" ON "document_data" USING GIN ("dir" gin_trgm_ops) WHERE "status" = 0 AND "name" = '.option';
+
+-- CreateIndex
+CREATE INDEX "document_data_content_trgm_idx" ON "document_data" USING GIN ("content" gin_trgm_ops) WHERE "status" = 0;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "user_identity" (
+    "id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "provider" TEXT NOT NULL,
+    "provider_id" TEXT NOT NULL,
+    "email" TEXT,
+    "password_hash" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_login_at" TIMESTAMPTZ(6),
+
+    CONSTRAINT "user_identity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_identity_provider_provider_id_key" ON "user_identity"("provider", "provider_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_identity_user_id_provider_key" ON "user_identity"("user_id", "provider");
+
+-- AddForeignKey
+ALTER TABLE "user_identity" ADD CONSTRAINT "user_identity_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "user_data"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing users get their current provider account as the first identity
+INSERT INTO "user_identity" ("id", "user_id", "provider", "provider_id", "email", "created_at")
+SELECT gen_random_uuid(), "id", "provider", "provider_id", "email", "created_at" FROM "user_data";
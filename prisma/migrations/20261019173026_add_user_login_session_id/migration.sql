@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "user_login" ADD COLUMN "session_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "user_login_session_id_idx" ON "user_login"("session_id");
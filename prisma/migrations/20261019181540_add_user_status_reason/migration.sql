@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "user_data" ADD COLUMN "status_reason" TEXT,
+ADD COLUMN "status_changed_at" TIMESTAMPTZ(6);
+
+-- CreateIndex
+CREATE INDEX "user_data_status_idx" ON "user_data"("status");
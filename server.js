@@ -5,8 +5,9 @@ const jwt = require("jsonwebtoken");
 const http = require("http");
 const WebSocket = require("ws");
 const cors = require("cors");
+const { AsyncLocalStorage } = require("async_hooks");
 const { createClient } = require("redis");
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 
 const app = express();
 
@@ -20,8 +21,8 @@ function logError(context, error) {
 }
 
 // 하위 항목들의 depth를 재귀적으로 업데이트 (폴더 이동 시)
-// parentId를 기준으로 자식을 찾고 depth만 변경
-async function updateChildrenDepthRecursive(tx, channelId, parentId, depthDelta, updatedList) {
+// parentId를 기준으로 자식을 찾고 depth를 부모 depth + 1로 변경
+async function updateChildrenDepthRecursive(tx, channelId, parentId, parentDepth, updatedList) {
   try {
     // 해당 부모(parentId)의 모든 직계 자식 찾기
     const children = await tx.documentData.findMany({
@@ -33,7 +34,7 @@ async function updateChildrenDepthRecursive(tx, channelId, parentId, depthDelta,
     });
 
     for (const child of children) {
-      const newChildDepth = child.depth + depthDelta;
+      const newChildDepth = parentDepth + 1;
       
       // 자식 depth 업데이트
       await tx.documentData.update({
@@ -52,7 +53,7 @@ async function updateChildrenDepthRecursive(tx, channelId, parentId, depthDelta,
 
       // 이 자식이 .option 파일이면 해당 폴더의 하위도 업데이트
       if (child.name === ".option") {
-        await updateChildrenDepthRecursive(tx, channelId, child.id, depthDelta, updatedList);
+        await updateChildrenDepthRecursive(tx, channelId, child.id, newChildDepth, updatedList);
       }
     }
   } catch (error) {
@@ -61,11 +62,78 @@ async function updateChildrenDepthRecursive(tx, channelId, parentId, depthDelta,
   }
 }
 
-// 안전한 WebSocket 전송
+// === 요청/응답 식별 ===
+// 클라이언트가 메시지에 requestId를 넣어 보내면, 해당 요청을 처리하는 동안
+// 요청자에게 보내는 모든 응답에 같은 requestId를 붙여 돌려줌
+const requestContext = new AsyncLocalStorage();
+
+// 요청 ID 검증 (문자열 100자 이하 또는 숫자)
+function normalizeRequestId(requestId) {
+  if (typeof requestId === "string" && requestId.length > 0 && requestId.length <= 100) {
+    return requestId;
+  }
+  if (typeof requestId === "number" && Number.isFinite(requestId)) {
+    return requestId;
+  }
+  return null;
+}
+
+// === 에러 코드 ===
+// 실패 응답(systemmessage, error 이벤트 등)의 data.code로 전달
+const ERROR_CODES = {
+  // 요청 형식
+  INVALID_MESSAGE: "INVALID_MESSAGE", // JSON 파싱 실패, 이벤트명 누락
+  UNKNOWN_EVENT: "UNKNOWN_EVENT",
+  INVALID_REQUEST: "INVALID_REQUEST", // 필수값 누락, 값 형식 오류
+  // 채널
+  CHANNEL_NOT_FOUND: "CHANNEL_NOT_FOUND",
+  NOT_A_MEMBER: "NOT_A_MEMBER",
+  ALREADY_MEMBER: "ALREADY_MEMBER",
+  JOIN_FORBIDDEN: "JOIN_FORBIDDEN",
+  INVITE_REQUIRED: "INVITE_REQUIRED", // 비공개 채널에 초대 없이 가입 시도
+  INVITE_INVALID: "INVITE_INVALID", // 존재하지 않거나 만료/소진/취소된 초대
+  INVITE_NOT_FOUND: "INVITE_NOT_FOUND",
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  OWNER_CANNOT_QUIT: "OWNER_CANNOT_QUIT",
+  ALREADY_BANNED: "ALREADY_BANNED",
+  NOT_BANNED: "NOT_BANNED",
+  NOT_IN_CHANNEL: "NOT_IN_CHANNEL", // 채널 미입장 상태
+  // 권한
+  PERMISSION_DENIED: "PERMISSION_DENIED",
+  // 인증
+  INVALID_TOKEN: "INVALID_TOKEN",
+  SESSION_REVOKED: "SESSION_REVOKED",
+  // 문서
+  DOC_NOT_FOUND: "DOC_NOT_FOUND",
+  DOC_DELETED: "DOC_DELETED",
+  DOC_LOCKED: "DOC_LOCKED",
+  NOT_IN_DOC: "NOT_IN_DOC", // 문서 미입장 상태
+  DUPLICATE_NAME: "DUPLICATE_NAME",
+  PARENT_NOT_FOUND: "PARENT_NOT_FOUND",
+  INVALID_MOVE: "INVALID_MOVE", // 자기 자신 또는 하위 폴더로 이동
+  MAX_DEPTH_EXCEEDED: "MAX_DEPTH_EXCEEDED",
+  ROOT_DIRECTORY: "ROOT_DIRECTORY", // 최상위 디렉토리 변경 시도
+  INVALID_OPERATION: "INVALID_OPERATION", // 편집 연산 오류
+  STALE_REVISION: "STALE_REVISION", // 클라이언트 revision이 최신이 아님
+  CONTENT_TOO_LARGE: "CONTENT_TOO_LARGE",
+  VERSION_NOT_FOUND: "VERSION_NOT_FOUND",
+  NOT_IN_TRASH: "NOT_IN_TRASH", // 휴지통에 없는 문서 복원/영구 삭제 시도
+  FOLDER_NOT_EMPTY: "FOLDER_NOT_EMPTY",
+  // 서버
+  DB_ERROR: "DB_ERROR",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// 안전한 WebSocket 전송 (요청 처리 중이면 요청자에게 requestId를 붙여 전송)
 function safeSend(ws, data) {
   try {
     if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(data));
+      const context = requestContext.getStore();
+      const payload =
+        context && context.ws === ws && context.requestId !== null
+          ? { ...data, requestId: context.requestId }
+          : data;
+      ws.send(JSON.stringify(payload));
       return true;
     }
     return false;
@@ -75,24 +143,25 @@ function safeSend(ws, data) {
   }
 }
 
-// 시스템 메시지 전송 헬퍼
-function sendSystemMessage(ws, message) {
+// 시스템 메시지 전송 헬퍼 (실패 응답: code는 ERROR_CODES 값)
+function sendSystemMessage(ws, message, code) {
   return safeSend(ws, {
     event: "systemmessage",
-    data: { time: Date.now(), message },
+    data: { time: Date.now(), code, message },
   });
 }
 
 // 에러 응답 전송 헬퍼
-function sendErrorResponse(ws, event, message) {
+function sendErrorResponse(ws, event, message, code) {
   return safeSend(ws, {
     event: "error",
-    data: { time: Date.now(), originalEvent: event, message },
+    data: { time: Date.now(), originalEvent: event, code, message },
   });
 }
 
 // UUID 생성 (crypto 사용)
 const crypto = require("crypto");
+const { promisify } = require("util");
 function generateUUID() {
   return crypto.randomUUID();
 }
@@ -123,6 +192,100 @@ const DOC_STATUS = {
   LOCKED: 2, // 작업 중 (입력 불가능)
 };
 
+// === 채널 공개 범위 / 초대 상태 상수 ===
+const CHANNEL_VISIBILITY = {
+  PUBLIC: 0, // 공개 (목록 노출, 누구나 가입)
+  PRIVATE: 1, // 비공개 (초대받은 유저만 가입)
+};
+
+const INVITE_STATUS = {
+  ACTIVE: 0, // 사용 가능
+  REVOKED: 1, // 취소됨
+};
+
+// === 채널 역할 (channel_member.permission, 숫자가 작을수록 상위 역할) ===
+const ROLE = {
+  OWNER: 0, // 오너 (채널당 1명)
+  ADMIN: 1, // 관리자 (멤버/초대 관리)
+  EDITOR: 2, // 편집자 (문서 생성/편집/삭제)
+  COMMENTER: 3, // 댓글 작성자 (댓글 기능이 생기기 전까지는 열람자와 같은 권한)
+  VIEWER: 4, // 열람자 (읽기 전용)
+};
+
+const ROLE_NAMES = ["owner", "admin", "editor", "commenter", "viewer"];
+
+const DEFAULT_MEMBER_ROLE = ROLE.EDITOR; // 가입/재가입 시 기본 역할
+
+// 작업별 필요한 최소 역할
+const PERMISSION = {
+  VIEW: ROLE.VIEWER,
+  CREATE_DOC: ROLE.EDITOR,
+  EDIT_DOC: ROLE.EDITOR, // 내용 편집, 이름 변경, 이동
+  DELETE_DOC: ROLE.EDITOR, // 삭제(휴지통 이동), 휴지통에서 복원
+  PURGE_DOC: ROLE.ADMIN, // 휴지통에서 영구 삭제
+  RESTORE_VERSION: ROLE.EDITOR,
+  MANAGE_INVITES: ROLE.ADMIN,
+  MANAGE_MEMBERS: ROLE.ADMIN, // 강퇴, 차단, 역할 변경
+  MANAGE_FOLDER_ACL: ROLE.ADMIN, // 폴더 접근 제어 설정
+  REPAIR_DOC_TREE: ROLE.ADMIN, // 문서 트리 점검/복구
+  TRANSFER_OWNERSHIP: ROLE.OWNER,
+};
+
+// === 채널 멤버 상태 상수 ===
+const MEMBER_STATUS = {
+  ACTIVE: 0, // 가입 중
+  LEFT: 1, // 탈퇴/강퇴 (재가입 가능)
+  BANNED: 2, // 차단 (재가입 불가)
+};
+
+// === 유저 상태 상수 ===
+const USER_STATUS = {
+  ACTIVE: 0, // 정상
+  DELETED: 1, // 탈퇴
+  SUSPENDED: 2, // 정지 (관리자 조치)
+  DEACTIVATED: 3, // 비활성화 (관리자 조치)
+};
+
+// 관리자 API에서 사용하는 상태 이름
+const USER_STATUS_NAMES = {
+  active: USER_STATUS.ACTIVE,
+  suspended: USER_STATUS.SUSPENDED,
+  deactivated: USER_STATUS.DEACTIVATED,
+};
+
+// 로그인/접속이 막힌 계정 상태별 안내 메시지와 웹소켓 종료 사유
+const BLOCKED_USER_STATUS = {
+  [USER_STATUS.DELETED]: { message: "탈퇴한 계정입니다", reason: "Account deleted" },
+  [USER_STATUS.SUSPENDED]: { message: "이용이 정지된 계정입니다", reason: "Account suspended" },
+  [USER_STATUS.DEACTIVATED]: { message: "비활성화된 계정입니다", reason: "Account deactivated" },
+};
+
+// 계정 상태가 로그인/접속 불가면 해당 안내 정보, 정상이면 null
+function getUserStatusBlock(status) {
+  if (status === USER_STATUS.ACTIVE) return null;
+  return BLOCKED_USER_STATUS[status] || BLOCKED_USER_STATUS[USER_STATUS.DELETED];
+}
+
+// 오너 계정 탈퇴 시 가장 먼저 가입한 멤버에게 오너 자동 승계 (false면 양도 후에만 탈퇴 가능)
+const AUTO_PROMOTE_OWNER = process.env.AUTO_PROMOTE_OWNER !== "false";
+
+// 역할이 작업에 필요한 권한을 가지는지
+function hasPermission(role, action) {
+  return Number.isInteger(role) && role <= action;
+}
+
+// 권한 확인 후 없으면 에러 메시지 전송 (핸들러 공통)
+function requirePermission(ws, role, action, message) {
+  if (hasPermission(role, action)) return true;
+  sendSystemMessage(ws, message, ERROR_CODES.PERMISSION_DENIED);
+  return false;
+}
+
+// 역할 번호 → 이름
+function getRoleName(role) {
+  return ROLE_NAMES[role] || null;
+}
+
 // === Prisma 초기화 ===
 const prisma = new PrismaClient({
   log: [
@@ -132,11 +295,118 @@ const prisma = new PrismaClient({
 });
 
 // === 채널/문서별 웹소켓 연결 관리 ===
-// 채널별 연결된 클라이언트: Map<channelId, Set<ws>>
+// 웹소켓 연결은 인스턴스(프로세스)별로 관리하고, 여러 인스턴스가 함께 동작할 수 있도록
+// - 브로드캐스트: 로컬 전송 후 Redis pub/sub으로 다른 인스턴스에 중계 (=== 클러스터 === 참고)
+// - 접속 현황(presence): Redis Hash { "인스턴스ID|연결ID": 유저 정보 JSON }
+//   presence:channel:{channelId}, presence:doc:{docId}, presence:user:{userId} (로그인 세션별 연결 현황)
+//   각 인스턴스는 presence:instance:{인스턴스ID} 하트비트 키를 유지하며,
+//   하트비트가 끊긴 인스턴스의 항목은 조회 시 무시하고 정리
+
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID();
+const PRESENCE_PREFIX = "presence:";
+const PRESENCE_HEARTBEAT_MS = 10000; // 하트비트 갱신 주기
+const PRESENCE_TTL_MS = 30000; // 하트비트 만료 시간
+const INSTANCE_ALIVE_CACHE_MS = 5000; // 인스턴스 생존 여부 캐시 시간
+
+// 채널별 연결된 클라이언트 (이 인스턴스): Map<channelId, Set<ws>>
 const channelConnections = new Map();
-// 문서별 연결된 클라이언트: Map<docId, Set<ws>>
+// 문서별 연결된 클라이언트 (이 인스턴스): Map<docId, Set<ws>>
 const docConnections = new Map();
 
+function getChannelPresenceKey(channelId) {
+  return `${PRESENCE_PREFIX}channel:${channelId}`;
+}
+
+function getDocPresenceKey(docId) {
+  return `${PRESENCE_PREFIX}doc:${docId}`;
+}
+
+function getUserPresenceKey(userId) {
+  return `${PRESENCE_PREFIX}user:${userId}`;
+}
+
+function getInstanceKey(instanceId) {
+  return `${PRESENCE_PREFIX}instance:${instanceId}`;
+}
+
+function getPresenceField(ws) {
+  return `${INSTANCE_ID}|${ws.connId}`;
+}
+
+// presence 기록용 Redis 실행 (결과를 기다리지 않음, Redis 미연결 시 로컬 관리만 수행)
+function runPresenceOp(operation) {
+  if (!redis.isOpen) return;
+  operation().catch((error) => logError("PRESENCE", error));
+}
+
+// 채널 presence 항목
+function getChannelPresenceInfo(ws) {
+  return {
+    connId: ws.connId,
+    id: ws.user.id,
+    email: ws.user.email,
+    currentDoc: ws.currentDoc || null,
+  };
+}
+
+// 문서 presence 항목 (커서 포함)
+function getDocPresenceInfo(ws) {
+  return {
+    connId: ws.connId,
+    id: ws.user.id,
+    email: ws.user.email,
+    color: getUserColor(ws.user.id),
+    cursor: ws.cursor || null,
+  };
+}
+
+function writeChannelPresence(ws) {
+  if (!ws.currentChannel) return;
+  const key = getChannelPresenceKey(ws.currentChannel);
+  const info = JSON.stringify(getChannelPresenceInfo(ws));
+  runPresenceOp(() => redis.hSet(key, getPresenceField(ws), info));
+}
+
+function writeDocPresence(ws) {
+  if (!ws.currentDoc) return;
+  const key = getDocPresenceKey(ws.currentDoc);
+  const info = JSON.stringify(getDocPresenceInfo(ws));
+  runPresenceOp(() => redis.hSet(key, getPresenceField(ws), info));
+}
+
+// 유저 presence 항목 (연결 단위, 세션 관리 API에서 사용)
+function getUserPresenceInfo(ws) {
+  return {
+    connId: ws.connId,
+    sessionId: ws.sessionId,
+    platform: ws.user.platform || null,
+    connectedAt: ws.connectedAt,
+  };
+}
+
+function writeUserPresence(ws) {
+  const key = getUserPresenceKey(ws.user.id);
+  const info = JSON.stringify(getUserPresenceInfo(ws));
+  runPresenceOp(() => redis.hSet(key, getPresenceField(ws), info));
+}
+
+function removeUserPresence(ws) {
+  const field = getPresenceField(ws);
+  runPresenceOp(() => redis.hDel(getUserPresenceKey(ws.user.id), field));
+}
+
+// 유저의 웹소켓 연결 목록 (전체 인스턴스)
+async function getUserConnections(userId) {
+  const entries = await readPresence(getUserPresenceKey(userId));
+  if (entries) return entries;
+
+  const connections = [];
+  wss.clients.forEach((ws) => {
+    if (ws.user?.id === userId && ws.connId) connections.push(getUserPresenceInfo(ws));
+  });
+  return connections;
+}
+
 // 채널에 웹소켓 추가
 function addToChannel(channelId, ws) {
   if (!channelConnections.has(channelId)) {
@@ -144,6 +414,7 @@ function addToChannel(channelId, ws) {
   }
   channelConnections.get(channelId).add(ws);
   ws.currentChannel = channelId;
+  writeChannelPresence(ws);
 }
 
 // 채널에서 웹소켓 제거
@@ -157,7 +428,10 @@ function removeFromChannel(channelId, ws) {
   }
   if (ws.currentChannel === channelId) {
     ws.currentChannel = null;
+    ws.channelRole = null;
   }
+  const field = getPresenceField(ws);
+  runPresenceOp(() => redis.hDel(getChannelPresenceKey(channelId), field));
 }
 
 // 문서에 웹소켓 추가
@@ -167,6 +441,8 @@ function addToDoc(docId, ws) {
   }
   docConnections.get(docId).add(ws);
   ws.currentDoc = docId;
+  writeDocPresence(ws);
+  writeChannelPresence(ws); // currentDoc 반영
 }
 
 // 문서에서 웹소켓 제거
@@ -180,11 +456,15 @@ function removeFromDoc(docId, ws) {
   }
   if (ws.currentDoc === docId) {
     ws.currentDoc = null;
+    clearCursor(ws);
+    writeChannelPresence(ws); // currentDoc 반영
   }
+  const field = getPresenceField(ws);
+  runPresenceOp(() => redis.hDel(getDocPresenceKey(docId), field));
 }
 
-// 채널 내 모든 유저에게 브로드캐스트 (자신 제외 옵션)
-function broadcastToChannel(channelId, event, data, excludeWs = null) {
+// 이 인스턴스에 연결된 채널 유저에게 전송 (자신 제외 옵션)
+function deliverToChannel(channelId, event, data, excludeWs = null) {
   const connections = channelConnections.get(channelId);
   if (!connections) return 0;
 
@@ -199,8 +479,8 @@ function broadcastToChannel(channelId, event, data, excludeWs = null) {
   return sentCount;
 }
 
-// 문서 열람 중인 유저에게 브로드캐스트 (자신 제외 옵션)
-function broadcastToDoc(docId, event, data, excludeWs = null) {
+// 이 인스턴스에 연결된 문서 열람 유저에게 전송 (자신 제외 옵션)
+function deliverToDoc(docId, event, data, excludeWs = null) {
   const connections = docConnections.get(docId);
   if (!connections) return 0;
 
@@ -215,14 +495,233 @@ function broadcastToDoc(docId, event, data, excludeWs = null) {
   return sentCount;
 }
 
-// 채널 내 현재 접속 유저 목록 조회
-function getChannelUsers(channelId) {
+// 채널 내 모든 유저에게 브로드캐스트 (자신 제외 옵션)
+// 반환값은 이 인스턴스에서 전송된 수
+function broadcastToChannel(channelId, event, data, excludeWs = null) {
+  const sentCount = deliverToChannel(channelId, event, data, excludeWs);
+  publishToCluster("channel", { channelId, event, data });
+  return sentCount;
+}
+
+// 문서 열람 중인 유저에게 브로드캐스트 (자신 제외 옵션)
+// 반환값은 이 인스턴스에서 전송된 수
+function broadcastToDoc(docId, event, data, excludeWs = null) {
+  const sentCount = deliverToDoc(docId, event, data, excludeWs);
+  publishToCluster("doc", { docId, event, data });
+  return sentCount;
+}
+
+// 이 인스턴스에 연결된 특정 유저의 모든 웹소켓에 전송
+function deliverToUser(userId, event, data) {
+  let sentCount = 0;
+  wss.clients.forEach((ws) => {
+    if (ws.user?.id === userId && safeSend(ws, { event, data })) {
+      sentCount++;
+    }
+  });
+  return sentCount;
+}
+
+// 특정 유저에게 전송 (전체 인스턴스, 채널 입장 여부 무관)
+function sendToUser(userId, event, data) {
+  const sentCount = deliverToUser(userId, event, data);
+  publishToCluster("user", { userId, event, data });
+  return sentCount;
+}
+
+// 이 인스턴스에 연결된 특정 유저의 모든 웹소켓 종료
+function disconnectLocalUser(userId, code, reason) {
+  let closedCount = 0;
+  wss.clients.forEach((ws) => {
+    if (ws.user?.id === userId) {
+      ws.close(code, reason);
+      closedCount++;
+    }
+  });
+  return closedCount;
+}
+
+// 특정 유저의 모든 웹소켓 종료 (전체 인스턴스)
+function disconnectUser(userId, code, reason) {
+  const closedCount = disconnectLocalUser(userId, code, reason);
+  publishToCluster("disconnectUser", { userId, code, reason });
+  return closedCount;
+}
+
+// 이 인스턴스에서 채널에 입장 중인 특정 유저를 채널/문서에서 내보내고 알림 전송
+function evictLocalMember(channelId, userId, event, data) {
+  let evictedCount = 0;
+  wss.clients.forEach((ws) => {
+    if (ws.user?.id !== userId || ws.currentChannel !== channelId) return;
+
+    const docId = ws.currentDoc;
+    if (docId) {
+      removeFromDoc(docId, ws);
+      broadcastToDoc(docId, "userLeftDoc", {
+        time: Date.now(),
+        docId: docId,
+        userId: userId,
+        email: ws.user.email,
+        reason: event,
+      });
+      onDocDisconnect(docId);
+    }
+
+    removeFromChannel(channelId, ws);
+    broadcastToChannel(channelId, "userLeft", {
+      time: Date.now(),
+      channelId: channelId,
+      userId: userId,
+      email: ws.user.email,
+      reason: event,
+    });
+
+    evictedCount++;
+  });
+
+  // 채널 입장 여부와 관계없이 대상 유저의 모든 연결에 알림
+  deliverToUser(userId, event, data);
+  return evictedCount;
+}
+
+// 채널 멤버 강제 퇴장 (전체 인스턴스)
+function evictMember(channelId, userId, event, data) {
+  const evictedCount = evictLocalMember(channelId, userId, event, data);
+  publishToCluster("evictMember", { channelId, userId, event, data });
+  return evictedCount;
+}
+
+// 이 인스턴스에서 문서를 열람 중인 유저를 모두 문서에서 내보내고 알림 전송
+function evictLocalDocViewers(docId, event, data) {
+  const connections = docConnections.get(docId);
+  if (!connections) return 0;
+
+  const viewers = [...connections];
+  viewers.forEach((ws) => {
+    removeFromDoc(docId, ws);
+    safeSend(ws, { event, data });
+  });
+  return viewers.length;
+}
+
+// 문서 열람 유저 전체 퇴장 (전체 인스턴스)
+function evictDocViewers(docId, event, data) {
+  const evictedCount = evictLocalDocViewers(docId, event, data);
+  publishToCluster("docEvict", { docId, event, data });
+  return evictedCount;
+}
+
+// 이 인스턴스에서 채널에 입장 중인 특정 유저의 역할 갱신
+function applyLocalMemberRole(channelId, userId, role) {
+  wss.clients.forEach((ws) => {
+    if (ws.user?.id === userId && ws.currentChannel === channelId) {
+      ws.channelRole = role;
+      ws.docAccess = null;
+    }
+  });
+}
+
+// 멤버 역할 변경 반영 (전체 인스턴스)
+function applyMemberRole(channelId, userId, role) {
+  applyLocalMemberRole(channelId, userId, role);
+  publishToCluster("memberRole", { channelId, userId, role });
+}
+
+// 정지/비활성화된 유저 ID (접속 현황에서 제외, 시작 시 DB에서 로드 후 클러스터 메시지로 갱신)
+const inactiveUserIds = new Set();
+
+async function loadInactiveUsers() {
+  try {
+    const users = await prisma.userData.findMany({
+      where: { status: { in: [USER_STATUS.SUSPENDED, USER_STATUS.DEACTIVATED] } },
+      select: { id: true },
+    });
+    users.forEach((u) => inactiveUserIds.add(u.id));
+  } catch (error) {
+    logError("DB_INACTIVE_USERS", error);
+  }
+}
+
+function applyLocalUserStatus(userId, status) {
+  if (status === USER_STATUS.SUSPENDED || status === USER_STATUS.DEACTIVATED) {
+    inactiveUserIds.add(userId);
+  } else {
+    inactiveUserIds.delete(userId);
+  }
+}
+
+// 유저 계정 상태 변경 반영 (전체 인스턴스)
+function applyUserStatus(userId, status) {
+  applyLocalUserStatus(userId, status);
+  publishToCluster("userStatus", { userId, status });
+}
+
+// 인스턴스 생존 여부 (하트비트 키 존재): Map<instanceId, { alive, checkedAt }>
+const instanceAliveCache = new Map();
+
+async function isInstanceAlive(instanceId) {
+  if (instanceId === INSTANCE_ID) return true;
+
+  const cached = instanceAliveCache.get(instanceId);
+  if (cached && Date.now() - cached.checkedAt < INSTANCE_ALIVE_CACHE_MS) {
+    return cached.alive;
+  }
+
+  const alive = (await redis.exists(getInstanceKey(instanceId))) === 1;
+  instanceAliveCache.set(instanceId, { alive, checkedAt: Date.now() });
+  return alive;
+}
+
+// presence 항목 조회 (죽은 인스턴스 항목은 제외 후 정리)
+// Redis 미연결 시 null 반환 → 호출부에서 로컬 연결 기준으로 대체
+async function readPresence(key) {
+  if (!redis.isOpen) return null;
+
+  try {
+    const entries = await redis.hGetAll(key);
+    const result = [];
+    const staleFields = [];
+
+    for (const [field, value] of Object.entries(entries)) {
+      const instanceId = field.split("|")[0];
+      if (!(await isInstanceAlive(instanceId))) {
+        staleFields.push(field);
+        continue;
+      }
+      try {
+        result.push(JSON.parse(value));
+      } catch (parseError) {
+        staleFields.push(field);
+      }
+    }
+
+    if (staleFields.length > 0) {
+      await redis.hDel(key, staleFields);
+    }
+    return result;
+  } catch (error) {
+    logError("PRESENCE_READ", error);
+    return null;
+  }
+}
+
+// 채널 내 현재 접속 유저 목록 조회 (전체 인스턴스)
+async function getChannelUsers(channelId) {
+  const entries = await readPresence(getChannelPresenceKey(channelId));
+  if (entries) {
+    return entries.filter((e) => !inactiveUserIds.has(e.id)).map((e) => ({
+      id: e.id,
+      email: e.email,
+      currentDoc: e.currentDoc || null,
+    }));
+  }
+
   const connections = channelConnections.get(channelId);
   if (!connections) return [];
 
   const users = [];
   connections.forEach((ws) => {
-    if (ws.user) {
+    if (ws.user && !inactiveUserIds.has(ws.user.id)) {
       users.push({
         id: ws.user.id,
         email: ws.user.email,
@@ -233,32 +732,145 @@ function getChannelUsers(channelId) {
   return users;
 }
 
-// 문서 열람 중인 유저 목록 조회
-function getDocUsers(docId) {
+// 문서 열람 중인 유저 목록 조회 (전체 인스턴스)
+async function getDocUsers(docId) {
+  const entries = await readPresence(getDocPresenceKey(docId));
+  if (entries) {
+    return entries
+      .filter((e) => !inactiveUserIds.has(e.id))
+      .map((e) => ({ id: e.id, email: e.email, color: e.color }));
+  }
+
   const connections = docConnections.get(docId);
   if (!connections) return [];
 
   const users = [];
   connections.forEach((ws) => {
-    if (ws.user) {
+    if (ws.user && !inactiveUserIds.has(ws.user.id)) {
       users.push({
         id: ws.user.id,
         email: ws.user.email,
+        color: getUserColor(ws.user.id),
       });
     }
   });
   return users;
 }
 
-// 문서 열람 인원 수 조회
-function getDocUserCount(docId) {
+// === 문서 내 커서/선택 영역 (presence) ===
+
+// 커서 색상 팔레트 (유저 ID 기준으로 항상 같은 색 배정)
+const CURSOR_COLORS = [
+  "#E57373", "#F06292", "#BA68C8", "#9575CD",
+  "#7986CB", "#64B5F6", "#4DD0E1", "#4DB6AC",
+  "#81C784", "#DCE775", "#FFD54F", "#FF8A65",
+];
+const CURSOR_BROADCAST_INTERVAL_MS = 50; // 유저별 커서 전파 최소 간격
+
+// 유저 고유 색상
+function getUserColor(userId) {
+  let hash = 0;
+  for (const ch of String(userId)) {
+    hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  }
+  return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+}
+
+// 문서 내 다른 유저들의 현재 커서 목록 (excludeWs 제외, 전체 인스턴스)
+async function getDocCursors(docId, excludeWs = null) {
+  const entries = await readPresence(getDocPresenceKey(docId));
+  if (entries) {
+    return entries
+      .filter((e) => e.cursor && e.connId !== excludeWs?.connId)
+      .map((e) => ({
+        userId: e.id,
+        email: e.email,
+        color: e.color,
+        position: e.cursor.position,
+        selection: e.cursor.selection,
+        updatedAt: e.cursor.updatedAt,
+      }));
+  }
+
+  const connections = docConnections.get(docId);
+  if (!connections) return [];
+
+  const cursors = [];
+  connections.forEach((ws) => {
+    if (ws !== excludeWs && ws.user && ws.cursor) {
+      cursors.push({
+        userId: ws.user.id,
+        email: ws.user.email,
+        color: getUserColor(ws.user.id),
+        position: ws.cursor.position,
+        selection: ws.cursor.selection,
+        updatedAt: ws.cursor.updatedAt,
+      });
+    }
+  });
+  return cursors;
+}
+
+// 커서 정보를 문서 열람 유저들에게 전파 (유저별 throttle, 마지막 위치는 반드시 전송)
+function scheduleCursorBroadcast(ws) {
+  if (ws.cursorTimer) return; // 이미 예약됨 - 최신 값이 전송됨
+
+  const elapsed = Date.now() - (ws.cursorSentAt || 0);
+  const send = () => {
+    ws.cursorTimer = null;
+    if (!ws.currentDoc || !ws.cursor) return;
+    ws.cursorSentAt = Date.now();
+    writeDocPresence(ws); // 늦게 입장한 유저(다른 인스턴스 포함)를 위해 기록
+    broadcastToDoc(
+      ws.currentDoc,
+      "cursorUpdated",
+      {
+        time: Date.now(),
+        docId: ws.currentDoc,
+        userId: ws.user.id,
+        email: ws.user.email,
+        color: getUserColor(ws.user.id),
+        position: ws.cursor.position,
+        selection: ws.cursor.selection,
+      },
+      ws,
+    );
+  };
+
+  if (elapsed >= CURSOR_BROADCAST_INTERVAL_MS) {
+    send();
+  } else {
+    ws.cursorTimer = setTimeout(send, CURSOR_BROADCAST_INTERVAL_MS - elapsed);
+  }
+}
+
+// 커서 정보 및 예약된 전파 정리 (문서 퇴장 시)
+function clearCursor(ws) {
+  if (ws.cursorTimer) {
+    clearTimeout(ws.cursorTimer);
+    ws.cursorTimer = null;
+  }
+  ws.cursor = null;
+}
+
+// 문서 열람 인원 수 조회 (전체 인스턴스)
+async function getDocUserCount(docId) {
+  const entries = await readPresence(getDocPresenceKey(docId));
+  if (entries) return entries.length;
+
   const connections = docConnections.get(docId);
   return connections ? connections.size : 0;
 }
 
 // === Redis 문서 캐시 함수 ===
 const DOC_CACHE_PREFIX = "doc:";
-// TTL 제거 - 문서는 영구 캐싱, 서버 시작 시 초기화
+// 문서는 enterDoc 시점에 로드하고, 열람자가 없는 상태로 오래 방치되거나
+// 캐시 문서 수가 상한을 넘으면 동기화 후 제거 (evictIdleDocs)
+// 최근 접근 시각: Redis 정렬 집합 { docId: timestamp }
+const DOC_ACCESS_KEY = "docs:access";
+const DOC_CACHE_IDLE_TTL_MS = Number(process.env.DOC_CACHE_IDLE_TTL_MS) || 10 * 60 * 1000;
+const DOC_CACHE_MAX_DOCS = Number(process.env.DOC_CACHE_MAX_DOCS) || 1000;
+const DOC_CACHE_SWEEP_INTERVAL_MS = Number(process.env.DOC_CACHE_SWEEP_INTERVAL_MS) || 60 * 1000;
 
 // Redis 문서 캐시 키 생성
 function getDocCacheKey(docId) {
@@ -280,24 +892,149 @@ async function getDocFromCache(docId) {
   }, null);
 }
 
-// Redis에 문서 캐시 저장 (TTL 없음)
+// Redis에 문서 캐시 저장 (TTL 없음, 접근 시각 갱신)
 async function setDocToCache(docId, docData) {
   return await safeRedis(async () => {
     const key = getDocCacheKey(docId);
-    await redis.set(key, JSON.stringify(docData));
+    await redis
+      .multi()
+      .set(key, JSON.stringify(docData))
+      .zAdd(DOC_ACCESS_KEY, { score: Date.now(), value: docId })
+      .exec();
+    return true;
+  }, false);
+}
+
+// 문서 캐시 접근 시각 갱신
+async function touchDocCache(docId) {
+  return await safeRedis(async () => {
+    await redis.zAdd(DOC_ACCESS_KEY, { score: Date.now(), value: docId });
     return true;
   }, false);
 }
 
-// Redis 문서 캐시 삭제
+// Redis 문서 캐시 삭제 (CRDT 스냅샷, 연산 목록 포함)
 async function deleteDocFromCache(docId) {
+  forgetDocCrdtState(docId);
   return await safeRedis(async () => {
     const key = getDocCacheKey(docId);
-    await redis.del(key);
+    await redis
+      .multi()
+      .del([key, getDocCrdtKey(docId), getDocOpsKey(docId)])
+      .zRem(DOC_ACCESS_KEY, docId)
+      .exec();
     return true;
   }, false);
 }
 
+// === 문서 캐시 정리 (eviction) ===
+
+let docCacheSweepTimer = null;
+let isSweepingDocCache = false;
+
+// 캐시 문서 하나를 동기화 후 제거 (열람 중이거나 동기화 실패 시 유지)
+async function evictDocFromCache(docId) {
+  if ((await getDocUserCount(docId)) > 0) return false;
+
+  if ((await getDocDirtyCount(docId)) > 0) {
+    const synced = await syncDocToSupabase(docId);
+    if (!synced) return false;
+  }
+
+  // 동기화와 제거 사이에 편집이 끼어들지 않도록 편집 큐에서 재확인 후 제거
+  return await runDocEditExclusive(docId, async () => {
+    if ((await getDocUserCount(docId)) > 0) return false;
+    if ((await getDocDirtyCount(docId)) > 0) return false;
+    return await deleteDocFromCache(docId);
+  });
+}
+
+// 오래 방치된 문서 및 상한 초과분(오래된 순) 제거
+async function evictIdleDocs() {
+  if (isSweepingDocCache) return;
+  isSweepingDocCache = true;
+
+  try {
+    const idleBefore = Date.now() - DOC_CACHE_IDLE_TTL_MS;
+    const candidates = new Set(
+      await safeRedis(
+        () => redis.zRangeByScore(DOC_ACCESS_KEY, "-inf", idleBefore),
+        [],
+      ),
+    );
+
+    const cachedCount = await safeRedis(() => redis.zCard(DOC_ACCESS_KEY), 0);
+    const excess = cachedCount - DOC_CACHE_MAX_DOCS;
+    if (excess > 0) {
+      const oldest = await safeRedis(
+        () => redis.zRange(DOC_ACCESS_KEY, 0, excess - 1),
+        [],
+      );
+      oldest.forEach((docId) => candidates.add(docId));
+    }
+
+    let evictedCount = 0;
+    for (const docId of candidates) {
+      if (await evictDocFromCache(docId)) evictedCount++;
+    }
+    if (evictedCount > 0) {
+      console.log(`문서 캐시 정리: ${evictedCount}개 문서 제거`);
+    }
+  } catch (error) {
+    logError("DOC_CACHE_EVICT", error);
+  } finally {
+    isSweepingDocCache = false;
+  }
+}
+
+function startDocCacheSweeper() {
+  if (docCacheSweepTimer) return;
+  docCacheSweepTimer = setInterval(evictIdleDocs, DOC_CACHE_SWEEP_INTERVAL_MS);
+}
+
+function stopDocCacheSweeper() {
+  if (docCacheSweepTimer) {
+    clearInterval(docCacheSweepTimer);
+    docCacheSweepTimer = null;
+  }
+}
+
+// 서버 시작 시 캐시 정리: 이전 실행에서 남은 캐시를 지우지 않고 DB와 맞춤
+// - 미반영 변경이 있는 문서는 Supabase로 동기화
+// - 비정상 종료로 잠긴 채 남은 문서는 잠금 해제 (다른 인스턴스가 없을 때만)
+// - 접근 시각이 없는 캐시 문서는 현재 시각으로 등록 (정리 대상에 포함)
+async function reconcileDocCache() {
+  let lockedCount = 0;
+  let untrackedCount = 0;
+  const isOnlyInstance = (await countOtherInstances()) === 0;
+
+  for await (const key of redis.scanIterator({ MATCH: `${DOC_CACHE_PREFIX}*`, COUNT: 100 })) {
+    const docId = key.slice(DOC_CACHE_PREFIX.length);
+    const cachedDoc = await getDocFromCache(docId);
+    if (!cachedDoc) continue;
+
+    if (isOnlyInstance && cachedDoc.status === DOC_STATUS.LOCKED) {
+      await updateDocCache(docId, { status: DOC_STATUS.NORMAL });
+      lockedCount++;
+    }
+    if ((await redis.zScore(DOC_ACCESS_KEY, docId)) === null) {
+      await touchDocCache(docId);
+      untrackedCount++;
+    }
+  }
+
+  const dirtyDocIds = await redis.hKeys(DIRTY_DOCS_KEY);
+  let syncedCount = 0;
+  for (const docId of dirtyDocIds) {
+    if (await syncDocToSupabase(docId)) syncedCount++;
+  }
+
+  console.log(
+    `Redis 캐시 복구: 미반영 문서 ${syncedCount}/${dirtyDocIds.length}개 동기화, ` +
+      `잠금 해제 ${lockedCount}개, 접근 기록 추가 ${untrackedCount}개`,
+  );
+}
+
 // Redis 문서 캐시 업데이트 (부분 업데이트)
 async function updateDocCache(docId, updates) {
   return await safeRedis(async () => {
@@ -310,32 +1047,572 @@ async function updateDocCache(docId, updates) {
   }, false);
 }
 
-// === 문서 상태 관리 함수 ===
+// === 문서 CRDT 상태 저장 ===
+// chars는 문서 캐시(doc:{id})와 분리하여 편집마다 전체를 다시 쓰지 않음
+// - doccrdt:{docId}: 스냅샷 { cacheId, revision, chars }
+// - docops:{docId}: 스냅샷 이후 적용된 연산 목록 [{ revision, ops }] (편집마다 추가)
+//   DOC_OPS_LOG_MAX_ENTRIES를 넘으면 스냅샷으로 합침
+// - cacheId: 캐시에 로드할 때마다 새로 발급 (revision이 0부터 다시 시작하므로 이전 상태와 구분)
+// 인스턴스 메모리에 최근 편집 상태를 유지하고, 다른 인스턴스의 편집은 연산 목록으로 따라잡음
+// 읽기/쓰기는 모두 runDocEditExclusive 안에서 실행
+
+const DOC_CRDT_PREFIX = "doccrdt:";
+const DOC_OPS_PREFIX = "docops:";
+const DOC_OPS_LOG_MAX_ENTRIES = 200;
+const DOC_CRDT_STATE_CACHE_MAX = 100; // 메모리에 유지하는 문서 편집 상태 수
+
+// 인스턴스 메모리의 편집 상태: Map<docId, { cacheId, revision, state }> (오래 안 쓴 순으로 정리)
+const docCrdtStates = new Map();
+
+function getDocCrdtKey(docId) {
+  return `${DOC_CRDT_PREFIX}${docId}`;
+}
 
-// 문서 상태 변경 및 전파
-async function setDocStatus(docId, status, broadcastMsg = null) {
-  // Redis 캐시 업데이트
-  const updated = await updateDocCache(docId, { status });
+function getDocOpsKey(docId) {
+  return `${DOC_OPS_PREFIX}${docId}`;
+}
 
-  // 문서 열람 중인 유저들에게 상태 변경 알림
-  broadcastToDoc(docId, "docStatusChanged", {
-    time: Date.now(),
-    docId: docId,
-    status: status,
-    statusText:
-      status === DOC_STATUS.NORMAL
-        ? "normal"
-        : status === DOC_STATUS.DELETED
-          ? "deleted"
-          : "locked",
-    message: broadcastMsg,
-  });
+function rememberDocCrdtState(docId, cacheId, revision, state) {
+  docCrdtStates.delete(docId);
+  docCrdtStates.set(docId, { cacheId, revision, state });
+  if (docCrdtStates.size > DOC_CRDT_STATE_CACHE_MAX) {
+    docCrdtStates.delete(docCrdtStates.keys().next().value);
+  }
+}
 
-  return updated;
+// 적용 도중 실패한 상태는 버리고 다음 조회 때 Redis에서 다시 생성
+function forgetDocCrdtState(docId) {
+  docCrdtStates.delete(docId);
 }
 
-// 문서 잠금 (편집 불가)
-async function lockDoc(docId, reason = "동기화 작업 중입니다.") {
+// 문서 캐시 + CRDT 스냅샷 저장 (연산 목록 초기화)
+async function setDocCacheWithChars(docId, docData, chars) {
+  forgetDocCrdtState(docId);
+  return await safeRedis(async () => {
+    const meta = { ...docData };
+    delete meta.chars;
+    await redis
+      .multi()
+      .set(getDocCacheKey(docId), JSON.stringify(meta))
+      .set(getDocCrdtKey(docId), JSON.stringify({ cacheId: meta.cacheId, revision: meta.revision || 0, chars }))
+      .del(getDocOpsKey(docId))
+      .zAdd(DOC_ACCESS_KEY, { score: Date.now(), value: docId })
+      .exec();
+    return true;
+  }, false);
+}
+
+// 문서의 CRDT 편집 상태 (실패 시 null)
+async function getDocCrdtState(docId, document) {
+  const revision = document.revision || 0;
+  const entry = docCrdtStates.get(docId);
+  if (entry && entry.cacheId === document.cacheId && entry.revision === revision) {
+    rememberDocCrdtState(docId, entry.cacheId, revision, entry.state);
+    return entry.state;
+  }
+  forgetDocCrdtState(docId);
+
+  return await safeRedis(async () => {
+    const logEntries = (await redis.lRange(getDocOpsKey(docId), 0, -1)).map((raw) => JSON.parse(raw));
+
+    // 메모리 상태 이후의 연산이 모두 남아 있으면 이어서 적용, 아니면 스냅샷부터
+    let state;
+    let fromRevision;
+    if (
+      entry &&
+      entry.cacheId === document.cacheId &&
+      entry.revision < revision &&
+      logEntries.some((e) => e.revision === entry.revision + 1)
+    ) {
+      state = entry.state;
+      fromRevision = entry.revision;
+    } else {
+      const snapshot = JSON.parse((await redis.get(getDocCrdtKey(docId))) || "null");
+      if (!snapshot || !document.cacheId || snapshot.cacheId !== document.cacheId) {
+        return await migrateDocCrdtState(docId, document);
+      }
+      state = createCrdtState(snapshot.chars, document.clock || 0);
+      fromRevision = snapshot.revision;
+    }
+
+    for (const e of logEntries) {
+      if (e.revision <= fromRevision || e.revision > revision) continue;
+      for (const op of e.ops) {
+        if (op.type === "insert") integrateInsert(state, op);
+        else integrateDelete(state, op);
+      }
+    }
+    state.clock = Math.max(state.clock, document.clock || 0);
+    rememberDocCrdtState(docId, document.cacheId, revision, state);
+    return state;
+  }, null);
+}
+
+// 스냅샷이 없는 캐시 (이전 형식: 문서 캐시에 chars 포함, 또는 스냅샷 유실)
+// 문서 캐시의 chars(없으면 content)로 상태를 만들고 새 형식으로 저장
+// clock은 생성된 요소의 clock 이상으로 맞춤 (Lamport 순서 유지)
+async function migrateDocCrdtState(docId, document) {
+  const chars = Array.isArray(document.chars)
+    ? document.chars
+    : seedCharsFromContent(document.content).chars;
+  const state = createCrdtState(chars, document.clock || 0);
+
+  delete document.chars;
+  document.cacheId = document.cacheId || generateUUID();
+  document.clock = state.clock;
+  if (!(await setDocCacheWithChars(docId, document, chars))) return null;
+
+  rememberDocCrdtState(docId, document.cacheId, document.revision || 0, state);
+  return state;
+}
+
+// 편집 결과 저장: 문서 캐시 갱신 + 연산 목록에 추가 (목록이 길면 스냅샷으로 합침)
+async function saveDocCrdtEdit(docId, document, state, ops, updates) {
+  const meta = { ...document, ...updates, clock: state.clock };
+  delete meta.chars;
+
+  const saved = await safeRedis(async () => {
+    const [logLength] = await redis
+      .multi()
+      .rPush(getDocOpsKey(docId), JSON.stringify({ revision: meta.revision, ops }))
+      .set(getDocCacheKey(docId), JSON.stringify(meta))
+      .zAdd(DOC_ACCESS_KEY, { score: Date.now(), value: docId })
+      .exec();
+
+    if (logLength > DOC_OPS_LOG_MAX_ENTRIES) {
+      await redis
+        .multi()
+        .set(
+          getDocCrdtKey(docId),
+          JSON.stringify({ cacheId: meta.cacheId, revision: meta.revision, chars: getCrdtChars(state) }),
+        )
+        .del(getDocOpsKey(docId))
+        .exec();
+    }
+    return true;
+  }, false);
+
+  if (saved) {
+    rememberDocCrdtState(docId, meta.cacheId, meta.revision, state);
+  } else {
+    forgetDocCrdtState(docId);
+  }
+  return saved;
+}
+
+// 문서 캐시와 CRDT chars를 함께 조회 (입장, 동기화용)
+async function getDocWithChars(docId) {
+  return await runDocEditExclusive(docId, async () => {
+    const document = await getDocFromCache(docId);
+    if (!document) return null;
+    const state = await getDocCrdtState(docId, document);
+    if (!state) return null;
+    return { ...document, clock: state.clock, chars: getCrdtChars(state) };
+  });
+}
+
+// === 시퀀스 CRDT (RGA) ===
+// 문서 내용은 문자 단위 요소 배열(chars)로 관리하며, content는 chars에서 계산된 결과
+// - 요소: { id: "site:clock", origin: 삽입 시 왼쪽 요소 id (맨 앞이면 null), value: 문자 1개, deleted }
+// - site: 편집 주체 (웹소켓 연결별로 서버가 발급), clock: Lamport 시계
+// 동시에 같은 위치에 삽입된 요소는 (clock, site)가 큰 쪽이 앞에 오므로 모든 복제본이 같은 순서로 수렴
+
+const CRDT_SERVER_SITE = "server"; // 서버가 직접 생성하는 요소의 site
+
+// "site:clock" 형식의 요소 ID 파싱
+function parseCharId(charId) {
+  if (typeof charId !== "string") return null;
+  const sep = charId.lastIndexOf(":");
+  if (sep <= 0) return null;
+  const clock = Number(charId.slice(sep + 1));
+  if (!Number.isInteger(clock) || clock <= 0) return null;
+  return { site: charId.slice(0, sep), clock };
+}
+
+// 요소 ID 비교 (clock 우선, 같으면 site 문자열 비교)
+function compareCharIds(a, b) {
+  const pa = parseCharId(a);
+  const pb = parseCharId(b);
+  if (pa.clock !== pb.clock) return pa.clock - pb.clock;
+  if (pa.site === pb.site) return 0;
+  return pa.site > pb.site ? 1 : -1;
+}
+
+// chars → 문자열 (삭제되지 않은 요소만)
+function materializeChars(chars) {
+  let content = "";
+  for (const ch of chars) {
+    if (!ch.deleted) content += ch.value;
+  }
+  return content;
+}
+
+// 문자열로부터 chars 생성 (CRDT 데이터가 없는 기존 문서용)
+function seedCharsFromContent(content) {
+  const chars = [];
+  let origin = null;
+  let clock = 0;
+  for (const value of Array.from(content || "")) {
+    clock++;
+    const id = `${CRDT_SERVER_SITE}:${clock}`;
+    chars.push({ id, origin, value, deleted: false });
+    origin = id;
+  }
+  return { chars, clock };
+}
+
+// 저장된 chars 중 가장 큰 clock
+function getMaxClock(chars) {
+  let max = 0;
+  for (const ch of chars) {
+    const parsed = parseCharId(ch.id);
+    if (parsed && parsed.clock > max) max = parsed.clock;
+  }
+  return max;
+}
+
+// === CRDT 편집 상태 (메모리) ===
+// chars를 CRDT_BLOCK_SIZE 단위 블록으로 나눠 보관 (블록별 보이는 문자 수 유지)
+// - blockOf: 요소 ID → 블록 (ID 조회는 블록 안에서만 탐색)
+// - 보이는 문자 index 조회는 블록 단위로 건너뜀
+// - 이어서 입력된 문자(origin이 직전 삽입 요소)는 직전 위치에서 바로 삽입
+// state: { blocks: [{ items, visible }], blockOf: Map<id, block>, clock, last: 마지막 삽입 위치 }
+
+const CRDT_BLOCK_SIZE = 256;
+
+function createCrdtState(chars, clock = 0) {
+  const state = { blocks: [], blockOf: new Map(), clock: Math.max(clock, getMaxClock(chars)), last: null };
+  for (let i = 0; i < chars.length; i += CRDT_BLOCK_SIZE) {
+    const block = { items: chars.slice(i, i + CRDT_BLOCK_SIZE), visible: 0 };
+    for (const ch of block.items) {
+      state.blockOf.set(ch.id, block);
+      if (!ch.deleted) block.visible++;
+    }
+    state.blocks.push(block);
+  }
+  return state;
+}
+
+// 상태 → chars 배열 (저장/전송용)
+function getCrdtChars(state) {
+  return state.blocks.flatMap((block) => block.items);
+}
+
+function getCrdtContent(state) {
+  let content = "";
+  for (const block of state.blocks) {
+    for (const ch of block.items) {
+      if (!ch.deleted) content += ch.value;
+    }
+  }
+  return content;
+}
+
+function getCrdtVisibleLength(state) {
+  let length = 0;
+  for (const block of state.blocks) length += block.visible;
+  return length;
+}
+
+// 요소 위치 { blockIndex, offset } (없으면 null)
+function findCrdtChar(state, id) {
+  const last = state.last;
+  if (last && state.blocks[last.blockIndex]?.items[last.offset]?.id === id) return last;
+
+  const block = state.blockOf.get(id);
+  if (!block) return null;
+  return {
+    blockIndex: state.blocks.indexOf(block),
+    offset: block.items.findIndex((ch) => ch.id === id),
+  };
+}
+
+// 보이는 문자 기준 index번째 요소 위치
+function findVisibleCrdtPos(state, index) {
+  let remaining = index;
+  for (let blockIndex = 0; blockIndex < state.blocks.length; blockIndex++) {
+    const block = state.blocks[blockIndex];
+    if (remaining >= block.visible) {
+      remaining -= block.visible;
+      continue;
+    }
+    for (let offset = 0; offset < block.items.length; offset++) {
+      if (block.items[offset].deleted) continue;
+      if (remaining === 0) return { blockIndex, offset };
+      remaining--;
+    }
+  }
+  return null;
+}
+
+// 위치에 요소 삽입 (블록이 커지면 분할), 삽입된 위치 반환
+function insertCrdtItem(state, blockIndex, offset, item) {
+  if (state.blocks.length === 0) {
+    state.blocks.push({ items: [], visible: 0 });
+  }
+  const block = state.blocks[blockIndex];
+  block.items.splice(offset, 0, item);
+  block.visible++;
+  state.blockOf.set(item.id, block);
+
+  if (block.items.length < CRDT_BLOCK_SIZE * 2) return { blockIndex, offset };
+
+  const moved = block.items.splice(CRDT_BLOCK_SIZE);
+  const next = { items: moved, visible: 0 };
+  for (const ch of moved) {
+    state.blockOf.set(ch.id, next);
+    if (!ch.deleted) next.visible++;
+  }
+  block.visible -= next.visible;
+  state.blocks.splice(blockIndex + 1, 0, next);
+  return offset < CRDT_BLOCK_SIZE
+    ? { blockIndex, offset }
+    : { blockIndex: blockIndex + 1, offset: offset - CRDT_BLOCK_SIZE };
+}
+
+// 삽입 연산 통합 (이미 적용된 ID면 무시)
+function integrateInsert(state, op) {
+  if (state.blockOf.has(op.id)) return false;
+
+  let blockIndex = 0;
+  let offset = 0;
+  if (op.origin !== null) {
+    const origin = findCrdtChar(state, op.origin);
+    if (!origin) {
+      throw new Error("ORIGIN_NOT_FOUND");
+    }
+    blockIndex = origin.blockIndex;
+    offset = origin.offset + 1;
+  }
+
+  // 같은 origin 뒤에 동시에 삽입된, 우선순위가 더 높은 요소들은 건너뜀
+  while (blockIndex < state.blocks.length) {
+    const items = state.blocks[blockIndex].items;
+    if (offset >= items.length) {
+      if (blockIndex === state.blocks.length - 1) break;
+      blockIndex++;
+      offset = 0;
+      continue;
+    }
+    if (compareCharIds(items[offset].id, op.id) <= 0) break;
+    offset++;
+  }
+
+  state.last = insertCrdtItem(state, blockIndex, offset, {
+    id: op.id,
+    origin: op.origin,
+    value: op.value,
+    deleted: false,
+  });
+
+  const { clock } = parseCharId(op.id);
+  if (clock > state.clock) state.clock = clock;
+  return true;
+}
+
+// 삭제 연산 통합 (이미 삭제된 요소면 무시)
+function integrateDelete(state, op) {
+  const block = state.blockOf.get(op.id);
+  const target = block?.items.find((ch) => ch.id === op.id);
+  if (!target) {
+    throw new Error("TARGET_NOT_FOUND");
+  }
+  if (target.deleted) return false;
+  target.deleted = true;
+  block.visible--;
+  return true;
+}
+
+// index 기반 연산(insert/delete)을 CRDT 연산으로 변환하여 적용
+function applyIndexOp(state, op, siteId, applied) {
+  const visibleLength = getCrdtVisibleLength(state);
+
+  if (!Number.isInteger(op.index) || op.index < 0 || op.index > visibleLength) {
+    throw new Error("INVALID_INDEX");
+  }
+
+  if (op.type === "insert") {
+    if (typeof op.text !== "string" || op.text.length === 0) {
+      throw new Error("INVALID_TEXT");
+    }
+    if (visibleLength + op.text.length > MAX_DOC_CONTENT_LENGTH) {
+      throw new Error("CONTENT_TOO_LARGE");
+    }
+    let origin = null;
+    if (op.index > 0) {
+      const pos = findVisibleCrdtPos(state, op.index - 1);
+      origin = state.blocks[pos.blockIndex].items[pos.offset].id;
+    }
+    // 이어지는 문자는 직전 삽입 위치(state.last) 바로 뒤에 들어감
+    for (const value of Array.from(op.text)) {
+      const crdtOp = {
+        type: "insert",
+        id: `${siteId}:${state.clock + 1}`,
+        origin,
+        value,
+      };
+      integrateInsert(state, crdtOp);
+      applied.push(crdtOp);
+      origin = crdtOp.id;
+    }
+    return;
+  }
+
+  if (op.type === "delete") {
+    if (
+      !Number.isInteger(op.length) ||
+      op.length <= 0 ||
+      op.index + op.length > visibleLength
+    ) {
+      throw new Error("INVALID_RANGE");
+    }
+    let { blockIndex, offset } = findVisibleCrdtPos(state, op.index);
+    let remaining = op.length;
+    while (remaining > 0) {
+      const block = state.blocks[blockIndex];
+      if (offset >= block.items.length) {
+        blockIndex++;
+        offset = 0;
+        continue;
+      }
+      const ch = block.items[offset++];
+      if (ch.deleted) continue;
+      ch.deleted = true;
+      block.visible--;
+      applied.push({ type: "delete", id: ch.id });
+      remaining--;
+    }
+    return;
+  }
+
+  throw new Error("UNKNOWN_OP");
+}
+
+// 문서 전체 내용을 교체하는 CRDT 연산 생성 및 적용 (버전 복원 등 서버 주도 변경용)
+function replaceCrdtContent(state, newContent) {
+  const applied = [];
+  let lastId = null;
+  for (const block of state.blocks) {
+    for (const ch of block.items) {
+      lastId = ch.id;
+      if (!ch.deleted) {
+        ch.deleted = true;
+        applied.push({ type: "delete", id: ch.id });
+      }
+    }
+    block.visible = 0;
+  }
+
+  let origin = lastId;
+  for (const value of Array.from(newContent || "")) {
+    const op = {
+      type: "insert",
+      id: `${CRDT_SERVER_SITE}:${state.clock + 1}`,
+      origin,
+      value,
+    };
+    integrateInsert(state, op);
+    applied.push(op);
+    origin = op.id;
+  }
+  return applied;
+}
+
+// 편집 연산 배열을 CRDT 상태에 적용
+// - CRDT 연산: { type: "insert", id, origin, value } / { type: "delete", id }
+// - index 연산: { type: "insert", index, text } / { type: "delete", index, length } (index는 문자 단위)
+// siteId: 편집자의 site (CRDT 삽입 연산의 id는 반드시 자신의 site여야 함)
+// 반환: { ok, applied: 실제로 적용된 CRDT 연산 배열 } 또는 { ok: false, message }
+function applyCrdtOps(state, ops, siteId) {
+  const applied = [];
+
+  try {
+    for (const op of ops) {
+      if (!op || typeof op !== "object") {
+        return { ok: false, message: "편집 연산 형식이 올바르지 않습니다." };
+      }
+
+      // index 기반 연산
+      if (op.index !== undefined) {
+        applyIndexOp(state, op, siteId, applied);
+        continue;
+      }
+
+      if (op.type === "insert") {
+        const parsed = parseCharId(op.id);
+        if (!parsed || parsed.site !== siteId) {
+          return { ok: false, message: "삽입 연산의 ID가 올바르지 않습니다." };
+        }
+        if (op.origin !== null && !parseCharId(op.origin)) {
+          return { ok: false, message: "삽입 위치(origin)가 올바르지 않습니다." };
+        }
+        if (typeof op.value !== "string" || Array.from(op.value).length !== 1) {
+          return { ok: false, message: "삽입 요소는 문자 1개여야 합니다." };
+        }
+        const crdtOp = { type: "insert", id: op.id, origin: op.origin, value: op.value };
+        if (integrateInsert(state, crdtOp)) applied.push(crdtOp);
+      } else if (op.type === "delete") {
+        if (!parseCharId(op.id)) {
+          return { ok: false, message: "삭제 연산의 ID가 올바르지 않습니다." };
+        }
+        const crdtOp = { type: "delete", id: op.id };
+        if (integrateDelete(state, crdtOp)) applied.push(crdtOp);
+      } else {
+        return { ok: false, message: `알 수 없는 편집 연산: ${op.type}` };
+      }
+    }
+  } catch (error) {
+    switch (error.message) {
+      case "ORIGIN_NOT_FOUND":
+        return { ok: false, message: "삽입 위치(origin) 요소를 찾을 수 없습니다." };
+      case "TARGET_NOT_FOUND":
+        return { ok: false, message: "삭제할 요소를 찾을 수 없습니다." };
+      case "INVALID_INDEX":
+        return { ok: false, message: "편집 위치가 올바르지 않습니다." };
+      case "INVALID_TEXT":
+        return { ok: false, message: "삽입할 내용이 올바르지 않습니다." };
+      case "INVALID_RANGE":
+        return { ok: false, message: "삭제 범위가 올바르지 않습니다." };
+      case "UNKNOWN_OP":
+        return { ok: false, message: "알 수 없는 편집 연산입니다." };
+      case "CONTENT_TOO_LARGE":
+        return { ok: false, message: "문서 최대 길이를 초과했습니다.", code: ERROR_CODES.CONTENT_TOO_LARGE };
+      default:
+        throw error;
+    }
+  }
+
+  return { ok: true, applied };
+}
+
+// === 문서 상태 관리 함수 ===
+
+// 문서 상태 변경 및 전파
+async function setDocStatus(docId, status, broadcastMsg = null) {
+  // Redis 캐시 업데이트 (진행 중인 편집과 겹치지 않도록 편집 큐에서 실행)
+  const updated = await runDocEditExclusive(docId, () =>
+    updateDocCache(docId, { status }),
+  );
+
+  // 문서 열람 중인 유저들에게 상태 변경 알림
+  broadcastToDoc(docId, "docStatusChanged", {
+    time: Date.now(),
+    docId: docId,
+    status: status,
+    statusText:
+      status === DOC_STATUS.NORMAL
+        ? "normal"
+        : status === DOC_STATUS.DELETED
+          ? "deleted"
+          : "locked",
+    message: broadcastMsg,
+  });
+
+  return updated;
+}
+
+// 문서 잠금 (편집 불가)
+async function lockDoc(docId, reason = "동기화 작업 중입니다.") {
   console.log(`문서 잠금: ${docId}`);
   return await setDocStatus(docId, DOC_STATUS.LOCKED, reason);
 }
@@ -346,6 +1623,17 @@ async function unlockDoc(docId) {
   return await setDocStatus(docId, DOC_STATUS.NORMAL, "편집이 가능합니다.");
 }
 
+// 여러 문서 잠금 해제 (하나가 실패해도 나머지는 계속 해제)
+async function unlockDocs(docIds) {
+  for (const docId of docIds) {
+    try {
+      await unlockDoc(docId);
+    } catch (error) {
+      logError("DOC_UNLOCK", error);
+    }
+  }
+}
+
 // 문서가 편집 가능한 상태인지 확인
 async function isDocEditable(docId) {
   const doc = await getDocFromCache(docId);
@@ -355,9 +1643,110 @@ async function isDocEditable(docId) {
 
 // === Redis → Supabase 동기화 함수 ===
 
-// Redis 캐시를 Supabase로 동기화
-async function syncDocToSupabase(docId) {
-  const cachedDoc = await getDocFromCache(docId);
+// 진행 중인 동기화 작업: Map<docId, Promise> (같은 문서의 중복 동기화 방지)
+const docSyncsInFlight = new Map();
+
+// Redis 캐시를 Supabase로 동기화 (이미 진행 중이면 해당 작업 결과를 공유)
+// forceVersion: 버전 기록 정책(간격/크기 변화)과 관계없이 내용이 바뀌었으면 버전 기록
+//   (마지막 유저 퇴장, 버전 복원 시 사용)
+function syncDocToSupabase(docId, { forceVersion = false } = {}) {
+  const inFlight = docSyncsInFlight.get(docId);
+  if (inFlight) {
+    // 진행 중인 동기화는 버전 기록을 생략했을 수 있으므로 끝난 뒤 다시 실행
+    return forceVersion ? inFlight.then(() => syncDocToSupabase(docId, { forceVersion })) : inFlight;
+  }
+
+  const task = performDocSync(docId, forceVersion).finally(() => {
+    docSyncsInFlight.delete(docId);
+  });
+  docSyncsInFlight.set(docId, task);
+  return task;
+}
+
+const DOC_SYNC_LOCK_TTL_MS = 30000;
+const DOC_SYNC_LOCK_WAIT_MS = 10000; // forceVersion 동기화는 다른 인스턴스의 동기화가 끝날 때까지 대기
+
+async function performDocSync(docId, forceVersion) {
+  // 다른 인스턴스에서 같은 문서를 동기화 중이면 생략
+  const lockName = `docsync:${docId}`;
+  const token = await acquireLock(lockName, DOC_SYNC_LOCK_TTL_MS, forceVersion ? DOC_SYNC_LOCK_WAIT_MS : 0);
+  if (!token) {
+    console.log(`동기화 스킵 (다른 인스턴스에서 진행 중): ${docId}`);
+    return false;
+  }
+
+  const stopRenewal = keepLockAlive(lockName, token, DOC_SYNC_LOCK_TTL_MS);
+  try {
+    return await syncDocContent(docId, forceVersion);
+  } finally {
+    stopRenewal();
+    await releaseLock(lockName, token);
+  }
+}
+
+// === 버전 기록 정책 ===
+// 주기 동기화마다 버전을 남기지 않도록, 직전 버전 이후 일정 시간이 지났거나
+// 크기가 일정 이상 바뀐 경우에만 기록. 문서별 최근 DOC_VERSION_MAX_COUNT개만 보관
+
+const DOC_VERSION_MIN_INTERVAL_MS = Number(process.env.DOC_VERSION_MIN_INTERVAL_MS) || 5 * 60 * 1000;
+const DOC_VERSION_MIN_SIZE_DELTA = Number(process.env.DOC_VERSION_MIN_SIZE_DELTA) || 2000; // 바이트
+const DOC_VERSION_MAX_COUNT = Number(process.env.DOC_VERSION_MAX_COUNT) || 100;
+const DOC_VERSION_CREATE_ATTEMPTS = 3;
+
+// 직전 버전과 비교해 새 버전을 기록할지 결정
+function shouldRecordVersion(latest, content, size, forceVersion) {
+  if (!latest) return true;
+  if (latest.content === content) return false;
+  if (forceVersion) return true;
+  if (Date.now() - latest.createdAt.getTime() >= DOC_VERSION_MIN_INTERVAL_MS) return true;
+  return Math.abs(size - latest.size) >= DOC_VERSION_MIN_SIZE_DELTA;
+}
+
+// 버전 스냅샷 기록 (기록하지 않으면 null)
+// 다른 동기화와 버전 번호가 겹치면(P2002) 최신 버전을 다시 조회해서 재시도
+async function recordDocVersion(docId, cachedDoc, forceVersion) {
+  const size = Buffer.byteLength(cachedDoc.content, "utf8");
+
+  for (let attempt = 0; attempt < DOC_VERSION_CREATE_ATTEMPTS; attempt++) {
+    const latest = await prisma.documentVersion.findFirst({
+      where: { documentId: docId },
+      orderBy: { version: "desc" },
+      select: { version: true, content: true, size: true, createdAt: true },
+    });
+    if (!shouldRecordVersion(latest, cachedDoc.content, size, forceVersion)) return null;
+
+    try {
+      const version = await prisma.documentVersion.create({
+        data: {
+          documentId: docId,
+          version: (latest?.version || 0) + 1,
+          content: cachedDoc.content,
+          authors: cachedDoc.editors || [],
+          size: size,
+        },
+      });
+      await pruneDocVersions(docId, version.version);
+      return version;
+    } catch (dbError) {
+      if (dbError.code !== "P2002") throw dbError;
+    }
+  }
+  return null;
+}
+
+// 보관 개수를 넘은 오래된 버전 삭제
+async function pruneDocVersions(docId, latestVersion) {
+  const result = await prisma.documentVersion.deleteMany({
+    where: { documentId: docId, version: { lte: latestVersion - DOC_VERSION_MAX_COUNT } },
+  });
+  if (result.count > 0) console.log(`오래된 버전 정리: ${docId} (${result.count}개)`);
+}
+
+async function syncDocContent(docId, forceVersion = false) {
+  // 동기화 시작 시점까지 쌓인 변경 수 (동기화 중 발생한 변경은 dirty로 남김)
+  const pendingChanges = await getDocDirtyCount(docId);
+
+  const cachedDoc = await getDocWithChars(docId);
   if (!cachedDoc) {
     console.log(`동기화 스킵 (캐시 없음): ${docId}`);
     return false;
@@ -379,17 +1768,40 @@ async function syncDocToSupabase(docId) {
     if (dbDoc.status === DOC_STATUS.DELETED) {
       console.log(`동기화 스킵 (삭제된 문서): ${docId}`);
       await deleteDocFromCache(docId);
+      await clearDocDirty(docId);
       return false;
     }
 
-    // 캠시 내용을 DB에 동기화
+    // 캐시 내용을 DB에 동기화
     await prisma.documentData.update({
       where: { id: docId },
       data: {
         content: cachedDoc.content,
+        charsData: cachedDoc.chars || [],
       },
     });
-    console.log(`동기화 완료: ${docId}`);
+
+    // 버전 스냅샷 기록 (실패해도 내용 동기화는 유지)
+    let version = null;
+    try {
+      version = await recordDocVersion(docId, cachedDoc, forceVersion);
+    } catch (dbError) {
+      logError("DB_VERSION_CREATE", dbError);
+    }
+
+    // 기록된 편집자 목록 초기화 (동기화 이후 새 편집이 있었다면 다음 버전에 포함되도록 유지)
+    if (version) {
+      await runDocEditExclusive(docId, async () => {
+        const current = await getDocFromCache(docId);
+        if (current && current.revision === cachedDoc.revision) {
+          await updateDocCache(docId, { editors: [] });
+        }
+      });
+    }
+
+    await clearDocDirty(docId, pendingChanges);
+
+    console.log(`동기화 완료: ${docId}` + (version ? ` (버전 ${version.version})` : ""));
     return true;
   } catch (error) {
     logError("DOC_SYNC", error);
@@ -407,6 +1819,7 @@ async function loadDocToCache(docId) {
         channelId: true,
         name: true,
         content: true,
+        charsData: true,
         status: true,
         dir: true,
         parentId: true,
@@ -419,11 +1832,24 @@ async function loadDocToCache(docId) {
 
     if (!doc) return null;
 
+    // CRDT 상태 복원 (열람 중인 복제본이 없으므로 삭제된 요소는 정리)
+    // 저장된 chars가 없거나 content와 다르면 content 기준으로 새로 생성
+    const content = doc.content || "";
+    let chars = Array.isArray(doc.charsData)
+      ? doc.charsData.filter((ch) => !ch.deleted)
+      : [];
+    let clock = getMaxClock(chars);
+    if (materializeChars(chars) !== content) {
+      ({ chars, clock } = seedCharsFromContent(content));
+    }
+
     const cacheData = {
       id: doc.id,
+      cacheId: generateUUID(),
       channelId: doc.channelId,
       name: doc.name,
-      content: doc.content || "",
+      content: content,
+      clock: clock,
       status: doc.status,
       dir: doc.dir,
       parentId: doc.parentId,
@@ -431,9 +1857,11 @@ async function loadDocToCache(docId) {
       createdBy: doc.createdBy,
       createdAt: doc.createdAt.toISOString(),
       updatedAt: doc.updatedAt.toISOString(),
+      revision: 0, // 캐시 로드 이후 적용된 편집 횟수
+      editors: [], // 마지막 버전 기록 이후 편집한 유저 ID 목록
     };
 
-    await setDocToCache(docId, cacheData);
+    await setDocCacheWithChars(docId, cacheData, chars);
     console.log(`캐시 로드: ${docId}`);
     return cacheData;
   } catch (error) {
@@ -444,11 +1872,142 @@ async function loadDocToCache(docId) {
 
 // 문서 연결 해제 시 동기화 체크 (마지막 유저 퇴장 시)
 async function onDocDisconnect(docId) {
-  const remainingUsers = getDocUserCount(docId);
+  // 다른 인스턴스의 열람자까지 포함하여 판단
+  const remainingUsers = await getDocUserCount(docId);
 
   if (remainingUsers === 0) {
     console.log(`마지막 유저 퇴장, 동기화 시작: ${docId}`);
-    await syncDocToSupabase(docId);
+    await syncDocToSupabase(docId, { forceVersion: true });
+  }
+}
+
+// === 쓰기 지연(write-behind) 플러시 ===
+// 편집된 문서를 Redis 해시(docs:dirty)에 { docId: 미반영 변경 수 }로 기록하고
+// 주기적으로, 또는 변경 수가 임계값을 넘으면 즉시 Supabase로 동기화
+// 채널별 집합(docs:dirty:channel:{channelId})에도 기록 (검색 시 채널 단위로 조회)
+// 동기화가 끝난 문서는 채널 집합에서 바로 지우지 않고 조회할 때 정리
+
+const DIRTY_DOCS_KEY = "docs:dirty";
+const CHANNEL_DIRTY_DOCS_PREFIX = "docs:dirty:channel:";
+const DOC_FLUSH_INTERVAL_MS = Number(process.env.DOC_FLUSH_INTERVAL_MS) || 30000;
+const DOC_FLUSH_CHANGE_THRESHOLD = Number(process.env.DOC_FLUSH_CHANGE_THRESHOLD) || 500;
+
+// 변경 수를 차감하고 0 이하가 되면 제거 (원자적으로 실행)
+const CLEAR_DIRTY_SCRIPT = `
+local remaining = redis.call('HINCRBY', KEYS[1], ARGV[1], -tonumber(ARGV[2]))
+if remaining <= 0 then redis.call('HDEL', KEYS[1], ARGV[1]) end
+return remaining
+`;
+
+let docFlushTimer = null;
+let dirtyDocsFlush = null; // 진행 중인 전체 플러시 작업
+
+function getChannelDirtyDocsKey(channelId) {
+  return `${CHANNEL_DIRTY_DOCS_PREFIX}${channelId}`;
+}
+
+// 문서 변경 기록 (changes: 적용된 연산 수)
+async function markDocDirty(docId, changes, channelId) {
+  const pending = await safeRedis(async () => {
+    const [count] = await redis
+      .multi()
+      .hIncrBy(DIRTY_DOCS_KEY, docId, changes)
+      .sAdd(getChannelDirtyDocsKey(channelId), docId)
+      .exec();
+    return count;
+  }, 0);
+
+  // 임계값 초과 시 주기를 기다리지 않고 바로 동기화
+  if (pending >= DOC_FLUSH_CHANGE_THRESHOLD) {
+    syncDocToSupabase(docId);
+  }
+}
+
+// 채널들의 미반영 변경이 있는 문서 ID (이미 동기화된 항목은 채널 집합에서 정리)
+async function getChannelDirtyDocIds(channelIds) {
+  if (channelIds.length === 0) return [];
+  return await safeRedis(async () => {
+    const multi = redis.multi();
+    channelIds.forEach((channelId) => multi.sMembers(getChannelDirtyDocsKey(channelId)));
+    const members = await multi.exec();
+
+    const entries = [];
+    members.forEach((docIds, i) => docIds.forEach((docId) => entries.push({ channelId: channelIds[i], docId })));
+    if (entries.length === 0) return [];
+
+    const counts = await redis.hmGet(DIRTY_DOCS_KEY, entries.map((e) => e.docId));
+    const stale = redis.multi();
+    let staleCount = 0;
+    const dirtyIds = [];
+    entries.forEach((e, i) => {
+      if (counts[i] === null) {
+        stale.sRem(getChannelDirtyDocsKey(e.channelId), e.docId);
+        staleCount++;
+      } else {
+        dirtyIds.push(e.docId);
+      }
+    });
+    if (staleCount > 0) await stale.exec();
+    return dirtyIds;
+  }, []);
+}
+
+// 문서의 미반영 변경 수 조회
+async function getDocDirtyCount(docId) {
+  const count = await safeRedis(() => redis.hGet(DIRTY_DOCS_KEY, docId), null);
+  return Number(count) || 0;
+}
+
+// 동기화된 변경 수만큼 차감 (changes 미지정 시 기록 삭제)
+async function clearDocDirty(docId, changes = null) {
+  return await safeRedis(async () => {
+    if (changes === null) {
+      await redis.hDel(DIRTY_DOCS_KEY, docId);
+    } else if (changes > 0) {
+      await redis.eval(CLEAR_DIRTY_SCRIPT, {
+        keys: [DIRTY_DOCS_KEY],
+        arguments: [docId, String(changes)],
+      });
+    }
+    return true;
+  }, false);
+}
+
+// 변경된 모든 문서 동기화 (이미 진행 중이면 해당 작업 결과를 공유)
+function flushDirtyDocs() {
+  if (!dirtyDocsFlush) {
+    dirtyDocsFlush = performDirtyDocsFlush().finally(() => {
+      dirtyDocsFlush = null;
+    });
+  }
+  return dirtyDocsFlush;
+}
+
+async function performDirtyDocsFlush() {
+  try {
+    const docIds = await safeRedis(() => redis.hKeys(DIRTY_DOCS_KEY), []);
+    if (docIds.length === 0) return;
+
+    let syncedCount = 0;
+    for (const docId of docIds) {
+      if (await syncDocToSupabase(docId)) syncedCount++;
+    }
+    console.log(`주기 동기화: ${syncedCount}/${docIds.length}개 문서 반영`);
+  } catch (error) {
+    logError("DOC_FLUSH", error);
+  }
+}
+
+function startDocFlusher() {
+  if (docFlushTimer) return;
+  docFlushTimer = setInterval(flushDirtyDocs, DOC_FLUSH_INTERVAL_MS);
+  console.log(`주기 동기화 시작: ${DOC_FLUSH_INTERVAL_MS}ms 간격`);
+}
+
+function stopDocFlusher() {
+  if (docFlushTimer) {
+    clearInterval(docFlushTimer);
+    docFlushTimer = null;
   }
 }
 
@@ -465,6 +2024,33 @@ async function initPrisma() {
   }
 }
 
+// schema.prisma로 표현할 수 없어 마이그레이션 SQL에만 정의된 인덱스
+// prisma migrate가 생성한 마이그레이션이 이 인덱스들을 지우면 서버 시작을 중단
+const REQUIRED_DB_INDEXES = [
+  "document_data_active_path_key", // 삭제되지 않은 문서의 경로 유니크 (status = 0)
+  "document_data_name_trgm_idx",
+  "document_data_dir_trgm_idx",
+  "document_data_content_trgm_idx",
+];
+
+async function verifyDbIndexes() {
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT "indexname" FROM "pg_indexes" WHERE "indexname" = ANY(${REQUIRED_DB_INDEXES}::text[])
+    `;
+    const existing = new Set(rows.map((r) => r.indexname));
+    const missing = REQUIRED_DB_INDEXES.filter((name) => !existing.has(name));
+    if (missing.length === 0) return true;
+
+    console.error(`필수 DB 인덱스 누락: ${missing.join(", ")} - 서버 종료`);
+    console.error("prisma/schema.prisma의 DocumentData 주석을 참고해 인덱스를 다시 생성하세요.");
+  } catch (error) {
+    logError("DB_INDEX_CHECK", error);
+    console.error("DB 인덱스 확인 실패 - 서버 종료");
+  }
+  process.exit(1);
+}
+
 // === Redis 초기화 (실시간 문서 동기화용 - 선택적) ===
 const redis = createClient({
   url: process.env.REDIS_URL || "redis://localhost:6379",
@@ -493,32 +2079,12 @@ async function initRedis() {
     await redis.connect();
     console.log("Redis 연결됨");
 
-    // 서버 시작시 모든 Redis 캐시 초기화
+    // 이전 실행에서 남은 캐시를 DB와 맞춤 (문서는 요청 시 개별 로드)
     try {
-      await redis.flushDb();
-      console.log("Redis 초기화: 모든 캐시 삭제됨");
-    } catch (cacheError) {
-      logError("REDIS_CACHE_CLEAR", cacheError);
-      // 캐시 초기화 실패는 치명적이지 않으므로 계속 진행
-    }
-
-    // 모든 활성 문서를 Supabase에서 Redis로 로드
-    try {
-      const documents = await prisma.documentData.findMany({
-        where: {
-          status: { not: DOC_STATUS.DELETED },
-        },
-      });
-
-      let loadedCount = 0;
-      for (const doc of documents) {
-        await loadDocToCache(doc.id);
-        loadedCount++;
-      }
-      console.log(`Redis 문서 캐싱 완료: ${loadedCount}개 문서 로드됨`);
-    } catch (loadError) {
-      logError("REDIS_DOC_LOAD", loadError);
-      console.warn("문서 캐싱 실패 - 요청 시 개별 로드됨");
+      await reconcileDocCache();
+    } catch (reconcileError) {
+      logError("REDIS_CACHE_RECONCILE", reconcileError);
+      // 복구 실패는 치명적이지 않으므로 계속 진행
     }
 
     return true;
@@ -530,1003 +2096,6147 @@ async function initRedis() {
   }
 }
 
-// Redis 안전 실행 래퍼
-async function safeRedis(operation, fallback = null) {
-  try {
-    if (!redis.isOpen) {
-      console.warn("Redis 연결 끊김 - 작업 스킵");
-      return fallback;
-    }
-    return await operation();
-  } catch (error) {
-    logError("REDIS_OP", error);
-    return fallback;
+// === 클러스터 (다중 인스턴스) ===
+// 인스턴스 간 메시지: Redis pub/sub 채널 하나로 { origin, type, ... } 형식 전달
+// 구독 전용 연결이 필요하므로 별도 클라이언트 사용
+
+const CLUSTER_BUS_CHANNEL = "syncwhere:bus";
+const redisSub = redis.duplicate();
+
+redisSub.on("error", (err) => {
+  if (err.code !== "ECONNREFUSED" || !redisSub._errorLogged) {
+    logError("REDIS_SUB", err);
+    if (err.code === "ECONNREFUSED") redisSub._errorLogged = true;
   }
+});
+
+let presenceHeartbeatTimer = null;
+
+// 다른 인스턴스로 메시지 전달 (결과를 기다리지 않음)
+function publishToCluster(type, payload) {
+  if (!redis.isOpen) return;
+  const message = JSON.stringify({ origin: INSTANCE_ID, type, ...payload });
+  redis
+    .publish(CLUSTER_BUS_CHANNEL, message)
+    .catch((error) => logError("CLUSTER_PUBLISH", error));
 }
 
-// === 서버 초기화 ===
-async function initServer() {
-  await initPrisma();
-  await initRedis();
+// 다른 인스턴스에서 온 메시지 처리
+function handleClusterMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (parseError) {
+    logError("CLUSTER_PARSE", parseError);
+    return;
+  }
+
+  // 자신이 보낸 메시지는 이미 로컬에서 처리됨
+  if (message.origin === INSTANCE_ID) return;
+
+  switch (message.type) {
+    case "channel":
+      deliverToChannel(message.channelId, message.event, message.data);
+      break;
+
+    case "doc":
+      deliverToDoc(message.docId, message.event, message.data);
+      break;
+
+    case "user":
+      deliverToUser(message.userId, message.event, message.data);
+      break;
+
+    case "disconnectUser":
+      disconnectLocalUser(message.userId, message.code, message.reason);
+      break;
+
+    case "revokeSession":
+      disconnectLocalSession(message.sessionId, message.code, message.reason);
+      break;
+
+    case "evictMember":
+      evictLocalMember(message.channelId, message.userId, message.event, message.data);
+      break;
+
+    case "memberRole":
+      applyLocalMemberRole(message.channelId, message.userId, message.role);
+      break;
+
+    case "userStatus":
+      applyLocalUserStatus(message.userId, message.status);
+      break;
+
+    case "folderAcl":
+      refreshLocalDocAccess(message.channelId);
+      break;
+
+    case "docEvict":
+      evictLocalDocViewers(message.docId, message.event, message.data);
+      break;
+
+    default:
+      console.warn(`알 수 없는 클러스터 메시지: ${message.type}`);
+      break;
+  }
 }
-initServer();
-app.use(express.json());
-app.use(cors({ origin: true, credentials: true }));
 
-// 환경 변수
-const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, REDIRECT_URI } = process.env;
-const JWT_SECRET = process.env.JWT_SECRET || "your-jwt-secret-key";
+// 구독 연결 및 하트비트 시작
+async function initCluster() {
+  try {
+    await sendInstanceHeartbeat();
+    presenceHeartbeatTimer = setInterval(sendInstanceHeartbeat, PRESENCE_HEARTBEAT_MS);
 
-// Google OAuth 로그인 API (nginx에서 /api → :3000 프록시)
-app.post("/auth/google", async (req, res) => {
-  const { code, platform, redirect_uri } = req.body;
+    await redisSub.connect();
+    await redisSub.subscribe(CLUSTER_BUS_CHANNEL, handleClusterMessage);
+    console.log(`클러스터 연결됨: 인스턴스 ${INSTANCE_ID}`);
+    return true;
+  } catch (error) {
+    logError("CLUSTER_INIT", error);
+    console.warn("클러스터 구독 실패 - 다른 인스턴스의 브로드캐스트를 받을 수 없음");
+    return false;
+  }
+}
 
-  if (!code) {
-    return res.status(400).json({ error: "Authorization code is required" });
+// 인스턴스 하트비트 갱신
+async function sendInstanceHeartbeat() {
+  await safeRedis(
+    () => redis.set(getInstanceKey(INSTANCE_ID), String(Date.now()), { PX: PRESENCE_TTL_MS }),
+    null,
+  );
+}
+
+// 이 인스턴스 외에 살아있는 인스턴스 수
+async function countOtherInstances() {
+  let count = 0;
+  for await (const key of redis.scanIterator({ MATCH: getInstanceKey("*"), COUNT: 100 })) {
+    if (key !== getInstanceKey(INSTANCE_ID)) count++;
   }
+  return count;
+}
 
-  // 클라이언트 IP 추출
-  const ip =
-    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
-    req.socket.remoteAddress ||
-    null;
-  const userAgent = req.headers["user-agent"] || null;
+// 종료 시 이 인스턴스의 presence 및 하트비트 제거
+async function leaveCluster() {
+  if (presenceHeartbeatTimer) {
+    clearInterval(presenceHeartbeatTimer);
+    presenceHeartbeatTimer = null;
+  }
 
-  // 클라이언트에서 보낸 redirect_uri 사용 (없으면 환경변수 사용)
-  const finalRedirectUri = redirect_uri || REDIRECT_URI;
+  await safeRedis(async () => {
+    const multi = redis.multi();
+    wss.clients.forEach((ws) => {
+      if (!ws.connId) return;
+      const field = getPresenceField(ws);
+      if (ws.currentChannel) multi.hDel(getChannelPresenceKey(ws.currentChannel), field);
+      if (ws.currentDoc) multi.hDel(getDocPresenceKey(ws.currentDoc), field);
+      multi.hDel(getUserPresenceKey(ws.user.id), field);
+    });
+    multi.del(getInstanceKey(INSTANCE_ID));
+    await multi.exec();
+  });
 
   try {
-    // code → access token 교환
-    let tokenRes;
-    try {
-      tokenRes = await fetch("https://oauth2.googleapis.com/token", {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: new URLSearchParams({
-          code,
-          client_id: GOOGLE_CLIENT_ID,
-          client_secret: GOOGLE_CLIENT_SECRET,
-          redirect_uri: finalRedirectUri,
-          grant_type: "authorization_code",
-        }),
-      });
-    } catch (fetchError) {
-      logError("GOOGLE_TOKEN_FETCH", fetchError);
-      return res.status(502).json({ error: "Google 서버 연결 실패" });
-    }
+    if (redisSub.isOpen) await redisSub.quit();
+  } catch (e) {
+    logError("REDIS_SUB_CLOSE", e);
+  }
+}
 
-    const tokenData = await tokenRes.json();
+// === 분산 잠금 ===
+// Redis SET NX PX 기반. 획득 시 토큰 반환, 대기 시간 내 실패 시 null
+// Redis를 사용할 수 없으면 단일 인스턴스로 간주하고 "local" 반환
+// 작업 시간이 TTL보다 길어질 수 있으면 keepLockAlive로 작업 중 TTL 연장
 
-    if (tokenData.error) {
-      logError("GOOGLE_TOKEN", {
-        message: tokenData.error_description,
-        code: tokenData.error,
-      });
-      return res.status(400).json({
-        error: tokenData.error,
-        error_description: tokenData.error_description,
-      });
-    }
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
 
-    // 사용자 정보 요청
-    let userRes;
-    try {
-      userRes = await fetch("https://www.googleapis.com/oauth2/v2/userinfo", {
-        headers: { Authorization: `Bearer ${tokenData.access_token}` },
-      });
-    } catch (fetchError) {
-      logError("GOOGLE_USERINFO_FETCH", fetchError);
-      return res.status(502).json({ error: "Google 사용자 정보 조회 실패" });
-    }
+async function acquireLock(name, ttlMs, waitMs = 0) {
+  if (!redis.isOpen) return "local";
 
-    const googleUser = await userRes.json();
-    if (googleUser.error) {
-      logError("GOOGLE_USERINFO", { message: googleUser.error });
-      return res.status(400).json({ error: googleUser.error });
-    }
+  const key = `lock:${name}`;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
 
-    // DB에 유저 정보 저장 (upsert)
-    let userData;
+  while (true) {
     try {
-      userData = await prisma.userData.upsert({
-        where: {
-          provider_providerId: {
-            provider: "google",
-            providerId: googleUser.id,
-          },
-        },
-        update: {
-          email: googleUser.email,
-          name: googleUser.name,
-          picture: googleUser.picture,
-        },
-        create: {
-          provider: "google",
-          providerId: googleUser.id,
-          email: googleUser.email,
-          name: googleUser.name,
-          picture: googleUser.picture,
-        },
-      });
-    } catch (dbError) {
-      logError("DB_USER_UPSERT", dbError);
-      return res.status(500).json({ error: "사용자 정보 저장 실패" });
+      const result = await redis.set(key, token, { NX: true, PX: ttlMs });
+      if (result === "OK") return token;
+    } catch (error) {
+      logError("REDIS_LOCK", error);
+      return "local";
     }
+    if (Date.now() >= deadline) return null;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
 
-    // 로그인 기록 저장 (실패해도 진행)
-    try {
-      await prisma.userLogin.create({
-        data: {
-          userId: userData.id,
-          platform: platform || "unknown",
-          ip,
-          userAgent,
-        },
-      });
-    } catch (loginLogError) {
-      logError("DB_LOGIN_LOG", loginLogError);
-      // 로그인 기록 실패는 치명적이지 않으므로 계속 진행
-    }
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return 0
+`;
 
-    // JWT 발급 (내부 UUID, 구글ID, 이메일, 접속환경을 페이로드로)
-    const token = jwt.sign(
-      {
-        id: userData.id,
-        userid: googleUser.id,
-        email: googleUser.email,
-        platform: platform || "unknown",
-      },
-      JWT_SECRET,
-      { expiresIn: "24h" },
+// 잠금 유지: TTL의 1/3마다 만료 시각 연장, 반환된 함수로 중지
+function keepLockAlive(name, token, ttlMs) {
+  if (!token || token === "local") return () => {};
+
+  const timer = setInterval(async () => {
+    const renewed = await safeRedis(
+      () => redis.eval(RENEW_LOCK_SCRIPT, { keys: [`lock:${name}`], arguments: [token, String(ttlMs)] }),
+      null,
     );
+    if (renewed === 0) {
+      console.warn(`잠금 연장 실패 (이미 만료됨): ${name}`);
+      clearInterval(timer);
+    }
+  }, Math.floor(ttlMs / 3));
+  timer.unref();
+  return () => clearInterval(timer);
+}
 
-    res.json({
-      token,
-      user: { id: userData.id, userid: googleUser.id, email: googleUser.email },
-    });
+async function releaseLock(name, token) {
+  if (!token || token === "local") return;
+  await safeRedis(
+    () => redis.eval(RELEASE_LOCK_SCRIPT, { keys: [`lock:${name}`], arguments: [token] }),
+    null,
+  );
+}
+
+// Redis 안전 실행 래퍼
+async function safeRedis(operation, fallback = null) {
+  try {
+    if (!redis.isOpen) {
+      console.warn("Redis 연결 끊김 - 작업 스킵");
+      return fallback;
+    }
+    return await operation();
   } catch (error) {
-    logError("OAUTH", error);
-    res.status(500).json({ error: "인증 처리 중 오류가 발생했습니다" });
+    logError("REDIS_OP", error);
+    return fallback;
   }
-});
+}
 
-// HTTP + WebSocket 서버
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server, path: "/ws" });
+// === 서버 초기화 ===
+async function initServer() {
+  await initPrisma();
+  await verifyDbIndexes();
+  await loadInactiveUsers();
+  const redisReady = await initRedis();
+  if (redisReady) {
+    await initCluster();
+    startDocFlusher();
+    startDocCacheSweeper();
+  }
+  startTrashPurger();
+  startSessionPurger();
+}
+initServer();
+app.use(express.json());
+app.use(cors({ origin: true, credentials: true }));
 
-// WebSocket 연결 처리 (nginx에서 /ws → :3000/ws 프록시)
-// 작업중 - 최초 접속시 토큰 검증
-wss.on("connection", (ws, req) => {
-  try {
-    const params = new URLSearchParams(req.url?.split("?")[1] || "");
-    const token = params.get("token");
+// 환경 변수
+const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, REDIRECT_URI } = process.env;
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    console.error("JWT_SECRET 환경 변수가 설정되지 않았습니다.");
+    process.exit(1);
+  }
+  console.warn("JWT_SECRET 미설정 - 개발용 기본값 사용");
+}
+const JWT_SECRET = process.env.JWT_SECRET || "your-jwt-secret-key";
 
-    if (!token) {
-      ws.close(1008, "No token");
-      return;
-    }
+// === 인증 세션 ===
+// access token: 짧은 수명의 JWT (sid = 세션 ID)
+// refresh token: "세션ID.비밀값" 형식, DB에는 해시만 저장하고 재발급할 때마다 교체
+// - 이미 교체된 refresh token이 다시 쓰이면 탈취로 보고 세션 폐기
+//   (교체 직후 유예 시간 안의 직전 토큰은 응답 유실 재시도/동시 요청으로 보고 새로 발급)
+// - 폐기된 세션은 Redis(auth:revoked:<sid>)에 access token 수명 동안 기록, 연결된 웹소켓은 종료
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-      if (err) {
-        logError("JWT_VERIFY", err);
-        ws.close(1008, "Invalid token");
-        return;
-      }
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_SEC) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// 교체 직후 직전 refresh token 재사용 허용 시간
+const REFRESH_TOKEN_REUSE_GRACE_MS = Number(process.env.REFRESH_TOKEN_REUSE_GRACE_MS) || 30 * 1000;
+const SESSION_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const SESSION_RETENTION_DAYS = 30; // 만료/폐기 후 보관 기간
 
-      ws.user = user;
-      console.log(`WS 연결: ${user.email} (${user.platform})`);
+let sessionPurgeTimer = null;
 
-      // 메시지 수신 처리
-      ws.on("message", async (msg) => {
-        let event = "unknown";
-        try {
-          let parsed;
-          try {
-            parsed = JSON.parse(msg);
-          } catch (parseError) {
-            logError("JSON_PARSE", parseError);
-            sendErrorResponse(ws, "unknown", "잘못된 메시지 형식입니다");
-            return;
-          }
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-          event = parsed.event;
-          const data = parsed.data || {};
+function getRevokedSessionKey(sessionId) {
+  return `auth:revoked:${sessionId}`;
+}
 
-          if (!event) {
-            sendErrorResponse(ws, "unknown", "이벤트명이 필요합니다");
-            return;
-          }
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
 
-          switch (event) {
-            case "ping":
-              safeSend(ws, {
-                event: "pong",
-                data: { time: Date.now(), message: "pong!" },
-              });
-              break;
-
-            // 채널 생성, 가입, 목록조회, 탈퇴
-            case "createChannel":
-              await handleCreateChannel(ws, data);
-              break;
-
-            case "joinChannel":
-              await handleJoinChannel(ws, data);
-              break;
-
-            case "listChannel":
-              await handleListChannel(ws, data);
-              break;
-
-            case "quitChannel":
-              await handleQuitChannel(ws, data);
-              break;
-
-            // 문서 생성, 삭제, 목록
-            case "createDoc":
-              await handleCreateDoc(ws, data);
-              break;
-
-            case "deleteDoc":
-              await handleDeleteDoc(ws, data);
-              break;
-
-            case "listDoc":
-              await handleListDoc(ws, data);
-              break;
-
-            // 채널 입장/퇴장 (실시간 연결 관리)
-            case "enterChannel":
-              await handleEnterChannel(ws, data);
-              break;
-
-            case "leaveChannel":
-              await handleLeaveChannel(ws, data);
-              break;
-
-            // 문서 열람 입장/퇴장
-            case "enterDoc":
-              await handleEnterDoc(ws, data);
-              break;
-
-            case "leaveDoc":
-              await handleLeaveDoc(ws, data);
-              break;
-
-            // 문서 수정 (경로, 이름 변경)
-            case "updateDoc":
-              await handleUpdateDoc(ws, data);
-              break;
-
-            // 채널 내 현재 접속 유저 조회
-            case "getChannelUsers":
-              await handleGetChannelUsers(ws, data);
-              break;
-
-            // 문서 열람 중인 유저 조회
-            case "getDocUsers":
-              await handleGetDocUsers(ws, data);
-              break;
-
-            // 문서 상태 조회
-            case "getDocStatus":
-              await handleGetDocStatus(ws, data);
-              break;
-
-            default:
-              sendErrorResponse(ws, event, `알 수 없는 이벤트: ${event}`);
-              break;
-          }
-        } catch (e) {
-          logError(`WS_MESSAGE(${event})`, e);
-          sendErrorResponse(ws, event, "요청 처리 중 오류가 발생했습니다");
-        }
-      });
+function getRefreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
 
-      ws.on("close", (code, reason) => {
-        console.log(`WS 종료: ${user.email} (code: ${code})`);
+// refresh token 분리 (형식이 틀리면 null)
+function parseRefreshToken(token) {
+  if (typeof token !== "string") return null;
+  const [sessionId, secret, ...rest] = token.split(".");
+  if (!UUID_PATTERN.test(sessionId || "") || !secret || rest.length > 0) return null;
+  return { sessionId, secret };
+}
 
-        // 웹소켓 연결 종료 시 채널/문서에서 정리
-        const userId = ws.user?.id;
-        const channelId = ws.currentChannel;
-        const docId = ws.currentDoc;
+function createRefreshSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
 
-        // 문서에서 퇴장 처리
-        if (docId) {
-          removeFromDoc(docId, ws);
-          // 문서 열람 중인 다른 유저들에게 퇴장 알림
-          broadcastToDoc(docId, "userLeftDoc", {
-            time: Date.now(),
-            docId: docId,
-            userId: userId,
-            email: ws.user?.email,
-            reason: "disconnected",
-          });
+function signAccessToken(userData, sessionId, platform) {
+  return jwt.sign(
+    {
+      id: userData.id,
+      userid: userData.providerId,
+      email: userData.email,
+      platform: platform,
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SEC },
+  );
+}
 
-          // 마지막 유저 퇴장 시 동기화 체크
-          onDocDisconnect(docId);
-        }
+// 로그인 응답용 토큰 발급 (세션 생성)
+async function createAuthSession(userData, { platform, ip, userAgent }) {
+  const sessionId = await generateUniqueId("authSession");
+  const secret = createRefreshSecret();
+  await prisma.authSession.create({
+    data: {
+      id: sessionId,
+      userId: userData.id,
+      refreshTokenHash: hashToken(secret),
+      platform: platform,
+      ip: ip,
+      userAgent: userAgent,
+      expiresAt: getRefreshTokenExpiry(),
+    },
+  });
+  return {
+    token: signAccessToken(userData, sessionId, platform),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SEC,
+    sessionId: sessionId,
+  };
+}
 
-        // 채널에서 퇴장 처리
-        if (channelId) {
-          removeFromChannel(channelId, ws);
-          // 채널 내 다른 유저들에게 퇴장 알림
-          broadcastToChannel(channelId, "userLeft", {
-            time: Date.now(),
-            channelId: channelId,
-            userId: userId,
-            email: ws.user?.email,
-            reason: "disconnected",
-          });
-        }
-      });
+// Redis를 사용할 수 없으면 DB의 세션 폐기 여부로 확인 (DB도 실패하면 폐기된 것으로 간주)
+async function isSessionRevoked(sessionId) {
+  const exists = await safeRedis(() => redis.exists(getRevokedSessionKey(sessionId)), null);
+  if (exists !== null) return exists === 1;
 
-      ws.on("error", (error) => {
-        logError(`WS_ERROR(${user.email})`, error);
-      });
+  try {
+    const session = await prisma.authSession.findUnique({
+      where: { id: sessionId },
+      select: { revokedAt: true },
     });
-  } catch (error) {
-    logError("WS_CONNECTION", error);
-    try {
-      ws.close(1011, "Server error");
-    } catch (closeError) {
-      // 이미 닫혔을 수 있음
+    return !session || session.revokedAt !== null;
+  } catch (dbError) {
+    logError("DB_SESSION_FIND", dbError);
+    return true;
+  }
+}
+
+// 이 인스턴스에서 특정 세션의 웹소켓 종료
+function disconnectLocalSession(sessionId, code, reason) {
+  let closedCount = 0;
+  wss.clients.forEach((ws) => {
+    if (ws.sessionId === sessionId) {
+      ws.close(code, reason);
+      closedCount++;
     }
+  });
+  return closedCount;
+}
+
+// 세션 폐기 목록 기록 + 전체 인스턴스에서 해당 세션 연결 종료
+async function markSessionsRevoked(sessionIds, reason = "Session revoked") {
+  for (const sessionId of sessionIds) {
+    await safeRedis(
+      () => redis.set(getRevokedSessionKey(sessionId), "1", { EX: ACCESS_TOKEN_TTL_SEC }),
+      null,
+    );
+    disconnectLocalSession(sessionId, 1008, reason);
+    publishToCluster("revokeSession", { sessionId, code: 1008, reason });
   }
-});
+}
 
-// === 채널 핸들러 (Supabase 직접 조회) ===
+// 세션 폐기 (where 조건에 맞는 폐기되지 않은 세션 전체), 폐기된 세션 ID 반환
+async function revokeSessions(where, reason) {
+  const sessions = await prisma.authSession.findMany({
+    where: { ...where, revokedAt: null },
+    select: { id: true },
+  });
+  if (sessions.length === 0) return [];
 
-// 채널 생성
-async function handleCreateChannel(ws, data) {
-  const { channelName } = data;
-  const userId = ws.user.id; // JWT에서 검증된 유저 ID 사용
+  const sessionIds = sessions.map((s) => s.id);
+  await prisma.authSession.updateMany({
+    where: { id: { in: sessionIds }, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  await markSessionsRevoked(sessionIds, reason);
+  return sessionIds;
+}
 
-  if (!channelName || typeof channelName !== "string") {
-    return sendSystemMessage(ws, "채널명을 입력해주세요.");
+// 만료/폐기 후 보관 기간이 지난 세션 삭제
+async function purgeExpiredSessions() {
+  const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    const result = await prisma.authSession.deleteMany({
+      where: { OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }] },
+    });
+    if (result.count > 0) console.log(`만료 세션 정리: ${result.count}개 삭제`);
+  } catch (error) {
+    logError("SESSION_PURGE", error);
+  }
+}
+
+function startSessionPurger() {
+  if (sessionPurgeTimer) return;
+  purgeExpiredSessions();
+  sessionPurgeTimer = setInterval(purgeExpiredSessions, SESSION_PURGE_INTERVAL_MS);
+}
+
+function stopSessionPurger() {
+  if (sessionPurgeTimer) {
+    clearInterval(sessionPurgeTimer);
+    sessionPurgeTimer = null;
   }
+}
 
-  if (channelName.length > 50) {
-    return sendSystemMessage(ws, "채널명은 50자 이하로 입력해주세요.");
+// HTTP 요청의 access token 검증 (Authorization: Bearer <token>) → req.user
+async function authenticateRequest(req, res, next) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  if (!token) {
+    return res.status(401).json({ error: "인증 토큰이 필요합니다" });
   }
 
+  let user;
   try {
-    // Supabase에서 채널 존재 여부 확인 (삭제되지 않은 채널만)
-    let existingChannel;
-    try {
-      existingChannel = await prisma.channelData.findFirst({
-        where: { name: channelName, status: 0 },
-      });
-    } catch (dbError) {
-      logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
-    }
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: "유효하지 않은 토큰입니다" });
+  }
+  if (!user.sid || (await isSessionRevoked(user.sid))) {
+    return res.status(401).json({ error: "만료된 세션입니다" });
+  }
 
-    if (existingChannel) {
-      return sendSystemMessage(ws, "이미 존재하는 채널입니다.");
-    }
+  req.user = user;
+  next();
+}
 
-    // UUID 중복 방지
-    const channelId = await generateUniqueId("channelData");
-    const memberId = await generateUniqueId("channelMember");
+// 클라이언트 IP / User-Agent
+function getRequestClientInfo(req) {
+  return {
+    ip: req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.socket.remoteAddress || null,
+    userAgent: req.headers["user-agent"] || null,
+  };
+}
 
-    // Supabase에 채널 생성 (트랜잭션으로 채널 + 멤버 동시 생성)
-    let channel;
-    try {
-      channel = await prisma.$transaction(async (tx) => {
-        const newChannel = await tx.channelData.create({
-          data: {
-            id: channelId,
-            name: channelName,
-            createdBy: userId,
-          },
-        });
+// === 로그인 제공자 ===
+// 제공자마다 인가 코드 → 사용자 정보(profile: { providerId, email, name, picture }) 교환 방식만 다름
+// - google: Google OAuth (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET)
+// - github: GitHub OAuth App (GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET)
+// - OIDC: 발급자(OIDC_ISSUER)의 discovery 문서 기준, 이름은 OIDC_PROVIDER_NAME (기본 "oidc")
+// - local: 이메일/비밀번호 (/auth/local/*)
+// 한 유저(UserData)에 제공자별로 하나씩 로그인 계정(UserIdentity)을 연결할 수 있음
+// UserData.provider/providerId는 대표 계정 (가입 시 사용한 계정)
+
+const { GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET, OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET } = process.env;
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || "oidc";
+const LOCAL_PROVIDER = "local";
+const AUTH_PROVIDER_TIMEOUT_MS = 10000;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const authProviders = new Map();
+
+function registerAuthProvider(name, provider) {
+  authProviders.set(name, provider);
+}
 
-        // 생성자를 멤버로 추가 (permission: 0 = 오너)
-        await tx.channelMember.create({
-          data: {
-            id: memberId,
-            channelId: newChannel.id,
-            userId: userId,
-            permission: 0,
-            status: 0,
-            joinOrder: 1,
-          },
-        });
+function providerError(status, body) {
+  return { error: { status, body } };
+}
 
-        return newChannel;
-      });
-    } catch (txError) {
-      logError("DB_CHANNEL_CREATE_TX", txError);
-      return sendSystemMessage(
-        ws,
-        "채널 생성 중 데이터베이스 오류가 발생했습니다.",
+// 외부 API JSON 요청 (연결 실패 시 null)
+async function fetchProviderJson(context, url, options = {}) {
+  try {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(AUTH_PROVIDER_TIMEOUT_MS) });
+    return { status: response.status, body: await response.json() };
+  } catch (fetchError) {
+    logError(context, fetchError);
+    return null;
+  }
+}
+
+// 인가 코드 → access token
+async function requestOAuthToken(label, tokenUrl, params) {
+  const result = await fetchProviderJson(`${label}_TOKEN_FETCH`, tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: new URLSearchParams({ ...params, grant_type: "authorization_code" }),
+  });
+  if (!result) return providerError(502, { error: `${label} 서버 연결 실패` });
+  if (result.body.error || !result.body.access_token) {
+    logError(`${label}_TOKEN`, { message: result.body.error_description, code: result.body.error });
+    return providerError(400, {
+      error: result.body.error || "invalid_grant",
+      error_description: result.body.error_description,
+    });
+  }
+  return { accessToken: result.body.access_token };
+}
+
+// access token으로 사용자 정보 조회
+async function requestOAuthUserInfo(label, url, accessToken, headers = {}) {
+  const result = await fetchProviderJson(`${label}_USERINFO_FETCH`, url, {
+    headers: { Authorization: `Bearer ${accessToken}`, ...headers },
+  });
+  if (!result) return providerError(502, { error: `${label} 사용자 정보 조회 실패` });
+  if (result.status !== 200 || result.body.error) {
+    logError(`${label}_USERINFO`, { message: result.body.error || result.body.message });
+    return providerError(400, { error: result.body.error || "invalid_token" });
+  }
+  return { userInfo: result.body };
+}
+
+registerAuthProvider("google", {
+  isEnabled: () => true,
+  async exchangeCode({ code, redirectUri }) {
+    const token = await requestOAuthToken("GOOGLE", "https://oauth2.googleapis.com/token", {
+      code,
+      client_id: GOOGLE_CLIENT_ID,
+      client_secret: GOOGLE_CLIENT_SECRET,
+      redirect_uri: redirectUri || REDIRECT_URI,
+    });
+    if (token.error) return token;
+
+    const info = await requestOAuthUserInfo(
+      "GOOGLE",
+      "https://www.googleapis.com/oauth2/v2/userinfo",
+      token.accessToken,
+    );
+    if (info.error) return info;
+
+    const { id, email, name, picture } = info.userInfo;
+    return { profile: { providerId: String(id), email, name, picture } };
+  },
+});
+
+const GITHUB_API_HEADERS = { Accept: "application/vnd.github+json", "User-Agent": "syncwhere" };
+
+registerAuthProvider("github", {
+  isEnabled: () => !!GITHUB_CLIENT_ID,
+  async exchangeCode({ code, redirectUri }) {
+    const token = await requestOAuthToken("GITHUB", "https://github.com/login/oauth/access_token", {
+      code,
+      client_id: GITHUB_CLIENT_ID,
+      client_secret: GITHUB_CLIENT_SECRET,
+      ...(redirectUri ? { redirect_uri: redirectUri } : {}),
+    });
+    if (token.error) return token;
+
+    const info = await requestOAuthUserInfo("GITHUB", "https://api.github.com/user", token.accessToken, GITHUB_API_HEADERS);
+    if (info.error) return info;
+
+    // 공개 이메일이 없으면 인증된 대표 이메일 사용
+    let email = info.userInfo.email;
+    if (!email) {
+      const emails = await requestOAuthUserInfo(
+        "GITHUB",
+        "https://api.github.com/user/emails",
+        token.accessToken,
+        GITHUB_API_HEADERS,
       );
+      if (!emails.error && Array.isArray(emails.userInfo)) {
+        email = emails.userInfo.find((e) => e.primary && e.verified)?.email || null;
+      }
     }
 
-    // 채널 생성 후, 최상위 디렉토리 마커(.option) 문서 자동 생성
-    // root의 .option: dir="root", parentId=null, depth=0
-    try {
-      await prisma.documentData.create({
+    const { id, login, name, avatar_url: picture } = info.userInfo;
+    return { profile: { providerId: String(id), email, name: name || login, picture } };
+  },
+});
+
+// OIDC discovery 문서 (성공 시 캐시)
+let oidcConfig = null;
+async function getOidcConfig() {
+  if (oidcConfig) return oidcConfig;
+  const result = await fetchProviderJson(
+    "OIDC_DISCOVERY",
+    `${OIDC_ISSUER.replace(/\/$/, "")}/.well-known/openid-configuration`,
+  );
+  if (!result || result.status !== 200 || !result.body.token_endpoint || !result.body.userinfo_endpoint) {
+    return null;
+  }
+  oidcConfig = result.body;
+  return oidcConfig;
+}
+
+registerAuthProvider(OIDC_PROVIDER_NAME, {
+  isEnabled: () => !!OIDC_ISSUER && !!OIDC_CLIENT_ID,
+  async exchangeCode({ code, redirectUri }) {
+    const config = await getOidcConfig();
+    if (!config) return providerError(502, { error: "OIDC 설정 조회 실패" });
+
+    const token = await requestOAuthToken("OIDC", config.token_endpoint, {
+      code,
+      client_id: OIDC_CLIENT_ID,
+      client_secret: OIDC_CLIENT_SECRET || "",
+      redirect_uri: redirectUri || REDIRECT_URI,
+    });
+    if (token.error) return token;
+
+    const info = await requestOAuthUserInfo("OIDC", config.userinfo_endpoint, token.accessToken);
+    if (info.error) return info;
+
+    const { sub, email, name, preferred_username: username, picture } = info.userInfo;
+    if (!sub) return providerError(400, { error: "invalid_userinfo" });
+    return { profile: { providerId: String(sub), email, name: name || username, picture } };
+  },
+});
+
+function getAuthProvider(name) {
+  const provider = authProviders.get(name);
+  return provider && provider.isEnabled() ? provider : null;
+}
+
+// === 비밀번호 (scrypt) ===
+const scryptAsync = promisify(crypto.scrypt);
+const PASSWORD_KEY_LENGTH = 64;
+// 없는 계정 로그인 시에도 같은 시간이 걸리도록 비교용으로 사용
+const DUMMY_PASSWORD_HASH = `scrypt:${Buffer.alloc(16).toString("base64")}:${Buffer.alloc(PASSWORD_KEY_LENGTH).toString("base64")}`;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt:${salt.toString("base64")}:${key.toString("base64")}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || "").split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scryptAsync(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+// 이메일/비밀번호 형식 확인 (오류 메시지, 정상이면 null)
+function validateCredentials(email, password) {
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) return "이메일 형식이 올바르지 않습니다";
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    return `비밀번호는 ${PASSWORD_MIN_LENGTH}~${PASSWORD_MAX_LENGTH}자로 입력해주세요`;
+  }
+  return null;
+}
+
+// 제공자 계정으로 유저 조회, 없으면 새 유저 생성 (이메일이 같아도 자동 연결하지 않음)
+async function findOrCreateUserByIdentity(provider, profile, retry = true) {
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_providerId: { provider, providerId: profile.providerId } },
+    include: { user: true },
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { email: profile.email ?? identity.email, lastLoginAt: new Date() },
+    });
+    // 대표 계정으로 로그인하면 프로필 갱신
+    if (identity.user.provider === provider && identity.user.providerId === profile.providerId) {
+      return prisma.userData.update({
+        where: { id: identity.userId },
+        data: { email: profile.email, name: profile.name, picture: profile.picture },
+      });
+    }
+    return identity.user;
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const userData = await tx.userData.create({
         data: {
-          id: await generateUniqueId("documentData"),
-          channelId: channel.id,
-          name: ".option",
-          dir: "root",
-          parentId: null,
-          depth: 0,
-          content: "",
-          status: 0,
-          createdBy: userId,
+          provider: provider,
+          providerId: profile.providerId,
+          email: profile.email,
+          name: profile.name,
+          picture: profile.picture,
         },
       });
-    } catch (docError) {
-      logError("ROOT_OPTION_CREATE", docError);
-      return sendSystemMessage(ws, "채널 생성은 성공했으나, 최상위 디렉토리(.option) 생성에 실패했습니다.");
-    }
+      await tx.userIdentity.create({
+        data: {
+          userId: userData.id,
+          provider: provider,
+          providerId: profile.providerId,
+          email: profile.email,
+          lastLoginAt: new Date(),
+        },
+      });
+      return userData;
+    });
+  } catch (dbError) {
+    // 같은 계정의 첫 로그인이 동시에 들어온 경우 먼저 생성된 유저 사용
+    if (dbError.code === "P2002" && retry) return findOrCreateUserByIdentity(provider, profile, false);
+    throw dbError;
+  }
+}
 
-    safeSend(ws, {
-      event: "channelCreated",
+// 로그인 마무리: 계정 상태 확인, 로그인 기록, 세션 생성 후 토큰 응답
+async function completeLogin(req, res, userData, platform) {
+  const blocked = getUserStatusBlock(userData.status);
+  if (blocked) {
+    return res.status(403).json({ error: blocked.message });
+  }
+
+  const { ip, userAgent } = getRequestClientInfo(req);
+
+  // 세션 생성 + 토큰 발급 (access token 페이로드: 내부 UUID, 대표 계정 ID, 이메일, 접속환경, 세션 ID)
+  let tokens;
+  try {
+    tokens = await createAuthSession(userData, { platform: platform || "unknown", ip, userAgent });
+  } catch (dbError) {
+    logError("DB_SESSION_CREATE", dbError);
+    return res.status(500).json({ error: "세션 생성 실패" });
+  }
+
+  // 로그인 기록 저장 (실패해도 진행)
+  try {
+    await prisma.userLogin.create({
       data: {
-        time: Date.now(),
-        channelId: channel.id,
-        channel: channelName,
-        message: `채널 '${channelName}'이 생성되었습니다.`,
+        userId: userData.id,
+        sessionId: tokens.sessionId,
+        platform: platform || "unknown",
+        ip,
+        userAgent,
       },
     });
-
-    console.log(`채널 생성: ${channelName} (${channel.id}) by ${userId}`);
-  } catch (error) {
-    logError("CHANNEL_CREATE", error);
-    sendSystemMessage(ws, "채널 생성 중 오류가 발생했습니다.");
+  } catch (loginLogError) {
+    logError("DB_LOGIN_LOG", loginLogError);
+    // 로그인 기록 실패는 치명적이지 않으므로 계속 진행
   }
+
+  res.json({
+    ...tokens,
+    user: { id: userData.id, userid: userData.providerId, email: userData.email, provider: userData.provider },
+  });
 }
 
-// 채널 참여
-async function handleJoinChannel(ws, data) {
-  const { channelName } = data;
-  const userId = ws.user.id;
+// 이메일/비밀번호 가입
+app.post("/auth/local/register", async (req, res) => {
+  const { password, name, platform } = req.body || {};
+  const email = normalizeEmail(req.body?.email);
 
-  if (!channelName || typeof channelName !== "string") {
-    return sendSystemMessage(ws, "채널명을 입력해주세요.");
+  const invalid = validateCredentials(email, password);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (name !== undefined && (typeof name !== "string" || name.length > 50)) {
+    return res.status(400).json({ error: "이름은 50자 이하로 입력해주세요" });
   }
 
   try {
-    // Supabase에서 채널 조회 (삭제되지 않은 채널만, 활성 멤버만)
-    let channel;
+    const passwordHash = await hashPassword(password);
+
+    let userData;
     try {
-      channel = await prisma.channelData.findFirst({
-        where: { name: channelName, status: 0 },
-        include: {
-          members: {
-            where: { status: 0 }, // 활성 멤버만
+      userData = await prisma.$transaction(async (tx) => {
+        const created = await tx.userData.create({
+          data: { provider: LOCAL_PROVIDER, providerId: email, email: email, name: name || null },
+        });
+        await tx.userIdentity.create({
+          data: {
+            userId: created.id,
+            provider: LOCAL_PROVIDER,
+            providerId: email,
+            email: email,
+            passwordHash: passwordHash,
+            lastLoginAt: new Date(),
           },
-        },
+        });
+        return created;
       });
     } catch (dbError) {
-      logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
+      if (dbError.code === "P2002") {
+        return res.status(409).json({ error: "이미 가입된 이메일입니다" });
+      }
+      logError("DB_USER_CREATE", dbError);
+      return res.status(500).json({ error: "사용자 정보 저장 실패" });
     }
 
-    if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
+    console.log(`이메일 가입: ${email} (${userData.id})`);
+    await completeLogin(req, res, userData, platform);
+  } catch (error) {
+    logError("LOCAL_REGISTER", error);
+    res.status(500).json({ error: "가입 처리 중 오류가 발생했습니다" });
+  }
+});
+
+// 이메일/비밀번호 로그인
+app.post("/auth/local/login", async (req, res) => {
+  const { password, platform } = req.body || {};
+  const email = normalizeEmail(req.body?.email);
+
+  if (!email || typeof password !== "string") {
+    return res.status(400).json({ error: "이메일과 비밀번호를 입력해주세요" });
+  }
+
+  try {
+    let identity;
+    try {
+      identity = await prisma.userIdentity.findUnique({
+        where: { provider_providerId: { provider: LOCAL_PROVIDER, providerId: email } },
+        include: { user: true },
+      });
+    } catch (dbError) {
+      logError("DB_IDENTITY_FIND", dbError);
+      return res.status(500).json({ error: "사용자 조회 실패" });
+    }
+
+    const valid = await verifyPassword(password, identity?.passwordHash || DUMMY_PASSWORD_HASH);
+    if (!identity || !valid) {
+      return res.status(401).json({ error: "이메일 또는 비밀번호가 올바르지 않습니다" });
     }
 
-    // 기존 멤버십 확인 (탈퇴한 멤버 포함)
-    let existingMember;
     try {
-      existingMember = await prisma.channelMember.findUnique({
-        where: {
-          channelId_userId: {
-            channelId: channel.id,
-            userId: userId,
-          },
-        },
+      await prisma.userIdentity.update({
+        where: { id: identity.id },
+        data: { lastLoginAt: new Date() },
       });
     } catch (dbError) {
-      logError("DB_MEMBER_FIND", dbError);
-      return sendSystemMessage(ws, "멤버 조회 중 오류가 발생했습니다.");
+      logError("DB_IDENTITY_UPDATE", dbError);
     }
 
-    // 이미 활성 멤버인 경우
-    if (existingMember && existingMember.status === 0) {
-      return sendSystemMessage(ws, "이미 가입된 채널입니다.");
+    await completeLogin(req, res, identity.user, platform);
+  } catch (error) {
+    logError("LOCAL_LOGIN", error);
+    res.status(500).json({ error: "인증 처리 중 오류가 발생했습니다" });
+  }
+});
+
+// access token 재발급 (refresh token 교체)
+app.post("/auth/refresh", async (req, res) => {
+  const parsed = parseRefreshToken(req.body?.refreshToken);
+  if (!parsed) {
+    return res.status(400).json({ error: "Refresh token is required" });
+  }
+
+  try {
+    let session;
+    try {
+      session = await prisma.authSession.findUnique({
+        where: { id: parsed.sessionId },
+        include: { user: true },
+      });
+    } catch (dbError) {
+      logError("DB_SESSION_FIND", dbError);
+      return res.status(500).json({ error: "세션 조회 실패" });
     }
 
-    // 강제 퇴장 등으로 재가입 불가 상태인 경우 (status >= 2)
-    if (existingMember && existingMember.status >= 2) {
-      return sendSystemMessage(ws, "해당 채널에 가입할 수 없습니다.");
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: "만료된 세션입니다" });
     }
 
-    // 탈퇴한 멤버 재가입 (status === 1)
-    if (existingMember && existingMember.status === 1) {
+    const currentHash = hashToken(parsed.secret);
+    const graceStart = new Date(Date.now() - REFRESH_TOKEN_REUSE_GRACE_MS);
+    const isCurrent = session.refreshTokenHash === currentHash;
+    const inGrace = session.previousTokenHash === currentHash && session.rotatedAt > graceStart;
+    if (!isCurrent && !inGrace) {
+      // 이미 교체된 토큰 재사용 → 탈취 가능성이 있으므로 세션 폐기
+      console.warn(`refresh token 재사용 감지: 세션 ${session.id} (${session.userId}) 폐기`);
       try {
-        await prisma.channelMember.update({
-          where: { id: existingMember.id },
-          data: { status: 0 },
-        });
+        await revokeSessions({ id: session.id }, "Session revoked");
       } catch (dbError) {
-        logError("DB_MEMBER_REJOIN", dbError);
-        return sendSystemMessage(ws, "채널 재가입 중 오류가 발생했습니다.");
+        logError("DB_SESSION_REVOKE", dbError);
       }
+      return res.status(401).json({ error: "만료된 세션입니다" });
+    }
 
-      // 활성 멤버 수 조회
-      let memberCount;
+    const blocked = getUserStatusBlock(session.user.status);
+    if (blocked) {
+      return res.status(403).json({ error: blocked.message });
+    }
+
+    // 현재 토큰이면 교체 후 직전 토큰으로 기록
+    // 직전 토큰이면(또는 같은 토큰의 동시 요청이 먼저 교체했으면) 현재 토큰을 다시 교체 (유예 시작 시각은 유지)
+    const secret = createRefreshSecret();
+    const refreshed = {
+      refreshTokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      expiresAt: getRefreshTokenExpiry(),
+      ...getRequestClientInfo(req),
+    };
+    let rotated = { count: 0 };
+    try {
+      if (isCurrent) {
+        rotated = await prisma.authSession.updateMany({
+          where: { id: session.id, refreshTokenHash: currentHash, revokedAt: null },
+          data: { ...refreshed, previousTokenHash: currentHash, rotatedAt: new Date() },
+        });
+      }
+      if (rotated.count === 0) {
+        rotated = await prisma.authSession.updateMany({
+          where: { id: session.id, previousTokenHash: currentHash, rotatedAt: { gt: graceStart }, revokedAt: null },
+          data: refreshed,
+        });
+      }
+    } catch (dbError) {
+      logError("DB_SESSION_ROTATE", dbError);
+      return res.status(500).json({ error: "세션 갱신 실패" });
+    }
+    if (rotated.count === 0) {
+      return res.status(401).json({ error: "만료된 세션입니다" });
+    }
+
+    res.json({
+      token: signAccessToken(session.user, session.id, session.platform),
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SEC,
+      sessionId: session.id,
+    });
+  } catch (error) {
+    logError("AUTH_REFRESH", error);
+    res.status(500).json({ error: "토큰 재발급 중 오류가 발생했습니다" });
+  }
+});
+
+// 로그아웃 (세션 폐기)
+// refreshToken 또는 Authorization 헤더의 access token으로 세션 지정, all: true면 해당 유저의 모든 세션
+app.post("/auth/logout", async (req, res) => {
+  const { refreshToken, all = false } = req.body || {};
+
+  try {
+    let session = null;
+    const parsed = parseRefreshToken(refreshToken);
+    if (parsed) {
       try {
-        memberCount = await prisma.channelMember.count({
-          where: { channelId: channel.id, status: 0 },
+        session = await prisma.authSession.findUnique({
+          where: { id: parsed.sessionId },
+          select: { id: true, userId: true, refreshTokenHash: true },
         });
       } catch (dbError) {
-        logError("DB_MEMBER_COUNT", dbError);
-        memberCount = channel.members.length + 1;
+        logError("DB_SESSION_FIND", dbError);
+        return res.status(500).json({ error: "세션 조회 실패" });
       }
+      if (session && session.refreshTokenHash !== hashToken(parsed.secret)) session = null;
+    } else {
+      const header = req.headers.authorization || "";
+      try {
+        const user = jwt.verify(header.startsWith("Bearer ") ? header.slice(7) : "", JWT_SECRET);
+        if (user.sid) session = { id: user.sid, userId: user.id };
+      } catch (err) {
+        // 만료된 access token으로는 로그아웃 불가 (refresh token 사용)
+      }
+    }
 
-      safeSend(ws, {
-        event: "channelJoined",
-        data: {
-          time: Date.now(),
-          channelId: channel.id,
-          channel: channelName,
-          memberCount,
-          myPermission: existingMember.permission,
-          myJoinOrder: existingMember.joinOrder,
-          message: `채널 '${channelName}'에 재참여했습니다.`,
-        },
-      });
-
-      console.log(`채널 재참여: ${channelName} - ${userId}`);
-      return;
+    if (!session) {
+      return res.status(401).json({ error: "유효하지 않은 토큰입니다" });
     }
 
-    // 신규 가입: 가입 순서 계산 (전체 멤버 기록 기준, 탈퇴 포함)
-    let maxJoinOrder;
+    let revokedIds;
     try {
-      const result = await prisma.channelMember.aggregate({
-        where: { channelId: channel.id },
-        _max: { joinOrder: true },
-      });
-      maxJoinOrder = result._max.joinOrder || 0;
+      revokedIds = await revokeSessions(
+        all ? { userId: session.userId } : { id: session.id },
+        "Logged out",
+      );
     } catch (dbError) {
-      logError("DB_JOIN_ORDER", dbError);
-      maxJoinOrder = channel.members.length;
+      logError("DB_SESSION_REVOKE", dbError);
+      return res.status(500).json({ error: "로그아웃 처리 실패" });
     }
-    const joinOrder = maxJoinOrder + 1;
 
-    // UUID 중복 방지
-    const memberId = await generateUniqueId("channelMember");
+    console.log(`로그아웃: ${session.userId} (세션 ${revokedIds.length}개 폐기${all ? ", 전체" : ""})`);
+    res.json({ success: true, revokedCount: revokedIds.length });
+  } catch (error) {
+    logError("AUTH_LOGOUT", error);
+    res.status(500).json({ error: "로그아웃 중 오류가 발생했습니다" });
+  }
+});
+
+// === 세션 관리 API ===
+// 로그인 세션 목록(웹소켓 연결 현황 포함), 로그인 기록 조회, 세션 종료
+
+const LOGIN_HISTORY_DEFAULT_LIMIT = 20;
+const LOGIN_HISTORY_MAX_LIMIT = 100;
+
+// 활성 세션 목록 (current: 이 요청의 세션, connections: 현재 웹소켓 연결 수)
+app.get("/auth/sessions", authenticateRequest, async (req, res) => {
+  try {
+    const [sessions, connections] = await Promise.all([
+      prisma.authSession.findMany({
+        where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+        orderBy: { lastUsedAt: "desc" },
+      }),
+      getUserConnections(req.user.id),
+    ]);
+
+    const connectionCounts = new Map();
+    for (const connection of connections) {
+      connectionCounts.set(connection.sessionId, (connectionCounts.get(connection.sessionId) || 0) + 1);
+    }
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session.id,
+        platform: session.platform,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt.toISOString(),
+        lastUsedAt: session.lastUsedAt.toISOString(),
+        expiresAt: session.expiresAt.toISOString(),
+        current: session.id === req.user.sid,
+        connections: connectionCounts.get(session.id) || 0,
+      })),
+    });
+  } catch (error) {
+    logError("SESSION_LIST", error);
+    res.status(500).json({ error: "세션 조회 중 오류가 발생했습니다" });
+  }
+});
+
+// 현재 세션을 제외한 모든 세션 종료
+app.delete("/auth/sessions", authenticateRequest, async (req, res) => {
+  try {
+    const revokedIds = await revokeSessions(
+      { userId: req.user.id, id: { not: req.user.sid } },
+      "Session terminated",
+    );
+
+    console.log(`다른 세션 종료: ${req.user.id} (세션 ${revokedIds.length}개 폐기)`);
+    res.json({ success: true, revokedCount: revokedIds.length });
+  } catch (error) {
+    logError("SESSION_REVOKE_OTHERS", error);
+    res.status(500).json({ error: "세션 종료 중 오류가 발생했습니다" });
+  }
+});
+
+// 특정 세션 종료 (현재 세션이면 로그아웃과 같음)
+app.delete("/auth/sessions/:sessionId", authenticateRequest, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!UUID_PATTERN.test(sessionId)) {
+    return res.status(400).json({ error: "잘못된 세션 ID입니다" });
+  }
+
+  try {
+    const revokedIds = await revokeSessions({ id: sessionId, userId: req.user.id }, "Session terminated");
+    if (revokedIds.length === 0) {
+      return res.status(404).json({ error: "세션을 찾을 수 없습니다" });
+    }
+
+    console.log(`세션 종료: ${req.user.id} (세션 ${sessionId})`);
+    res.json({ success: true, sessionId: sessionId, current: sessionId === req.user.sid });
+  } catch (error) {
+    logError("SESSION_REVOKE", error);
+    res.status(500).json({ error: "세션 종료 중 오류가 발생했습니다" });
+  }
+});
+
+// 로그인 기록 (최신순, before: 이전 페이지의 nextCursor)
+app.get("/auth/logins", authenticateRequest, async (req, res) => {
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || LOGIN_HISTORY_DEFAULT_LIMIT, 1),
+    LOGIN_HISTORY_MAX_LIMIT,
+  );
+  const before = req.query.before ? new Date(req.query.before) : null;
+  if (before && isNaN(before.getTime())) {
+    return res.status(400).json({ error: "잘못된 before 값입니다" });
+  }
+
+  try {
+    const logins = await prisma.userLogin.findMany({
+      where: { userId: req.user.id, ...(before ? { loginAt: { lt: before } } : {}) },
+      orderBy: { loginAt: "desc" },
+      take: limit + 1,
+    });
+    const hasMore = logins.length > limit;
+    const page = hasMore ? logins.slice(0, limit) : logins;
+
+    // 로그인으로 생성된 세션이 아직 유효한지
+    const sessionIds = page.map((login) => login.sessionId).filter(Boolean);
+    const activeSessions = await prisma.authSession.findMany({
+      where: { id: { in: sessionIds }, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: { id: true },
+    });
+    const activeIds = new Set(activeSessions.map((session) => session.id));
+
+    res.json({
+      logins: page.map((login) => ({
+        id: login.id,
+        platform: login.platform,
+        ip: login.ip,
+        userAgent: login.userAgent,
+        loginAt: login.loginAt.toISOString(),
+        sessionId: login.sessionId,
+        sessionActive: login.sessionId ? activeIds.has(login.sessionId) : false,
+      })),
+      nextCursor: hasMore ? page[page.length - 1].loginAt.toISOString() : null,
+    });
+  } catch (error) {
+    logError("LOGIN_HISTORY", error);
+    res.status(500).json({ error: "로그인 기록 조회 중 오류가 발생했습니다" });
+  }
+});
+
+// 연결된 로그인 계정 목록
+app.get("/auth/identities", authenticateRequest, async (req, res) => {
+  try {
+    const [userData, identities] = await Promise.all([
+      prisma.userData.findUnique({ where: { id: req.user.id }, select: { provider: true, providerId: true } }),
+      prisma.userIdentity.findMany({
+        where: { userId: req.user.id },
+        select: { provider: true, providerId: true, email: true, createdAt: true, lastLoginAt: true },
+        orderBy: { createdAt: "asc" },
+      }),
+    ]);
+
+    res.json({
+      identities: identities.map((identity) => ({
+        provider: identity.provider,
+        email: identity.email,
+        primary: userData?.provider === identity.provider && userData?.providerId === identity.providerId,
+        createdAt: identity.createdAt.toISOString(),
+        lastLoginAt: identity.lastLoginAt?.toISOString() || null,
+      })),
+    });
+  } catch (error) {
+    logError("IDENTITY_LIST", error);
+    res.status(500).json({ error: "로그인 계정 조회 중 오류가 발생했습니다" });
+  }
+});
+
+// 로그인 계정 연결 (OAuth: code, redirect_uri / local: email, password)
+app.post("/auth/identities/:provider", authenticateRequest, async (req, res) => {
+  const providerName = req.params.provider;
+  const userId = req.user.id;
+
+  try {
+    let identityData;
+    if (providerName === LOCAL_PROVIDER) {
+      const email = normalizeEmail(req.body?.email);
+      const invalid = validateCredentials(email, req.body?.password);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      identityData = { providerId: email, email: email, passwordHash: await hashPassword(req.body.password) };
+    } else {
+      const provider = getAuthProvider(providerName);
+      if (!provider) {
+        return res.status(404).json({ error: "지원하지 않는 로그인 방식입니다" });
+      }
+      if (!req.body?.code) {
+        return res.status(400).json({ error: "Authorization code is required" });
+      }
+      const result = await provider.exchangeCode({ code: req.body.code, redirectUri: req.body.redirect_uri });
+      if (result.error) {
+        return res.status(result.error.status).json(result.error.body);
+      }
+      identityData = { providerId: result.profile.providerId, email: result.profile.email };
+    }
+
+    const existing = await prisma.userIdentity.findUnique({
+      where: { provider_providerId: { provider: providerName, providerId: identityData.providerId } },
+      select: { userId: true },
+    });
+    if (existing) {
+      return existing.userId === userId
+        ? res.json({ success: true, provider: providerName, alreadyLinked: true })
+        : res.status(409).json({ error: "다른 계정에 연결된 로그인 정보입니다" });
+    }
+
+    try {
+      await prisma.userIdentity.create({
+        data: { userId: userId, provider: providerName, ...identityData },
+      });
+    } catch (dbError) {
+      if (dbError.code === "P2002") {
+        return res.status(409).json({ error: "이미 같은 방식의 로그인 계정이 연결되어 있습니다" });
+      }
+      logError("DB_IDENTITY_CREATE", dbError);
+      return res.status(500).json({ error: "로그인 계정 연결 실패" });
+    }
+
+    console.log(`로그인 계정 연결: ${providerName} → ${userId}`);
+    res.json({ success: true, provider: providerName, alreadyLinked: false });
+  } catch (error) {
+    logError("IDENTITY_LINK", error);
+    res.status(500).json({ error: "로그인 계정 연결 중 오류가 발생했습니다" });
+  }
+});
+
+// 로그인 계정 연결 해제 (마지막 계정은 해제 불가, 대표 계정이면 남은 계정 중 가장 먼저 연결한 계정이 대표)
+app.delete("/auth/identities/:provider", authenticateRequest, async (req, res) => {
+  const providerName = req.params.provider;
+  const userId = req.user.id;
+
+  try {
+    const identities = await prisma.userIdentity.findMany({
+      where: { userId: userId },
+      orderBy: { createdAt: "asc" },
+    });
+    const target = identities.find((identity) => identity.provider === providerName);
+    if (!target) {
+      return res.status(404).json({ error: "연결되지 않은 로그인 방식입니다" });
+    }
+    if (identities.length === 1) {
+      return res.status(400).json({ error: "마지막 로그인 계정은 연결 해제할 수 없습니다" });
+    }
+
+    // 대표 계정을 해제하면 남은 계정 중 가장 먼저 연결된 계정을 대표로 (이메일도 함께 변경)
+    const next = identities.find((identity) => identity.id !== target.id);
+    await prisma.$transaction(async (tx) => {
+      await tx.userIdentity.delete({ where: { id: target.id } });
+      await tx.userData.updateMany({
+        where: { id: userId, provider: target.provider, providerId: target.providerId },
+        data: { provider: next.provider, providerId: next.providerId, email: next.email },
+      });
+    });
+
+    console.log(`로그인 계정 연결 해제: ${providerName} ← ${userId}`);
+    res.json({ success: true, provider: providerName });
+  } catch (error) {
+    logError("IDENTITY_UNLINK", error);
+    res.status(500).json({ error: "로그인 계정 연결 해제 중 오류가 발생했습니다" });
+  }
+});
+
+// === 관리자 API ===
+// 서버 관리자: ADMIN_USER_IDS(유저 UUID) 또는 ADMIN_EMAILS(이메일), 쉼표로 구분
+// 이메일/비밀번호 계정의 이메일은 인증되지 않으므로 ADMIN_EMAILS는 대표 계정이 외부 제공자인 유저에만 적용
+
+const ADMIN_USER_IDS = new Set(
+  (process.env.ADMIN_USER_IDS || "").split(",").map((v) => v.trim()).filter(Boolean),
+);
+const ADMIN_EMAILS = new Set(
+  (process.env.ADMIN_EMAILS || "").split(",").map((v) => normalizeEmail(v)).filter(Boolean),
+);
+const ADMIN_USER_LIST_LIMIT = 50;
+
+function getUserStatusName(status) {
+  return Object.keys(USER_STATUS_NAMES).find((name) => USER_STATUS_NAMES[name] === status) || "deleted";
+}
+
+// authenticateRequest 다음에 사용
+async function requireAdmin(req, res, next) {
+  if (ADMIN_USER_IDS.has(req.user.id)) return next();
+
+  try {
+    const userData = await prisma.userData.findUnique({
+      where: { id: req.user.id },
+      select: { email: true, provider: true, status: true },
+    });
+    if (
+      userData &&
+      userData.status === USER_STATUS.ACTIVE &&
+      userData.provider !== LOCAL_PROVIDER &&
+      ADMIN_EMAILS.has(normalizeEmail(userData.email))
+    ) {
+      return next();
+    }
+  } catch (dbError) {
+    logError("DB_ADMIN_CHECK", dbError);
+    return res.status(500).json({ error: "권한 확인 실패" });
+  }
+
+  res.status(403).json({ error: "관리자 권한이 필요합니다" });
+}
+
+function toAdminUserInfo(userData) {
+  return {
+    id: userData.id,
+    email: userData.email,
+    name: userData.name,
+    provider: userData.provider,
+    status: getUserStatusName(userData.status),
+    statusReason: userData.statusReason,
+    statusChangedAt: userData.statusChangedAt?.toISOString() || null,
+    createdAt: userData.createdAt.toISOString(),
+  };
+}
+
+// 유저 조회 (status: active | suspended | deactivated, email: 부분 일치)
+app.get("/admin/users", authenticateRequest, requireAdmin, async (req, res) => {
+  const { status, email } = req.query;
+  if (status !== undefined && !Object.hasOwn(USER_STATUS_NAMES, status)) {
+    return res.status(400).json({ error: "잘못된 상태 값입니다" });
+  }
+
+  try {
+    const users = await prisma.userData.findMany({
+      where: {
+        status: status !== undefined ? USER_STATUS_NAMES[status] : { not: USER_STATUS.DELETED },
+        ...(email ? { email: { contains: String(email), mode: "insensitive" } } : {}),
+      },
+      orderBy: { createdAt: "desc" },
+      take: ADMIN_USER_LIST_LIMIT,
+    });
+    res.json({ users: users.map(toAdminUserInfo) });
+  } catch (error) {
+    logError("ADMIN_USER_LIST", error);
+    res.status(500).json({ error: "유저 조회 중 오류가 발생했습니다" });
+  }
+});
+
+// 유저 계정 상태 변경 (정지/비활성화 시 모든 세션 폐기 → 웹소켓 즉시 종료)
+app.post("/admin/users/:userId/status", authenticateRequest, requireAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const { status, reason } = req.body || {};
+
+  if (!UUID_PATTERN.test(userId)) {
+    return res.status(400).json({ error: "잘못된 유저 ID입니다" });
+  }
+  if (typeof status !== "string" || !Object.hasOwn(USER_STATUS_NAMES, status)) {
+    return res.status(400).json({ error: "잘못된 상태 값입니다" });
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > 500)) {
+    return res.status(400).json({ error: "사유는 500자 이하로 입력해주세요" });
+  }
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: "자신의 계정 상태는 변경할 수 없습니다" });
+  }
+
+  try {
+    let userData;
+    try {
+      userData = await prisma.userData.findUnique({ where: { id: userId } });
+    } catch (dbError) {
+      logError("DB_USER_FIND", dbError);
+      return res.status(500).json({ error: "유저 조회 실패" });
+    }
+    if (!userData) {
+      return res.status(404).json({ error: "유저를 찾을 수 없습니다" });
+    }
+    if (userData.status === USER_STATUS.DELETED) {
+      return res.status(409).json({ error: "탈퇴한 계정은 상태를 변경할 수 없습니다" });
+    }
+
+    const newStatus = USER_STATUS_NAMES[status];
+    let updated;
+    try {
+      updated = await prisma.userData.update({
+        where: { id: userId },
+        data: {
+          status: newStatus,
+          statusReason: newStatus === USER_STATUS.ACTIVE ? null : reason || null,
+          statusChangedAt: new Date(),
+        },
+      });
+    } catch (dbError) {
+      logError("DB_USER_STATUS_UPDATE", dbError);
+      return res.status(500).json({ error: "계정 상태 변경 실패" });
+    }
+
+    applyUserStatus(userId, newStatus);
+
+    let revokedCount = 0;
+    const blocked = getUserStatusBlock(newStatus);
+    if (blocked) {
+      try {
+        revokedCount = (await revokeSessions({ userId: userId }, blocked.reason)).length;
+      } catch (dbError) {
+        logError("DB_SESSION_REVOKE", dbError);
+        // 세션 폐기에 실패해도 접속/재발급 시 계정 상태를 확인하므로 연결만 종료
+        disconnectUser(userId, 1008, blocked.reason);
+      }
+    }
+
+    console.log(`계정 상태 변경: ${userId} → ${status} (관리자 ${req.user.id})`);
+    res.json({ success: true, user: toAdminUserInfo(updated), revokedCount });
+  } catch (error) {
+    logError("ADMIN_USER_STATUS", error);
+    res.status(500).json({ error: "계정 상태 변경 중 오류가 발생했습니다" });
+  }
+});
+
+// OAuth/OIDC 로그인 (nginx에서 /api → :3000 프록시)
+// /auth/google, /auth/github, /auth/<OIDC_PROVIDER_NAME>
+app.post("/auth/:provider", async (req, res) => {
+  const { code, platform, redirect_uri } = req.body || {};
+
+  const provider = getAuthProvider(req.params.provider);
+  if (!provider || req.params.provider === LOCAL_PROVIDER) {
+    return res.status(404).json({ error: "지원하지 않는 로그인 방식입니다" });
+  }
+  if (!code) {
+    return res.status(400).json({ error: "Authorization code is required" });
+  }
+
+  try {
+    // 클라이언트에서 보낸 redirect_uri 사용 (없으면 환경변수 사용)
+    const result = await provider.exchangeCode({ code, redirectUri: redirect_uri });
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    let userData;
+    try {
+      userData = await findOrCreateUserByIdentity(req.params.provider, result.profile);
+    } catch (dbError) {
+      logError("DB_USER_UPSERT", dbError);
+      return res.status(500).json({ error: "사용자 정보 저장 실패" });
+    }
+
+    await completeLogin(req, res, userData, platform);
+  } catch (error) {
+    logError("OAUTH", error);
+    res.status(500).json({ error: "인증 처리 중 오류가 발생했습니다" });
+  }
+});
+
+// HTTP + WebSocket 서버
+const server = http.createServer(app);
+const wss = new WebSocket.Server({ server, path: "/ws" });
+
+// WebSocket 연결 처리 (nginx에서 /ws → :3000/ws 프록시)
+// 작업중 - 최초 접속시 토큰 검증
+wss.on("connection", (ws, req) => {
+  try {
+    const params = new URLSearchParams(req.url?.split("?")[1] || "");
+    const token = params.get("token");
+
+    if (!token) {
+      ws.close(1008, "No token");
+      return;
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+      if (err) {
+        logError("JWT_VERIFY", err);
+        ws.close(1008, "Invalid token");
+        return;
+      }
+
+      // 세션 없는 토큰(이전 방식 발급)은 폐기 여부를 확인할 수 없으므로 거부, 만료 시각 없는 토큰도 거부
+      if (!user.sid || !user.exp) {
+        ws.close(1008, "Invalid token");
+        return;
+      }
+
+      ws.user = user;
+      ws.sessionId = user.sid;
+      ws.connId = generateUUID(); // 인스턴스 간 presence 식별용
+      ws.connectedAt = new Date().toISOString();
+      writeUserPresence(ws);
+      ws.accountCheck = verifyAccountActive(ws); // 토큰 발급 후 탈퇴한 계정, 폐기된 세션 차단
+      ws.tokenExpiresAt = user.exp * 1000;
+      scheduleTokenExpiry(ws);
+      console.log(`WS 연결: ${user.email} (${user.platform})`);
+
+      // 메시지 수신 처리
+      ws.on("message", async (msg) => {
+        let event = "unknown";
+        let requestId = null;
+        try {
+          if (!(await ws.accountCheck)) return;
+
+          let parsed;
+          try {
+            parsed = JSON.parse(msg);
+          } catch (parseError) {
+            logError("JSON_PARSE", parseError);
+            sendErrorResponse(ws, "unknown", "잘못된 메시지 형식입니다", ERROR_CODES.INVALID_MESSAGE);
+            return;
+          }
+
+          event = parsed?.event;
+          const data = parsed?.data || {};
+          requestId = normalizeRequestId(parsed?.requestId);
+
+          await requestContext.run({ ws, requestId }, async () => {
+            if (!event) {
+              sendErrorResponse(ws, "unknown", "이벤트명이 필요합니다", ERROR_CODES.INVALID_MESSAGE);
+              return;
+            }
+
+            switch (event) {
+              case "ping":
+                safeSend(ws, {
+                  event: "pong",
+                  data: { time: Date.now(), message: "pong!" },
+                });
+                break;
+
+              // 토큰 갱신
+              case "reauth":
+                await handleReauth(ws, data);
+                break;
+
+              // 채널 생성, 가입, 목록조회, 탈퇴
+              case "createChannel":
+                await handleCreateChannel(ws, data);
+                break;
+
+              case "joinChannel":
+                await handleJoinChannel(ws, data);
+                break;
+
+              case "listChannel":
+                await handleListChannel(ws, data);
+                break;
+
+              case "quitChannel":
+                await handleQuitChannel(ws, data);
+                break;
+
+              // 멤버 관리 (역할 변경, 강퇴, 차단)
+              case "changeMemberRole":
+                await handleChangeMemberRole(ws, data);
+                break;
+
+              case "kickMember":
+                await handleKickMember(ws, data);
+                break;
+
+              case "banMember":
+                await handleBanMember(ws, data);
+                break;
+
+              case "unbanMember":
+                await handleUnbanMember(ws, data);
+                break;
+
+              case "listBannedMembers":
+                await handleListBannedMembers(ws, data);
+                break;
+
+              // 채널 오너 양도 / 계정 탈퇴
+              case "transferOwnership":
+                await handleTransferOwnership(ws, data);
+                break;
+
+              case "deleteAccount":
+                await handleDeleteAccount(ws, data);
+                break;
+
+              // 채널 초대 (비공개 채널)
+              case "createInvite":
+                await handleCreateInvite(ws, data);
+                break;
+
+              case "listInvites":
+                await handleListInvites(ws, data);
+                break;
+
+              case "revokeInvite":
+                await handleRevokeInvite(ws, data);
+                break;
+
+              case "listMyInvites":
+                await handleListMyInvites(ws, data);
+                break;
+
+              // 문서 생성, 삭제, 목록
+              case "createDoc":
+                await handleCreateDoc(ws, data);
+                break;
+
+              case "deleteDoc":
+                await handleDeleteDoc(ws, data);
+                break;
+
+              case "listDoc":
+                await handleListDoc(ws, data);
+                break;
+
+              // 문서 검색 (이름, 내용)
+              case "searchDocs":
+                await handleSearchDocs(ws, data);
+                break;
+
+              // 채널 입장/퇴장 (실시간 연결 관리)
+              case "enterChannel":
+                await handleEnterChannel(ws, data);
+                break;
+
+              case "leaveChannel":
+                await handleLeaveChannel(ws, data);
+                break;
+
+              // 문서 열람 입장/퇴장
+              case "enterDoc":
+                await handleEnterDoc(ws, data);
+                break;
+
+              case "leaveDoc":
+                await handleLeaveDoc(ws, data);
+                break;
+
+              // 문서 내용 편집 (실시간 협업)
+              case "editDoc":
+                await handleEditDoc(ws, data);
+                break;
+
+              // 문서 버전 목록, 조회, 복원
+              case "listDocVersions":
+                await handleListDocVersions(ws, data);
+                break;
+
+              case "getDocVersion":
+                await handleGetDocVersion(ws, data);
+                break;
+
+              case "restoreDocVersion":
+                await handleRestoreDocVersion(ws, data);
+                break;
+
+              // 문서 내 커서/선택 영역 공유
+              case "updateCursor":
+                await handleUpdateCursor(ws, data);
+                break;
+
+              // 문서 수정 (경로, 이름 변경)
+              case "updateDoc":
+                await handleUpdateDoc(ws, data);
+                break;
+
+              // 문서/폴더 복사
+              case "copyDoc":
+                await handleCopyDoc(ws, data);
+                break;
+
+              // 문서 일괄 작업 (생성/이동/이름 변경/삭제)
+              case "batchDocs":
+                await handleBatchDocs(ws, data);
+                break;
+
+              // 채널 내 현재 접속 유저 조회
+              case "getChannelUsers":
+                await handleGetChannelUsers(ws, data);
+                break;
+
+              // 문서 열람 중인 유저 조회
+              case "getDocUsers":
+                await handleGetDocUsers(ws, data);
+                break;
+
+              // 문서 상태 조회
+              case "getDocStatus":
+                await handleGetDocStatus(ws, data);
+                break;
+
+              // 문서 트리 점검/복구
+              case "repairDocTree":
+                await handleRepairDocTree(ws, data);
+                break;
+
+              // 휴지통
+              case "listTrash":
+                await handleListTrash(ws, data);
+                break;
+
+              case "restoreDoc":
+                await handleRestoreDoc(ws, data);
+                break;
+
+              case "purgeDoc":
+                await handlePurgeDoc(ws, data);
+                break;
+
+              // 폴더 접근 제어
+              case "setFolderAcl":
+                await handleSetFolderAcl(ws, data);
+                break;
+
+              case "getFolderAcl":
+                await handleGetFolderAcl(ws, data);
+                break;
+
+              default:
+                sendErrorResponse(ws, event, `알 수 없는 이벤트: ${event}`, ERROR_CODES.UNKNOWN_EVENT);
+                break;
+            }
+          });
+        } catch (e) {
+          logError(`WS_MESSAGE(${event})`, e);
+          requestContext.run({ ws, requestId }, () => {
+            sendErrorResponse(ws, event, "요청 처리 중 오류가 발생했습니다", ERROR_CODES.INTERNAL_ERROR);
+          });
+        }
+      });
+
+      ws.on("close", (code, reason) => {
+        console.log(`WS 종료: ${user.email} (code: ${code})`);
+
+        // 웹소켓 연결 종료 시 채널/문서에서 정리
+        const userId = ws.user?.id;
+        const channelId = ws.currentChannel;
+        const docId = ws.currentDoc;
+
+        clearTokenTimers(ws);
+        removeUserPresence(ws);
+
+        // 문서에서 퇴장 처리
+        if (docId) {
+          removeFromDoc(docId, ws);
+          // 문서 열람 중인 다른 유저들에게 퇴장 알림
+          broadcastToDoc(docId, "userLeftDoc", {
+            time: Date.now(),
+            docId: docId,
+            userId: userId,
+            email: ws.user?.email,
+            reason: "disconnected",
+          });
+
+          // 마지막 유저 퇴장 시 동기화 체크
+          onDocDisconnect(docId);
+        }
+
+        // 채널에서 퇴장 처리
+        if (channelId) {
+          removeFromChannel(channelId, ws);
+          // 채널 내 다른 유저들에게 퇴장 알림
+          broadcastToChannel(channelId, "userLeft", {
+            time: Date.now(),
+            channelId: channelId,
+            userId: userId,
+            email: ws.user?.email,
+            reason: "disconnected",
+          });
+        }
+      });
+
+      ws.on("error", (error) => {
+        logError(`WS_ERROR(${user.email})`, error);
+      });
+    });
+  } catch (error) {
+    logError("WS_CONNECTION", error);
+    try {
+      ws.close(1011, "Server error");
+    } catch (closeError) {
+      // 이미 닫혔을 수 있음
+    }
+  }
+});
+
+// 유저 계정과 세션이 정상 상태인지 확인 (문제가 있으면 종료 사유 반환, 정상이면 null)
+// DB 오류 시에는 폐기 목록(Redis)만 확인하고 허용 (토큰은 이미 검증됨)
+async function getSessionBlockReason(userId, sessionId) {
+  if (await isSessionRevoked(sessionId)) return "Session revoked";
+
+  try {
+    const [userData, session] = await Promise.all([
+      prisma.userData.findUnique({
+        where: { id: userId },
+        select: { status: true },
+      }),
+      prisma.authSession.findUnique({
+        where: { id: sessionId },
+        select: { userId: true, revokedAt: true },
+      }),
+    ]);
+    if (!userData) return "Account deleted";
+    const blocked = getUserStatusBlock(userData.status);
+    if (blocked) return blocked.reason;
+    if (!session || session.userId !== userId || session.revokedAt) return "Session revoked";
+    return null;
+  } catch (dbError) {
+    logError("DB_USER_STATUS", dbError);
+    return null;
+  }
+}
+
+// 접속한 유저 계정과 세션이 정상 상태인지 확인, 아니면 연결 종료
+async function verifyAccountActive(ws) {
+  const reason = await getSessionBlockReason(ws.user.id, ws.sessionId);
+  if (reason) {
+    ws.close(1008, reason);
+    return false;
+  }
+  return true;
+}
+
+// === 토큰 만료 처리 ===
+// 웹소켓은 접속 시 토큰의 만료 시각(exp)까지만 유효
+// - 만료 TOKEN_EXPIRY_WARNING_MS 전에 tokenExpiring 이벤트로 알림
+// - 클라이언트가 /auth/refresh로 받은 새 토큰을 reauth 이벤트로 보내면 만료 시각 연장
+// - 갱신하지 않으면 만료 시 TOKEN_EXPIRED_CLOSE_CODE로 연결 종료
+
+const TOKEN_EXPIRY_WARNING_MS = 60 * 1000;
+const TOKEN_EXPIRED_CLOSE_CODE = 4001;
+
+function clearTokenTimers(ws) {
+  clearTimeout(ws.tokenWarningTimer);
+  clearTimeout(ws.tokenExpiryTimer);
+  ws.tokenWarningTimer = null;
+  ws.tokenExpiryTimer = null;
+}
+
+function sendTokenExpiring(ws) {
+  safeSend(ws, {
+    event: "tokenExpiring",
+    data: {
+      time: Date.now(),
+      expiresAt: ws.tokenExpiresAt,
+      expiresIn: Math.max(0, Math.round((ws.tokenExpiresAt - Date.now()) / 1000)),
+    },
+  });
+}
+
+// ws.tokenExpiresAt 기준으로 만료 알림/종료 타이머 설정
+function scheduleTokenExpiry(ws) {
+  clearTokenTimers(ws);
+
+  const remaining = ws.tokenExpiresAt - Date.now();
+  if (remaining <= 0) {
+    ws.close(TOKEN_EXPIRED_CLOSE_CODE, "Token expired");
+    return;
+  }
+
+  const warningDelay = remaining - TOKEN_EXPIRY_WARNING_MS;
+  if (warningDelay > 0) {
+    ws.tokenWarningTimer = setTimeout(() => sendTokenExpiring(ws), warningDelay);
+  } else {
+    sendTokenExpiring(ws);
+  }
+
+  ws.tokenExpiryTimer = setTimeout(() => {
+    console.log(`WS 토큰 만료: ${ws.user?.email}`);
+    ws.close(TOKEN_EXPIRED_CLOSE_CODE, "Token expired");
+  }, remaining);
+}
+
+// 연결 유지 중 토큰 갱신 (같은 유저의 토큰만 허용, 세션은 재로그인 등으로 바뀔 수 있음)
+async function handleReauth(ws, data) {
+  const { token } = data;
+
+  if (!token || typeof token !== "string") {
+    return sendErrorResponse(ws, "reauth", "토큰이 필요합니다", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return sendErrorResponse(ws, "reauth", "유효하지 않은 토큰입니다", ERROR_CODES.INVALID_TOKEN);
+  }
+  if (!user.sid || user.id !== ws.user.id || !user.exp) {
+    return sendErrorResponse(ws, "reauth", "유효하지 않은 토큰입니다", ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const reason = await getSessionBlockReason(user.id, user.sid);
+  if (reason) {
+    return sendErrorResponse(ws, "reauth", "만료된 세션입니다", ERROR_CODES.SESSION_REVOKED);
+  }
+
+  const sessionChanged = user.sid !== ws.sessionId;
+  ws.user = user;
+  ws.sessionId = user.sid;
+  ws.tokenExpiresAt = user.exp * 1000;
+  if (sessionChanged) writeUserPresence(ws);
+  scheduleTokenExpiry(ws);
+
+  safeSend(ws, {
+    event: "reauthenticated",
+    data: {
+      time: Date.now(),
+      sessionId: ws.sessionId,
+      expiresAt: ws.tokenExpiresAt,
+    },
+  });
+}
+
+// === 채널 핸들러 (Supabase 직접 조회) ===
+
+// 채널 생성
+async function handleCreateChannel(ws, data) {
+  // visibility: 0 = 공개(기본), 1 = 비공개
+  const { channelName, visibility = CHANNEL_VISIBILITY.PUBLIC } = data;
+  const userId = ws.user.id; // JWT에서 검증된 유저 ID 사용
+
+  if (!channelName || typeof channelName !== "string") {
+    return sendSystemMessage(ws, "채널명을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  if (channelName.length > 50) {
+    return sendSystemMessage(ws, "채널명은 50자 이하로 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  if (!Object.values(CHANNEL_VISIBILITY).includes(visibility)) {
+    return sendSystemMessage(ws, "채널 공개 범위가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // Supabase에서 채널 존재 여부 확인 (삭제되지 않은 채널만)
+    let existingChannel;
+    try {
+      existingChannel = await prisma.channelData.findFirst({
+        where: { name: channelName, status: 0 },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (existingChannel) {
+      return sendSystemMessage(ws, "이미 존재하는 채널입니다.", ERROR_CODES.DUPLICATE_NAME);
+    }
+
+    // UUID 중복 방지
+    const channelId = await generateUniqueId("channelData");
+    const memberId = await generateUniqueId("channelMember");
+
+    // Supabase에 채널 생성 (트랜잭션으로 채널 + 멤버 동시 생성)
+    let channel;
+    try {
+      channel = await prisma.$transaction(async (tx) => {
+        const newChannel = await tx.channelData.create({
+          data: {
+            id: channelId,
+            name: channelName,
+            createdBy: userId,
+            visibility: visibility,
+          },
+        });
+
+        // 생성자를 오너로 추가
+        await tx.channelMember.create({
+          data: {
+            id: memberId,
+            channelId: newChannel.id,
+            userId: userId,
+            permission: ROLE.OWNER,
+            status: 0,
+            joinOrder: 1,
+          },
+        });
+
+        return newChannel;
+      });
+    } catch (txError) {
+      logError("DB_CHANNEL_CREATE_TX", txError);
+      return sendSystemMessage(
+        ws,
+        "채널 생성 중 데이터베이스 오류가 발생했습니다.",
+        ERROR_CODES.DB_ERROR,
+      );
+    }
+
+    // 채널 생성 후, 최상위 디렉토리 마커(.option) 문서 자동 생성
+    // root의 .option: dir="root", parentId=null, depth=0
+    try {
+      await prisma.documentData.create({
+        data: {
+          id: await generateUniqueId("documentData"),
+          channelId: channel.id,
+          name: ".option",
+          dir: "root",
+          parentId: null,
+          depth: 0,
+          content: "",
+          status: 0,
+          createdBy: userId,
+        },
+      });
+    } catch (docError) {
+      logError("ROOT_OPTION_CREATE", docError);
+      return sendSystemMessage(ws, "채널 생성은 성공했으나, 최상위 디렉토리(.option) 생성에 실패했습니다.", ERROR_CODES.INTERNAL_ERROR);
+    }
+
+    safeSend(ws, {
+      event: "channelCreated",
+      data: {
+        time: Date.now(),
+        channelId: channel.id,
+        channel: channelName,
+        visibility: visibility,
+        message: `채널 '${channelName}'이 생성되었습니다.`,
+      },
+    });
+
+    console.log(
+      `채널 생성: ${channelName} (${channel.id}) by ${userId}` +
+        (visibility === CHANNEL_VISIBILITY.PRIVATE ? " [비공개]" : ""),
+    );
+  } catch (error) {
+    logError("CHANNEL_CREATE", error);
+    sendSystemMessage(ws, "채널 생성 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 초대 유효성 확인 (취소/만료/사용 한도 초과 여부)
+function isInviteUsable(invite) {
+  if (!invite || invite.status !== INVITE_STATUS.ACTIVE) return false;
+  if (invite.expiresAt && invite.expiresAt.getTime() <= Date.now()) return false;
+  if (invite.maxUses !== null && invite.useCount >= invite.maxUses) return false;
+  return true;
+}
+
+// 초대 사용 처리 (트랜잭션 내). 조회 이후 다른 요청이 먼저 소진했으면 INVITE_EXHAUSTED
+async function consumeInvite(tx, invite) {
+  const result = await tx.channelInvite.updateMany({
+    where: {
+      id: invite.id,
+      status: INVITE_STATUS.ACTIVE,
+      useCount: invite.useCount,
+    },
+    data: { useCount: { increment: 1 } },
+  });
+  if (result.count === 0) {
+    throw new Error("INVITE_EXHAUSTED");
+  }
+}
+
+// 채널 참여
+// 비공개 채널은 초대 코드(inviteCode) 또는 본인에게 온 직접 초대가 있어야 가입 가능
+// inviteCode만 보내면 초대된 채널로 가입
+async function handleJoinChannel(ws, data) {
+  const { channelName, inviteCode } = data;
+  const userId = ws.user.id;
+
+  if (inviteCode !== undefined && (typeof inviteCode !== "string" || inviteCode.length === 0)) {
+    return sendSystemMessage(ws, "초대 코드가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if ((!channelName || typeof channelName !== "string") && !inviteCode) {
+    return sendSystemMessage(ws, "채널명을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // 초대 코드 조회
+    let codeInvite = null;
+    if (inviteCode) {
+      try {
+        codeInvite = await prisma.channelInvite.findUnique({
+          where: { code: inviteCode },
+        });
+      } catch (dbError) {
+        logError("DB_INVITE_FIND", dbError);
+        return sendSystemMessage(ws, "초대 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+      if (!codeInvite) {
+        return sendSystemMessage(ws, "존재하지 않는 초대 코드입니다.", ERROR_CODES.INVITE_INVALID);
+      }
+    }
+
+    // Supabase에서 채널 조회 (삭제되지 않은 채널만, 활성 멤버만)
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: channelName
+          ? { name: channelName, status: 0 }
+          : { id: codeInvite.channelId, status: 0 },
+        include: {
+          members: {
+            where: { status: 0 }, // 활성 멤버만
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+    const joinedChannelName = channel.name;
+
+    if (codeInvite && codeInvite.channelId !== channel.id) {
+      return sendSystemMessage(ws, "해당 채널의 초대 코드가 아닙니다.", ERROR_CODES.INVITE_INVALID);
+    }
+
+    // 기존 멤버십 확인 (탈퇴한 멤버 포함)
+    let existingMember;
+    try {
+      existingMember = await prisma.channelMember.findUnique({
+        where: {
+          channelId_userId: {
+            channelId: channel.id,
+            userId: userId,
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_FIND", dbError);
+      return sendSystemMessage(ws, "멤버 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    // 이미 활성 멤버인 경우
+    if (existingMember && existingMember.status === 0) {
+      return sendSystemMessage(ws, "이미 가입된 채널입니다.", ERROR_CODES.ALREADY_MEMBER);
+    }
+
+    // 강제 퇴장 등으로 재가입 불가 상태인 경우 (status >= 2)
+    if (existingMember && existingMember.status >= 2) {
+      return sendSystemMessage(ws, "해당 채널에 가입할 수 없습니다.", ERROR_CODES.JOIN_FORBIDDEN);
+    }
+
+    // 비공개 채널: 사용할 초대 결정 (초대 코드 우선, 없으면 본인에게 온 직접 초대)
+    let invite = null;
+    if (channel.visibility === CHANNEL_VISIBILITY.PRIVATE) {
+      if (codeInvite) {
+        invite = codeInvite;
+      } else {
+        try {
+          const directInvites = await prisma.channelInvite.findMany({
+            where: {
+              channelId: channel.id,
+              inviteeId: userId,
+              status: INVITE_STATUS.ACTIVE,
+            },
+            orderBy: { createdAt: "desc" },
+          });
+          invite = directInvites.find(isInviteUsable) || null;
+        } catch (dbError) {
+          logError("DB_INVITE_FIND", dbError);
+          return sendSystemMessage(ws, "초대 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+        }
+        if (!invite) {
+          return sendSystemMessage(ws, "비공개 채널은 초대를 받아야 가입할 수 있습니다.", ERROR_CODES.INVITE_REQUIRED);
+        }
+      }
+
+      if (invite.inviteeId && invite.inviteeId !== userId) {
+        return sendSystemMessage(ws, "다른 유저에게 발급된 초대입니다.", ERROR_CODES.INVITE_INVALID);
+      }
+      if (!isInviteUsable(invite)) {
+        return sendSystemMessage(ws, "만료되었거나 사용할 수 없는 초대입니다.", ERROR_CODES.INVITE_INVALID);
+      }
+    }
+
+    // 탈퇴한 멤버 재가입 (status === 1)
+    if (existingMember && existingMember.status === 1) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          if (invite) await consumeInvite(tx, invite);
+          await tx.channelMember.update({
+            where: { id: existingMember.id },
+            data: { status: 0, permission: DEFAULT_MEMBER_ROLE },
+          });
+        });
+      } catch (dbError) {
+        if (dbError.message === "INVITE_EXHAUSTED") {
+          return sendSystemMessage(ws, "만료되었거나 사용할 수 없는 초대입니다.", ERROR_CODES.INVITE_INVALID);
+        }
+        logError("DB_MEMBER_REJOIN", dbError);
+        return sendSystemMessage(ws, "채널 재가입 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+
+      // 활성 멤버 수 조회
+      let memberCount;
+      try {
+        memberCount = await prisma.channelMember.count({
+          where: { channelId: channel.id, status: 0 },
+        });
+      } catch (dbError) {
+        logError("DB_MEMBER_COUNT", dbError);
+        memberCount = channel.members.length + 1;
+      }
+
+      safeSend(ws, {
+        event: "channelJoined",
+        data: {
+          time: Date.now(),
+          channelId: channel.id,
+          channel: joinedChannelName,
+          visibility: channel.visibility,
+          memberCount,
+          myPermission: DEFAULT_MEMBER_ROLE,
+          myRole: getRoleName(DEFAULT_MEMBER_ROLE),
+          myJoinOrder: existingMember.joinOrder,
+          message: `채널 '${joinedChannelName}'에 재참여했습니다.`,
+        },
+      });
+
+      console.log(`채널 재참여: ${joinedChannelName} - ${userId}`);
+      return;
+    }
+
+    // 신규 가입: 가입 순서 계산 (전체 멤버 기록 기준, 탈퇴 포함)
+    let maxJoinOrder;
+    try {
+      const result = await prisma.channelMember.aggregate({
+        where: { channelId: channel.id },
+        _max: { joinOrder: true },
+      });
+      maxJoinOrder = result._max.joinOrder || 0;
+    } catch (dbError) {
+      logError("DB_JOIN_ORDER", dbError);
+      maxJoinOrder = channel.members.length;
+    }
+    const joinOrder = maxJoinOrder + 1;
+
+    // UUID 중복 방지
+    const memberId = await generateUniqueId("channelMember");
+
+    // Supabase에 멤버 추가 (초대 사용 처리와 함께)
+    try {
+      await prisma.$transaction(async (tx) => {
+        if (invite) await consumeInvite(tx, invite);
+        await tx.channelMember.create({
+          data: {
+            id: memberId,
+            channelId: channel.id,
+            userId: userId,
+            permission: DEFAULT_MEMBER_ROLE,
+            status: 0,
+            joinOrder: joinOrder,
+          },
+        });
+      });
+    } catch (dbError) {
+      if (dbError.message === "INVITE_EXHAUSTED") {
+        return sendSystemMessage(ws, "만료되었거나 사용할 수 없는 초대입니다.", ERROR_CODES.INVITE_INVALID);
+      }
+      logError("DB_MEMBER_CREATE", dbError);
+      return sendSystemMessage(
+        ws,
+        "채널 참여 중 데이터베이스 오류가 발생했습니다.",
+        ERROR_CODES.DB_ERROR,
+      );
+    }
+
+    // 활성 멤버 수 조회
+    let memberCount;
+    try {
+      memberCount = await prisma.channelMember.count({
+        where: { channelId: channel.id, status: 0 },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_COUNT", dbError);
+      memberCount = joinOrder;
+    }
+
+    safeSend(ws, {
+      event: "channelJoined",
+      data: {
+        time: Date.now(),
+        channelId: channel.id,
+        channel: joinedChannelName,
+        visibility: channel.visibility,
+        memberCount,
+        myPermission: DEFAULT_MEMBER_ROLE,
+        myRole: getRoleName(DEFAULT_MEMBER_ROLE),
+        myJoinOrder: joinOrder,
+        message: `채널 '${joinedChannelName}'에 참여했습니다.`,
+      },
+    });
+
+    console.log(`채널 참여: ${joinedChannelName} - ${userId} (순서: ${joinOrder})`);
+  } catch (error) {
+    logError("CHANNEL_JOIN", error);
+    sendSystemMessage(ws, "채널 참여 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 채널 목록 조회 (공개 채널 + 가입한 비공개 채널 목록 + 가입 여부)
+async function handleListChannel(ws, data) {
+  const userId = ws.user.id;
+
+  try {
+    // 공개 채널(visibility = 0) 또는 활성 멤버로 가입한 비공개 채널 (status = 0)
+    let publicChannels;
+    try {
+      publicChannels = await prisma.channelData.findMany({
+        where: {
+          status: 0,
+          OR: [
+            { visibility: CHANNEL_VISIBILITY.PUBLIC },
+            { members: { some: { userId: userId, status: 0 } } },
+          ],
+        },
+        select: {
+          id: true,
+          name: true,
+          visibility: true,
+          createdAt: true,
+          members: {
+            where: { userId: userId, status: 0 }, // 활성 멤버만
+            select: { id: true, permission: true, joinOrder: true },
+          },
+          _count: {
+            select: {
+              members: { where: { status: 0 } }, // 활성 멤버 수만
+            },
+          },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_LIST", dbError);
+      return sendSystemMessage(
+        ws,
+        "채널 목록 조회 중 데이터베이스 오류가 발생했습니다.",
+        ERROR_CODES.DB_ERROR,
+      );
+    }
+
+    const channels = publicChannels.map((channel) => {
+      const membership = channel.members[0]; // 가입되어 있으면 1개, 없으면 빈 배열
+      return {
+        channelId: channel.id,
+        channelName: channel.name,
+        visibility: channel.visibility,
+        memberCount: channel._count.members,
+        createdAt: channel.createdAt,
+        joined: !!membership,
+        myPermission: membership?.permission ?? null,
+        myRole: membership ? getRoleName(membership.permission) : null,
+        myJoinOrder: membership?.joinOrder ?? null,
+      };
+    });
+
+    safeSend(ws, {
+      event: "channelList",
+      data: { time: Date.now(), channels },
+    });
+
+    console.log(`채널 목록 조회: ${userId}`);
+  } catch (error) {
+    logError("CHANNEL_LIST", error);
+    sendSystemMessage(ws, "채널 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 채널 탈퇴
+async function handleQuitChannel(ws, data) {
+  const { channel: channelName } = data;
+  const userId = ws.user.id;
+
+  if (!channelName || typeof channelName !== "string") {
+    return sendSystemMessage(ws, "채널명을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // Supabase에서 채널 조회 (삭제되지 않은 채널, 활성 멤버만)
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { name: channelName, status: 0 },
+        include: {
+          members: {
+            where: { status: 0 }, // 활성 멤버만
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+
+    // 멤버십 확인 (활성 멤버만)
+    const membership = channel.members.find((m) => m.userId === userId);
+    if (!membership) {
+      return sendSystemMessage(ws, "가입되지 않은 채널입니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    // 오너(생성자)가 탈퇴하려는 경우
+    if (membership.permission === ROLE.OWNER) {
+      // 활성 멤버가 본인만 있는 경우
+      if (channel.members.length === 1) {
+        // 마지막 멤버(오너)가 탈퇴 = 채널 소프트 삭제
+        try {
+          await prisma.$transaction([
+            // 멤버 소프트 삭제
+            prisma.channelMember.update({
+              where: { id: membership.id },
+              data: { status: 1 },
+            }),
+            // 채널 소프트 삭제
+            prisma.channelData.update({
+              where: { id: channel.id },
+              data: { status: 1 },
+            }),
+          ]);
+        } catch (dbError) {
+          logError("DB_CHANNEL_SOFT_DELETE", dbError);
+          return sendSystemMessage(
+            ws,
+            "채널 삭제 중 데이터베이스 오류가 발생했습니다.",
+            ERROR_CODES.DB_ERROR,
+          );
+        }
+
+        safeSend(ws, {
+          event: "channelQuitted",
+          data: {
+            time: Date.now(),
+            channel: channelName,
+            message: `채널 '${channelName}'이 삭제되었습니다. (마지막 멤버 탈퇴)`,
+          },
+        });
+
+        console.log(`채널 소프트 삭제: ${channelName} (마지막 멤버 탈퇴)`);
+        return;
+      }
+
+      // 다른 활성 멤버가 있는 경우
+      return sendSystemMessage(
+        ws,
+        "채널 생성자는 다른 멤버가 있을 때 탈퇴할 수 없습니다. 권한을 양도한 후 탈퇴해주세요.",
+        ERROR_CODES.OWNER_CANNOT_QUIT,
+      );
+    }
+
+    // 일반 멤버 탈퇴 (소프트 삭제)
+    try {
+      await prisma.channelMember.update({
+        where: { id: membership.id },
+        data: { status: 1 },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_SOFT_DELETE", dbError);
+      return sendSystemMessage(
+        ws,
+        "채널 탈퇴 중 데이터베이스 오류가 발생했습니다.",
+        ERROR_CODES.DB_ERROR,
+      );
+    }
+
+    safeSend(ws, {
+      event: "channelQuitted",
+      data: {
+        time: Date.now(),
+        channel: channelName,
+        message: `채널 '${channelName}'에서 탈퇴했습니다.`,
+      },
+    });
+
+    console.log(`채널 탈퇴 (소프트 삭제): ${channelName} - ${userId}`);
+  } catch (error) {
+    logError("CHANNEL_QUIT", error);
+    sendSystemMessage(ws, "채널 탈퇴 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 채널 멤버 관리 (강퇴, 차단) ===
+
+// 멤버 관리 요청 공통 검증: 채널 존재 + 관리 권한 (+ 대상 멤버 조회)
+// 성공 시 { channel, membership, target } 반환, 실패 시 메시지 전송 후 null
+async function findModerationTarget(ws, channelId, targetUserId, needTarget = true) {
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+  if (needTarget && (!targetUserId || typeof targetUserId !== "string")) {
+    sendSystemMessage(ws, "대상 유저 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+  if (needTarget && targetUserId === userId) {
+    sendSystemMessage(ws, "자기 자신은 대상으로 지정할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+
+  let channel;
+  try {
+    channel = await prisma.channelData.findFirst({
+      where: { id: channelId, status: 0 },
+      include: {
+        members: {
+          where: { userId: { in: needTarget ? [userId, targetUserId] : [userId] } },
+          include: { user: { select: { email: true, name: true } } },
+        },
+      },
+    });
+  } catch (dbError) {
+    logError("DB_CHANNEL_FIND", dbError);
+    sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  if (!channel) {
+    sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    return null;
+  }
+
+  const membership = channel.members.find(
+    (m) => m.userId === userId && m.status === MEMBER_STATUS.ACTIVE,
+  );
+  if (!membership) {
+    sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    return null;
+  }
+  if (!requirePermission(ws, membership.permission, PERMISSION.MANAGE_MEMBERS, "멤버 관리 권한이 없습니다.")) {
+    return null;
+  }
+
+  if (!needTarget) return { channel, membership, target: null };
+
+  const target = channel.members.find((m) => m.userId === targetUserId);
+  if (!target) {
+    sendSystemMessage(ws, "해당 채널의 멤버가 아닙니다.", ERROR_CODES.NOT_A_MEMBER);
+    return null;
+  }
+  // 자신보다 하위 역할의 멤버만 관리 가능 (관리자끼리는 불가, 오너는 대상 불가)
+  if (target.permission <= membership.permission) {
+    sendSystemMessage(ws, "자신과 같거나 상위 역할의 멤버는 관리할 수 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    return null;
+  }
+
+  return { channel, membership, target };
+}
+
+// 멤버 역할 변경 (오너 → 관리자 이하, 관리자 → 편집자 이하)
+// 오너 역할은 transferOwnership으로만 변경
+async function handleChangeMemberRole(ws, data) {
+  const { channelId, targetUserId, role } = data;
+  const userId = ws.user.id;
+
+  if (!Number.isInteger(role) || role < ROLE.ADMIN || role > ROLE.VIEWER) {
+    return sendSystemMessage(ws, "변경할 역할이 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    const found = await findModerationTarget(ws, channelId, targetUserId);
+    if (!found) return;
+    const { channel, membership, target } = found;
+
+    if (role <= membership.permission) {
+      return sendSystemMessage(ws, "자신과 같거나 상위 역할은 부여할 수 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+
+    let result;
+    try {
+      result = await prisma.channelMember.updateMany({
+        where: { id: target.id, status: MEMBER_STATUS.ACTIVE },
+        data: { permission: role },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_ROLE", dbError);
+      return sendSystemMessage(ws, "역할 변경 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (result.count === 0) {
+      return sendSystemMessage(ws, "해당 채널의 멤버가 아닙니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    applyMemberRole(channelId, targetUserId, role);
+
+    broadcastToChannel(channelId, "memberRoleChanged", {
+      time: Date.now(),
+      channelId: channelId,
+      userId: targetUserId,
+      email: target.user.email,
+      previousPermission: target.permission,
+      permission: role,
+      role: getRoleName(role),
+      by: userId,
+    });
+
+    console.log(`멤버 역할 변경: ${channel.name} - ${targetUserId} ${getRoleName(target.permission)} → ${getRoleName(role)} by ${userId}`);
+  } catch (error) {
+    logError("MEMBER_ROLE", error);
+    sendSystemMessage(ws, "역할 변경 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 멤버 강퇴 (status 1, 재가입 가능)
+async function handleKickMember(ws, data) {
+  const { channelId, targetUserId } = data;
+  const userId = ws.user.id;
+
+  try {
+    const found = await findModerationTarget(ws, channelId, targetUserId);
+    if (!found) return;
+    const { channel, target } = found;
+
+    let result;
+    try {
+      result = await prisma.channelMember.updateMany({
+        where: { id: target.id, status: MEMBER_STATUS.ACTIVE },
+        data: { status: MEMBER_STATUS.LEFT, permission: DEFAULT_MEMBER_ROLE },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_KICK", dbError);
+      return sendSystemMessage(ws, "강퇴 처리 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (result.count === 0) {
+      return sendSystemMessage(ws, "해당 채널의 멤버가 아닙니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    evictMember(channelId, targetUserId, "memberKicked", {
+      time: Date.now(),
+      channelId: channelId,
+      channelName: channel.name,
+      by: userId,
+      message: `채널 '${channel.name}'에서 강퇴되었습니다.`,
+    });
+
+    safeSend(ws, {
+      event: "memberKickedResult",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        userId: targetUserId,
+        message: `${target.user.email || targetUserId} 님을 강퇴했습니다.`,
+      },
+    });
+
+    console.log(`멤버 강퇴: ${channel.name} - ${targetUserId} by ${userId}`);
+  } catch (error) {
+    logError("MEMBER_KICK", error);
+    sendSystemMessage(ws, "강퇴 처리 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 멤버 차단 (status 2, 재가입 불가). 탈퇴한 멤버도 차단 가능
+async function handleBanMember(ws, data) {
+  const { channelId, targetUserId } = data;
+  const userId = ws.user.id;
+
+  try {
+    const found = await findModerationTarget(ws, channelId, targetUserId);
+    if (!found) return;
+    const { channel, target } = found;
+
+    if (target.status === MEMBER_STATUS.BANNED) {
+      return sendSystemMessage(ws, "이미 차단된 멤버입니다.", ERROR_CODES.ALREADY_BANNED);
+    }
+
+    try {
+      await prisma.$transaction([
+        prisma.channelMember.update({
+          where: { id: target.id },
+          data: { status: MEMBER_STATUS.BANNED, permission: DEFAULT_MEMBER_ROLE },
+        }),
+        // 대상에게 보낸 직접 초대 취소
+        prisma.channelInvite.updateMany({
+          where: { channelId: channelId, inviteeId: targetUserId, status: INVITE_STATUS.ACTIVE },
+          data: { status: INVITE_STATUS.REVOKED },
+        }),
+      ]);
+    } catch (dbError) {
+      logError("DB_MEMBER_BAN", dbError);
+      return sendSystemMessage(ws, "차단 처리 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    evictMember(channelId, targetUserId, "memberBanned", {
+      time: Date.now(),
+      channelId: channelId,
+      channelName: channel.name,
+      by: userId,
+      message: `채널 '${channel.name}'에서 차단되었습니다.`,
+    });
+
+    safeSend(ws, {
+      event: "memberBannedResult",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        userId: targetUserId,
+        message: `${target.user.email || targetUserId} 님을 차단했습니다.`,
+      },
+    });
+
+    console.log(`멤버 차단: ${channel.name} - ${targetUserId} by ${userId}`);
+  } catch (error) {
+    logError("MEMBER_BAN", error);
+    sendSystemMessage(ws, "차단 처리 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 차단 해제 (status 1, 다시 가입 가능한 상태로)
+async function handleUnbanMember(ws, data) {
+  const { channelId, targetUserId } = data;
+  const userId = ws.user.id;
+
+  try {
+    const found = await findModerationTarget(ws, channelId, targetUserId);
+    if (!found) return;
+    const { channel, target } = found;
+
+    let result;
+    try {
+      result = await prisma.channelMember.updateMany({
+        where: { id: target.id, status: MEMBER_STATUS.BANNED },
+        data: { status: MEMBER_STATUS.LEFT },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_UNBAN", dbError);
+      return sendSystemMessage(ws, "차단 해제 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (result.count === 0) {
+      return sendSystemMessage(ws, "차단된 멤버가 아닙니다.", ERROR_CODES.NOT_BANNED);
+    }
+
+    safeSend(ws, {
+      event: "memberUnbanned",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        userId: targetUserId,
+        message: `${target.user.email || targetUserId} 님의 차단을 해제했습니다.`,
+      },
+    });
+
+    console.log(`멤버 차단 해제: ${channel.name} - ${targetUserId} by ${userId}`);
+  } catch (error) {
+    logError("MEMBER_UNBAN", error);
+    sendSystemMessage(ws, "차단 해제 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 차단된 멤버 목록 조회
+async function handleListBannedMembers(ws, data) {
+  const { channelId } = data;
+
+  try {
+    const found = await findModerationTarget(ws, channelId, null, false);
+    if (!found) return;
+
+    let bannedMembers;
+    try {
+      bannedMembers = await prisma.channelMember.findMany({
+        where: { channelId: channelId, status: MEMBER_STATUS.BANNED },
+        include: { user: { select: { email: true, name: true, picture: true } } },
+        orderBy: { joinOrder: "asc" },
+      });
+    } catch (dbError) {
+      logError("DB_BANNED_LIST", dbError);
+      return sendSystemMessage(ws, "차단 목록 조회 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    safeSend(ws, {
+      event: "bannedMemberList",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        members: bannedMembers.map((m) => ({
+          userId: m.userId,
+          email: m.user.email,
+          name: m.user.name,
+          picture: m.user.picture,
+          joinedAt: m.joinedAt.toISOString(),
+        })),
+      },
+    });
+  } catch (error) {
+    logError("BANNED_LIST", error);
+    sendSystemMessage(ws, "차단 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 채널 오너 양도 / 계정 탈퇴 ===
+
+// 채널 오너 양도 (오너만 가능, 대상은 활성 멤버). 기존 오너는 관리자가 됨
+async function handleTransferOwnership(ws, data) {
+  const { channelId, targetUserId } = data;
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (!targetUserId || typeof targetUserId !== "string") {
+    return sendSystemMessage(ws, "양도할 유저 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (targetUserId === userId) {
+    return sendSystemMessage(ws, "자기 자신에게는 양도할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { id: channelId, status: 0 },
+        select: { id: true, name: true },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+
+    // 오너 → 일반 멤버, 대상 → 오너 (동시 요청 대비 조건부 업데이트)
+    try {
+      await prisma.$transaction(async (tx) => {
+        const demoted = await tx.channelMember.updateMany({
+          where: { channelId: channelId, userId: userId, status: 0, permission: ROLE.OWNER },
+          data: { permission: ROLE.ADMIN },
+        });
+        if (demoted.count === 0) throw new Error("NOT_OWNER");
+
+        const promoted = await tx.channelMember.updateMany({
+          where: { channelId: channelId, userId: targetUserId, status: 0 },
+          data: { permission: ROLE.OWNER },
+        });
+        if (promoted.count === 0) throw new Error("TARGET_NOT_MEMBER");
+      });
+    } catch (dbError) {
+      if (dbError.message === "NOT_OWNER") {
+        return sendSystemMessage(ws, "채널 오너만 권한을 양도할 수 있습니다.", ERROR_CODES.PERMISSION_DENIED);
+      }
+      if (dbError.message === "TARGET_NOT_MEMBER") {
+        return sendSystemMessage(ws, "양도 대상이 채널 멤버가 아닙니다.", ERROR_CODES.NOT_A_MEMBER);
+      }
+      logError("DB_OWNER_TRANSFER", dbError);
+      return sendSystemMessage(ws, "권한 양도 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    applyMemberRole(channelId, userId, ROLE.ADMIN);
+    applyMemberRole(channelId, targetUserId, ROLE.OWNER);
+
+    broadcastToChannel(
+      channelId,
+      "channelOwnerChanged",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        channelName: channel.name,
+        previousOwnerId: userId,
+        newOwnerId: targetUserId,
+        reason: "transfer",
+      },
+      ws,
+    );
+
+    safeSend(ws, {
+      event: "ownershipTransferred",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        channelName: channel.name,
+        newOwnerId: targetUserId,
+        message: `채널 '${channel.name}'의 오너 권한을 양도했습니다.`,
+      },
+    });
+
+    console.log(`채널 오너 양도: ${channel.name} - ${userId} → ${targetUserId}`);
+  } catch (error) {
+    logError("OWNER_TRANSFER", error);
+    sendSystemMessage(ws, "권한 양도 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 계정 탈퇴 (소프트 삭제)
+// - 오너인 채널: 다른 멤버가 있으면 가장 먼저 가입한 멤버에게 오너 승계, 없으면 채널 삭제
+// - 모든 채널 멤버십 탈퇴, 관련 초대 취소, 접속 중인 웹소켓 종료
+async function handleDeleteAccount(ws, data) {
+  const userId = ws.user.id;
+
+  try {
+    // 오너인 채널과 승계 후보 (가입 순서가 가장 빠른 활성 멤버)
+    let ownedMemberships;
+    try {
+      ownedMemberships = await prisma.channelMember.findMany({
+        where: { userId: userId, status: 0, permission: ROLE.OWNER, channel: { status: 0 } },
+        include: {
+          channel: {
+            select: {
+              id: true,
+              name: true,
+              members: {
+                where: { status: 0, userId: { not: userId } },
+                orderBy: { joinOrder: "asc" },
+                take: 1,
+                select: { id: true, userId: true },
+              },
+            },
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    const successions = ownedMemberships.map((m) => ({
+      channelId: m.channel.id,
+      channelName: m.channel.name,
+      successor: m.channel.members[0] || null,
+    }));
+
+    if (!AUTO_PROMOTE_OWNER) {
+      const blocking = successions.filter((s) => s.successor);
+      if (blocking.length > 0) {
+        return sendSystemMessage(
+          ws,
+          `다른 멤버가 있는 채널의 오너 권한을 먼저 양도해주세요: ${blocking.map((s) => s.channelName).join(", ")}`,
+          ERROR_CODES.OWNER_CANNOT_QUIT,
+        );
+      }
+    }
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        for (const s of successions) {
+          if (s.successor) {
+            await tx.channelMember.update({
+              where: { id: s.successor.id },
+              data: { permission: ROLE.OWNER },
+            });
+          } else {
+            // 남은 멤버 없음 = 채널 소프트 삭제
+            await tx.channelData.update({
+              where: { id: s.channelId },
+              data: { status: 1 },
+            });
+          }
+        }
+
+        await tx.channelMember.updateMany({
+          where: { userId: userId, status: 0 },
+          data: { status: 1, permission: DEFAULT_MEMBER_ROLE },
+        });
+
+        await tx.channelInvite.updateMany({
+          where: {
+            status: INVITE_STATUS.ACTIVE,
+            OR: [{ createdBy: userId }, { inviteeId: userId }],
+          },
+          data: { status: INVITE_STATUS.REVOKED },
+        });
+
+        await tx.userData.update({
+          where: { id: userId },
+          data: { status: USER_STATUS.DELETED },
+        });
+
+        // 로그인 세션 전체 폐기 (refresh token 재발급 차단)
+        await tx.authSession.updateMany({
+          where: { userId: userId, revokedAt: null },
+          data: { revokedAt: new Date() },
+        });
+      });
+    } catch (dbError) {
+      logError("DB_ACCOUNT_DELETE", dbError);
+      return sendSystemMessage(ws, "계정 탈퇴 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    successions.forEach((s) => {
+      if (!s.successor) return;
+      applyMemberRole(s.channelId, s.successor.userId, ROLE.OWNER);
+      broadcastToChannel(s.channelId, "channelOwnerChanged", {
+        time: Date.now(),
+        channelId: s.channelId,
+        channelName: s.channelName,
+        previousOwnerId: userId,
+        newOwnerId: s.successor.userId,
+        reason: "ownerDeleted",
+      });
+      console.log(`채널 오너 자동 승계: ${s.channelName} - ${userId} → ${s.successor.userId}`);
+    });
+
+    safeSend(ws, {
+      event: "accountDeleted",
+      data: {
+        time: Date.now(),
+        message: "계정이 탈퇴 처리되었습니다.",
+      },
+    });
+
+    disconnectUser(userId, 1008, "Account deleted");
+    console.log(`계정 탈퇴: ${ws.user.email} (${userId})`);
+  } catch (error) {
+    logError("ACCOUNT_DELETE", error);
+    sendSystemMessage(ws, "계정 탈퇴 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 채널 초대 핸들러 ===
+
+const INVITE_MAX_EXPIRES_MINUTES = 60 * 24 * 30; // 초대 최대 유효기간 (30일)
+const INVITE_MAX_USES = 1000;
+
+// 초대 관리 요청 공통 검증: 채널 존재 + 초대 관리 권한
+// 성공 시 channel 반환, 실패 시 메시지 전송 후 null
+async function findInviteManageChannel(ws, channelId) {
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+
+  let channel;
+  try {
+    channel = await prisma.channelData.findFirst({
+      where: { id: channelId, status: 0 },
+      include: {
+        members: {
+          where: { userId: userId, status: 0 },
+          select: { permission: true },
+        },
+      },
+    });
+  } catch (dbError) {
+    logError("DB_CHANNEL_FIND", dbError);
+    sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  if (!channel) {
+    sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    return null;
+  }
+
+  const membership = channel.members[0];
+  if (!membership) {
+    sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    return null;
+  }
+
+  if (!requirePermission(ws, membership.permission, PERMISSION.MANAGE_INVITES, "초대 관리 권한이 없습니다.")) {
+    return null;
+  }
+
+  return channel;
+}
+
+// 초대 응답 형식
+function formatInvite(invite) {
+  return {
+    inviteId: invite.id,
+    channelId: invite.channelId,
+    code: invite.code,
+    inviteeId: invite.inviteeId,
+    createdBy: invite.createdBy,
+    maxUses: invite.maxUses,
+    useCount: invite.useCount,
+    expiresAt: invite.expiresAt ? invite.expiresAt.toISOString() : null,
+    createdAt: invite.createdAt.toISOString(),
+  };
+}
+
+// 초대 생성
+// - inviteeId 지정: 해당 유저 전용 직접 초대 (1회용, 코드 없음)
+// - 미지정: 초대 코드 발급 (expiresInMinutes, maxUses로 제한 가능)
+async function handleCreateInvite(ws, data) {
+  const { channelId, inviteeId = null, expiresInMinutes = null, maxUses = null } = data;
+  const userId = ws.user.id;
+
+  if (inviteeId !== null && typeof inviteeId !== "string") {
+    return sendSystemMessage(ws, "초대할 유저 ID가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (
+    expiresInMinutes !== null &&
+    (!Number.isInteger(expiresInMinutes) ||
+      expiresInMinutes <= 0 ||
+      expiresInMinutes > INVITE_MAX_EXPIRES_MINUTES)
+  ) {
+    return sendSystemMessage(ws, "초대 유효기간이 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses <= 0 || maxUses > INVITE_MAX_USES)) {
+    return sendSystemMessage(ws, `초대 사용 횟수는 1~${INVITE_MAX_USES} 사이로 입력해주세요.`, ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    const channel = await findInviteManageChannel(ws, channelId);
+    if (!channel) return;
+
+    // 직접 초대: 대상 유저 확인
+    if (inviteeId) {
+      let invitee;
+      try {
+        invitee = await prisma.userData.findUnique({
+          where: { id: inviteeId },
+          select: {
+            id: true,
+            channelMembers: { where: { channelId: channelId }, select: { status: true } },
+          },
+        });
+      } catch (dbError) {
+        logError("DB_USER_FIND", dbError);
+        return sendSystemMessage(ws, "유저 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+
+      if (!invitee) {
+        return sendSystemMessage(ws, "존재하지 않는 유저입니다.", ERROR_CODES.USER_NOT_FOUND);
+      }
+      const inviteeMembership = invitee.channelMembers[0];
+      if (inviteeMembership && inviteeMembership.status === 0) {
+        return sendSystemMessage(ws, "이미 채널에 가입된 유저입니다.", ERROR_CODES.ALREADY_MEMBER);
+      }
+      if (inviteeMembership && inviteeMembership.status >= 2) {
+        return sendSystemMessage(ws, "해당 유저는 채널에 가입할 수 없습니다.", ERROR_CODES.JOIN_FORBIDDEN);
+      }
+    }
+
+    const expiresAt = expiresInMinutes
+      ? new Date(Date.now() + expiresInMinutes * 60 * 1000)
+      : null;
+
+    // 초대 코드 생성 (코드 충돌 시 재시도)
+    let invite;
+    for (let i = 0; i < 5 && !invite; i++) {
+      try {
+        invite = await prisma.channelInvite.create({
+          data: {
+            id: await generateUniqueId("channelInvite"),
+            channelId: channelId,
+            code: inviteeId ? null : crypto.randomBytes(6).toString("base64url"),
+            inviteeId: inviteeId,
+            createdBy: userId,
+            maxUses: inviteeId ? 1 : maxUses,
+            expiresAt: expiresAt,
+          },
+        });
+      } catch (dbError) {
+        if (dbError.code === "P2002") continue;
+        logError("DB_INVITE_CREATE", dbError);
+        return sendSystemMessage(ws, "초대 생성 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
+    if (!invite) {
+      return sendSystemMessage(ws, "초대 코드 생성에 실패했습니다. 다시 시도해주세요.", ERROR_CODES.INTERNAL_ERROR);
+    }
+
+    // 직접 초대 대상에게 알림 (접속 중인 경우)
+    if (inviteeId) {
+      sendToUser(inviteeId, "channelInvited", {
+        time: Date.now(),
+        inviteId: invite.id,
+        channelId: channelId,
+        channelName: channel.name,
+        invitedBy: userId,
+        expiresAt: invite.expiresAt ? invite.expiresAt.toISOString() : null,
+        message: `채널 '${channel.name}'에 초대되었습니다.`,
+      });
+    }
+
+    safeSend(ws, {
+      event: "inviteCreated",
+      data: {
+        time: Date.now(),
+        ...formatInvite(invite),
+        message: inviteeId ? "유저를 초대했습니다." : "초대 코드가 생성되었습니다.",
+      },
+    });
+
+    console.log(`채널 초대 생성: ${channel.name} (${invite.id}) by ${userId}` + (inviteeId ? ` → ${inviteeId}` : ""));
+  } catch (error) {
+    logError("INVITE_CREATE", error);
+    sendSystemMessage(ws, "초대 생성 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 채널의 사용 가능한 초대 목록 조회
+async function handleListInvites(ws, data) {
+  const { channelId } = data;
+
+  try {
+    const channel = await findInviteManageChannel(ws, channelId);
+    if (!channel) return;
+
+    let invites;
+    try {
+      invites = await prisma.channelInvite.findMany({
+        where: { channelId: channelId, status: INVITE_STATUS.ACTIVE },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (dbError) {
+      logError("DB_INVITE_LIST", dbError);
+      return sendSystemMessage(ws, "초대 목록 조회 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    safeSend(ws, {
+      event: "inviteList",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        invites: invites.filter(isInviteUsable).map(formatInvite),
+      },
+    });
+  } catch (error) {
+    logError("INVITE_LIST", error);
+    sendSystemMessage(ws, "초대 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 초대 취소
+async function handleRevokeInvite(ws, data) {
+  const { channelId, inviteId } = data;
+  const userId = ws.user.id;
+
+  if (!inviteId || typeof inviteId !== "string") {
+    return sendSystemMessage(ws, "초대 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    const channel = await findInviteManageChannel(ws, channelId);
+    if (!channel) return;
+
+    let result;
+    try {
+      result = await prisma.channelInvite.updateMany({
+        where: { id: inviteId, channelId: channelId, status: INVITE_STATUS.ACTIVE },
+        data: { status: INVITE_STATUS.REVOKED },
+      });
+    } catch (dbError) {
+      logError("DB_INVITE_REVOKE", dbError);
+      return sendSystemMessage(ws, "초대 취소 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (result.count === 0) {
+      return sendSystemMessage(ws, "초대가 존재하지 않습니다.", ERROR_CODES.INVITE_NOT_FOUND);
+    }
+
+    safeSend(ws, {
+      event: "inviteRevoked",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        inviteId: inviteId,
+        message: "초대가 취소되었습니다.",
+      },
+    });
+
+    console.log(`채널 초대 취소: ${channel.name} (${inviteId}) by ${userId}`);
+  } catch (error) {
+    logError("INVITE_REVOKE", error);
+    sendSystemMessage(ws, "초대 취소 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 내가 받은 직접 초대 목록 조회
+async function handleListMyInvites(ws, data) {
+  const userId = ws.user.id;
+
+  try {
+    let invites;
+    try {
+      invites = await prisma.channelInvite.findMany({
+        where: {
+          inviteeId: userId,
+          status: INVITE_STATUS.ACTIVE,
+          channel: { status: 0 },
+        },
+        include: { channel: { select: { name: true } } },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (dbError) {
+      logError("DB_INVITE_LIST", dbError);
+      return sendSystemMessage(ws, "초대 목록 조회 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    safeSend(ws, {
+      event: "myInviteList",
+      data: {
+        time: Date.now(),
+        invites: invites.filter(isInviteUsable).map((invite) => ({
+          ...formatInvite(invite),
+          channelName: invite.channel.name,
+        })),
+      },
+    });
+  } catch (error) {
+    logError("MY_INVITE_LIST", error);
+    sendSystemMessage(ws, "초대 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 폴더 접근 제어 (ACL) ===
+// 폴더(.option 문서)의 acl 컬럼: { read?, edit?, manage? } (null이면 제한 없음)
+// - 규칙: { minRole: 허용할 최하위 역할, users: 역할과 무관하게 허용할 유저 ID 목록 }
+// - read: 폴더 및 하위 항목 열람 / edit: 하위 문서 편집 / manage: 하위 항목 생성, 삭제, 이름 변경, 이동
+// - 상위 폴더 규칙이 하위로 상속되어 경로상 모든 폴더의 규칙을 만족해야 허용
+// - root 직계 항목(parentId null)은 최상위 디렉토리 마커(root의 .option) 규칙을 상속
+// - read 규칙은 모든 작업에 적용, 오너는 항상 허용
+
+const ACL_ACTIONS = ["read", "edit", "manage"];
+const ACL_MAX_USERS = 100;
+
+// 채널의 폴더 트리: Map<folderId, { id, parentId, dir, depth, acl }>
+async function getFolderTree(channelId) {
+  const folders = await prisma.documentData.findMany({
+    where: { channelId: channelId, name: ".option", status: 0 },
+    select: { id: true, name: true, parentId: true, dir: true, depth: true, acl: true },
+  });
+  return new Map(folders.map((f) => [f.id, f]));
+}
+
+// 문서에 적용되는 규칙의 시작 폴더 (폴더는 자기 규칙부터, 일반 문서는 부모 폴더부터, null이면 root)
+function getAclFolderId(doc) {
+  return doc.name === ".option" ? doc.id : doc.parentId;
+}
+
+// 최상위 디렉토리 마커(root의 .option: dir "root", parentId null, depth 0). 트리별 캐시, 마커는 변경/삭제되지 않음
+const rootMarkerCache = new WeakMap();
+
+function getRootMarker(tree) {
+  if (!rootMarkerCache.has(tree)) {
+    const root = [...tree.values()].find(
+      (folder) => folder.parentId === null && folder.depth === 0 && folder.dir === "root",
+    );
+    rootMarkerCache.set(tree, root || null);
+  }
+  return rootMarkerCache.get(tree);
+}
+
+// 규칙을 확인할 폴더 경로: folderId부터 최상위 디렉토리 마커까지 (마커 자신은 visited로 종료)
+function* walkAclFolders(tree, folderId) {
+  const visited = new Set();
+  let folder = folderId ? tree.get(folderId) : getRootMarker(tree);
+  while (folder && !visited.has(folder.id)) {
+    visited.add(folder.id);
+    yield folder;
+    folder = folder.parentId ? tree.get(folder.parentId) : getRootMarker(tree);
+  }
+}
+
+function matchesAclRule(rule, userId, role) {
+  if (!rule) return true;
+  if (Array.isArray(rule.users) && rule.users.includes(userId)) return true;
+  return Number.isInteger(rule.minRole) && role <= rule.minRole;
+}
+
+// folderId부터 최상위까지 경로상 폴더 규칙 확인
+function checkFolderAccess(tree, folderId, action, userId, role) {
+  if (role === ROLE.OWNER) return true;
+
+  for (const folder of walkAclFolders(tree, folderId)) {
+    const acl = folder.acl;
+    if (acl) {
+      if (!matchesAclRule(acl.read, userId, role)) return false;
+      if (action !== "read" && !matchesAclRule(acl[action], userId, role)) return false;
+    }
+  }
+  return true;
+}
+
+// 경로상 열람 제한(read 규칙)이 걸린 폴더가 있는지
+function isReadRestricted(tree, folderId) {
+  for (const folder of walkAclFolders(tree, folderId)) {
+    if (folder.acl?.read) return true;
+  }
+  return false;
+}
+
+// 접속 유저 목록에서 조회자가 열람할 수 없는 문서의 currentDoc 숨김 (조회 실패 시 모두 숨김)
+async function filterVisibleCurrentDocs(channelId, users, userId, role) {
+  const docIds = [...new Set(users.map((u) => u.currentDoc).filter(Boolean))];
+  if (docIds.length === 0 || role === ROLE.OWNER) return users;
+
+  let visible;
+  try {
+    const [tree, docs] = await Promise.all([
+      getFolderTree(channelId),
+      prisma.documentData.findMany({
+        where: { id: { in: docIds }, channelId: channelId },
+        select: { id: true, name: true, parentId: true },
+      }),
+    ]);
+    visible = new Set(
+      docs
+        .filter((doc) => checkFolderAccess(tree, getAclFolderId(doc), "read", userId, role))
+        .map((doc) => doc.id),
+    );
+  } catch (dbError) {
+    logError("DB_FOLDER_TREE", dbError);
+    visible = new Set();
+  }
+
+  return users.map((u) => (u.currentDoc && !visible.has(u.currentDoc) ? { ...u, currentDoc: null } : u));
+}
+
+// 문서 트리 변경 알림. 열람 제한 폴더 안의 항목이면 상세 정보 없이 전송 (클라이언트는 목록 재조회)
+async function broadcastDocTreeEvent(channelId, folderIds, event, data, excludeWs = null) {
+  let restricted = false;
+  try {
+    const tree = await getFolderTree(channelId);
+    restricted = folderIds.some((folderId) => isReadRestricted(tree, folderId));
+  } catch (dbError) {
+    logError("DB_FOLDER_TREE", dbError);
+    restricted = true;
+  }
+
+  const payload = restricted
+    ? { time: data.time, channelId: channelId, action: data.action, restricted: true }
+    : data;
+  broadcastToChannel(channelId, event, payload, excludeWs);
+}
+
+// 입장 중인 문서에 대한 접근 권한 (ws.docAccess에 캐시, 역할/ACL/위치 변경 시 초기화)
+async function getDocAccess(ws, docId) {
+  if (ws.docAccess && ws.docAccess.docId === docId) return ws.docAccess;
+
+  const document = await prisma.documentData.findUnique({
+    where: { id: docId },
+    select: { id: true, channelId: true, name: true, dir: true, parentId: true, depth: true },
+  });
+  if (!document) return { docId, canRead: false, canEdit: false };
+
+  const tree = await getFolderTree(document.channelId);
+  const folderId = getAclFolderId(document);
+  const role = ws.channelRole;
+  const userId = ws.user.id;
+
+  const access = {
+    docId,
+    canRead:
+      hasPermission(role, PERMISSION.VIEW) && checkFolderAccess(tree, folderId, "read", userId, role),
+    canEdit:
+      hasPermission(role, PERMISSION.EDIT_DOC) && checkFolderAccess(tree, folderId, "edit", userId, role),
+    restricted: isReadRestricted(tree, folderId), // 경로상 열람 제한 폴더 여부
+    location: { name: document.name, dir: document.dir, parentId: document.parentId, depth: document.depth },
+  };
+  if (ws.currentDoc === docId) ws.docAccess = access;
+  return access;
+}
+
+// 이 인스턴스에서 채널의 문서를 열람 중인 유저 권한 재확인, 열람 권한이 없어졌으면 문서에서 퇴장
+async function refreshLocalDocAccess(channelId) {
+  const targets = [];
+  wss.clients.forEach((ws) => {
+    if (ws.currentChannel === channelId && ws.currentDoc) {
+      ws.docAccess = null;
+      targets.push(ws);
+    }
+  });
+
+  for (const ws of targets) {
+    const docId = ws.currentDoc;
+    if (!docId) continue;
+    try {
+      const access = await getDocAccess(ws, docId);
+      if (access.canRead || ws.currentDoc !== docId) continue;
+
+      removeFromDoc(docId, ws);
+      broadcastToDoc(docId, "userLeftDoc", {
+        time: Date.now(),
+        docId: docId,
+        userId: ws.user.id,
+        email: ws.user.email,
+        reason: "accessRevoked",
+      });
+      safeSend(ws, {
+        event: "docAccessRevoked",
+        data: {
+          time: Date.now(),
+          channelId: channelId,
+          docId: docId,
+          message: "문서 열람 권한이 없어 문서에서 퇴장되었습니다.",
+        },
+      });
+      onDocDisconnect(docId);
+    } catch (error) {
+      logError("DOC_ACCESS_REFRESH", error);
+    }
+  }
+}
+
+// 채널 문서 접근 권한 재확인 (전체 인스턴스)
+function refreshDocAccess(channelId) {
+  publishToCluster("folderAcl", { channelId });
+  return refreshLocalDocAccess(channelId);
+}
+
+// 요청으로 받은 ACL 검증 및 정규화. 올바르지 않으면 null 반환
+function normalizeFolderAcl(acl) {
+  if (typeof acl !== "object" || Array.isArray(acl)) return null;
+
+  const normalized = {};
+  for (const [action, rule] of Object.entries(acl)) {
+    if (!ACL_ACTIONS.includes(action)) return null;
+    if (rule === null) continue;
+    if (typeof rule !== "object" || Array.isArray(rule)) return null;
+
+    const { minRole = null, users = [] } = rule;
+    if (minRole !== null && (!Number.isInteger(minRole) || minRole < ROLE.OWNER || minRole > ROLE.VIEWER)) {
+      return null;
+    }
+    if (
+      !Array.isArray(users) ||
+      users.length > ACL_MAX_USERS ||
+      users.some((u) => typeof u !== "string")
+    ) {
+      return null;
+    }
+    normalized[action] = { minRole, users: [...new Set(users)] };
+  }
+  return normalized;
+}
+
+// 폴더 ACL 요청 공통 검증: 채널 멤버십 + 폴더 존재 + 폴더 열람 권한
+// 성공 시 { membership, folder, tree } 반환, 실패 시 메시지 전송 후 null
+async function findAclFolder(ws, channelId, folderId) {
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+  if (!folderId || typeof folderId !== "string") {
+    sendSystemMessage(ws, "폴더 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+
+  let channel;
+  try {
+    channel = await prisma.channelData.findFirst({
+      where: { id: channelId, status: 0 },
+      include: {
+        members: {
+          where: { userId: userId, status: 0 },
+          select: { permission: true },
+        },
+      },
+    });
+  } catch (dbError) {
+    logError("DB_CHANNEL_FIND", dbError);
+    sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  if (!channel) {
+    sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    return null;
+  }
+
+  const membership = channel.members[0];
+  if (!membership) {
+    sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    return null;
+  }
+
+  let tree;
+  try {
+    tree = await getFolderTree(channelId);
+  } catch (dbError) {
+    logError("DB_FOLDER_TREE", dbError);
+    sendSystemMessage(ws, "폴더 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  const folder = tree.get(folderId);
+  if (!folder || !checkFolderAccess(tree, folderId, "read", userId, membership.permission)) {
+    sendSystemMessage(ws, "폴더가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    return null;
+  }
+
+  return { membership, folder, tree };
+}
+
+// 폴더 ACL 설정 (acl: null이면 제한 해제)
+async function handleSetFolderAcl(ws, data) {
+  const { channelId, folderId, acl } = data;
+  const userId = ws.user.id;
+
+  let normalizedAcl = null;
+  if (acl !== null && acl !== undefined) {
+    normalizedAcl = normalizeFolderAcl(acl);
+    if (!normalizedAcl) {
+      return sendSystemMessage(ws, "접근 제어 설정이 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+    if (Object.keys(normalizedAcl).length === 0) normalizedAcl = null;
+  }
+
+  try {
+    const found = await findAclFolder(ws, channelId, folderId);
+    if (!found) return;
+    const { membership, folder, tree } = found;
+
+    if (!requirePermission(ws, membership.permission, PERMISSION.MANAGE_FOLDER_ACL, "폴더 접근 제어 권한이 없습니다.")) {
+      return;
+    }
+    if (!checkFolderAccess(tree, folderId, "manage", userId, membership.permission)) {
+      return sendSystemMessage(ws, "폴더 관리 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+
+    try {
+      await prisma.documentData.update({
+        where: { id: folderId },
+        data: { acl: normalizedAcl ?? Prisma.DbNull },
+      });
+    } catch (dbError) {
+      logError("DB_FOLDER_ACL_UPDATE", dbError);
+      return sendSystemMessage(ws, "접근 제어 설정 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    // 열람 권한이 바뀌었을 수 있으므로 목록 재조회 유도 + 열람 중인 유저 권한 재확인
+    broadcastToChannel(channelId, "folderAclChanged", {
+      time: Date.now(),
+      channelId: channelId,
+      folderId: folderId,
+      updatedBy: userId,
+    });
+    await refreshDocAccess(channelId);
+
+    safeSend(ws, {
+      event: "folderAclUpdated",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        folderId: folderId,
+        acl: normalizedAcl,
+        message: `폴더 '${folder.dir}'의 접근 제어가 변경되었습니다.`,
+      },
+    });
+
+    console.log(`폴더 ACL 변경: ${folder.dir} (${folderId}) in ${channelId} by ${userId}`);
+  } catch (error) {
+    logError("FOLDER_ACL_SET", error);
+    sendSystemMessage(ws, "접근 제어 설정 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 폴더 ACL 조회 (폴더 자체 설정 + 요청자의 실제 권한)
+async function handleGetFolderAcl(ws, data) {
+  const { channelId, folderId } = data;
+  const userId = ws.user.id;
+
+  try {
+    const found = await findAclFolder(ws, channelId, folderId);
+    if (!found) return;
+    const { membership, folder, tree } = found;
+    const role = membership.permission;
+
+    safeSend(ws, {
+      event: "folderAcl",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        folderId: folderId,
+        dir: folder.dir,
+        acl: folder.acl ?? null,
+        parentRestricted: isReadRestricted(tree, folder.parentId), // 상위 폴더의 열람 제한 상속 여부
+        access: {
+          read: true,
+          edit: hasPermission(role, PERMISSION.EDIT_DOC) && checkFolderAccess(tree, folderId, "edit", userId, role),
+          manage: hasPermission(role, PERMISSION.CREATE_DOC) && checkFolderAccess(tree, folderId, "manage", userId, role),
+        },
+      },
+    });
+  } catch (error) {
+    logError("FOLDER_ACL_GET", error);
+    sendSystemMessage(ws, "접근 제어 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 문서 핸들러 ===
+
+const MAX_DOC_DEPTH = 20; // 최대 디렉토리 깊이 (root 직계 자식 = 1)
+
+// folderId부터 최상위까지의 경로에 targetId 폴더가 있는지 (폴더 이동 시 순환 방지)
+function isFolderInPath(tree, folderId, targetId) {
+  const visited = new Set();
+  let folder = folderId ? tree.get(folderId) : null;
+  while (folder && !visited.has(folder.id)) {
+    if (folder.id === targetId) return true;
+    visited.add(folder.id);
+    folder = folder.parentId ? tree.get(folder.parentId) : null;
+  }
+  return false;
+}
+
+// === 경로 기반 문서 지정 ===
+// 경로: "/" + 폴더명(.option의 dir) + 문서명, 예) /specs/api/auth.md
+// - 폴더는 "/"로 끝나는 경로로 지정 가능 (/specs/api/), 최상위 디렉토리는 "/"
+// - root 직계 항목은 parentId가 null (최상위 디렉토리 마커 ID여도 root로 취급)
+
+const MAX_PATH_LENGTH = 2000;
+
+// 경로 파싱. 올바르지 않으면 null
+function parseDocPath(path) {
+  if (typeof path !== "string" || !path.startsWith("/") || path.length > MAX_PATH_LENGTH) {
+    return null;
+  }
+  const isDirectory = path.endsWith("/");
+  const trimmed = isDirectory ? path.slice(1, -1) : path.slice(1);
+  const segments = trimmed === "" ? [] : trimmed.split("/");
+  if (segments.some((seg) => seg === "" || seg === "." || seg === ".." || seg.length > 100)) {
+    return null;
+  }
+  return { segments, isDirectory: isDirectory || segments.length === 0 };
+}
+
+// 문서명/폴더명으로 쓸 수 없는 값 (경로 구분자 포함)
+function isInvalidPathSegment(name) {
+  return name.includes("/") || name === "." || name === "..";
+}
+
+function getRootMarkerId(tree) {
+  for (const folder of tree.values()) {
+    if (isRootMarker(folder)) return folder.id;
+  }
+  return null;
+}
+
+// 폴더 경로 (최상위 디렉토리는 "/")
+function getFolderPath(tree, folderId) {
+  const names = [];
+  const visited = new Set();
+  let folder = folderId ? tree.get(folderId) : null;
+  while (folder && !visited.has(folder.id) && !isRootMarker(folder)) {
+    visited.add(folder.id);
+    names.unshift(folder.dir);
+    folder = folder.parentId ? tree.get(folder.parentId) : null;
+  }
+  return "/" + names.join("/");
+}
+
+// 부모 경로 뒤에 이름 이어붙이기
+function joinDocPath(parentPath, names) {
+  return (parentPath === "/" ? "" : parentPath) + "/" + names.join("/");
+}
+
+// 문서/폴더 경로
+function getDocPath(tree, doc) {
+  if (doc.name === ".option") {
+    return isRootMarker(doc) ? "/" : getFolderPath(tree, doc.id);
+  }
+  return joinDocPath(getFolderPath(tree, doc.parentId), [doc.name]);
+}
+
+// 폴더명 경로를 따라 내려가며 존재하는 마지막 폴더와 없는 폴더명 목록 반환
+function walkFolderPath(tree, segments) {
+  const rootMarkerId = getRootMarkerId(tree);
+  let parentId = null;
+  let parentDepth = 0;
+
+  for (let i = 0; i < segments.length; i++) {
+    const next = [...tree.values()].find(
+      (f) =>
+        !isRootMarker(f) &&
+        f.dir === segments[i] &&
+        (parentId === null ? f.parentId === null || f.parentId === rootMarkerId : f.parentId === parentId),
+    );
+    if (!next) {
+      return { parentId, parentDepth, missing: segments.slice(i) };
+    }
+    parentId = next.id;
+    parentDepth = next.depth;
+  }
+  return { parentId, parentDepth, missing: [] };
+}
+
+// 경로로 문서 ID 조회 (없으면 null)
+// "/"로 끝나지 않는 경로는 문서를 먼저 찾고, 없으면 같은 이름의 폴더
+async function findDocIdByPath(channelId, tree, parsed) {
+  const { segments, isDirectory } = parsed;
+  if (segments.length === 0) return getRootMarkerId(tree);
+
+  if (isDirectory) {
+    const walked = walkFolderPath(tree, segments);
+    return walked.missing.length === 0 ? walked.parentId : null;
+  }
+
+  const walked = walkFolderPath(tree, segments.slice(0, -1));
+  if (walked.missing.length > 0) return null;
+
+  const leaf = segments[segments.length - 1];
+  const rootMarkerId = getRootMarkerId(tree);
+  const parentIds = walked.parentId === null ? [rootMarkerId].filter(Boolean) : [walked.parentId];
+  const doc = await prisma.documentData.findFirst({
+    where: {
+      channelId: channelId,
+      name: leaf,
+      status: DOC_STATUS.NORMAL,
+      OR: [
+        { parentId: { in: parentIds } },
+        ...(walked.parentId === null ? [{ parentId: null }] : []),
+      ],
+    },
+    select: { id: true },
+  });
+  if (doc) return doc.id;
+
+  const folder = walkFolderPath(tree, segments);
+  return folder.missing.length === 0 ? folder.parentId : null;
+}
+
+// 요청의 docId 또는 path로 대상 문서 ID 결정. 실패 시 메시지 전송 후 null
+async function resolveDocTarget(ws, channelId, docId, path) {
+  if (docId !== undefined && docId !== null) {
+    if (typeof docId !== "string" || docId.length === 0) {
+      sendSystemMessage(ws, "문서 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+      return null;
+    }
+    return docId;
+  }
+
+  const parsed = parseDocPath(path);
+  if (!parsed) {
+    sendSystemMessage(
+      ws,
+      path === undefined ? "문서 ID 또는 경로를 입력해주세요." : "경로가 올바르지 않습니다.",
+      ERROR_CODES.INVALID_REQUEST,
+    );
+    return null;
+  }
+
+  let resolvedId;
+  try {
+    const tree = await getFolderTree(channelId);
+    resolvedId = await findDocIdByPath(channelId, tree, parsed);
+  } catch (dbError) {
+    logError("DB_PATH_RESOLVE", dbError);
+    sendSystemMessage(ws, "경로 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  if (!resolvedId) {
+    sendSystemMessage(ws, `'${path}' 경로에 문서가 존재하지 않습니다.`, ERROR_CODES.DOC_NOT_FOUND);
+    return null;
+  }
+  return resolvedId;
+}
+
+// 폴더 하위 트리의 높이 (직계 자식만 있으면 1)
+async function getSubtreeHeight(channelId, folderId) {
+  let height = 0;
+  const visited = new Set([folderId]);
+  let frontier = [folderId];
+  while (frontier.length > 0) {
+    const children = await prisma.documentData.findMany({
+      where: { channelId: channelId, parentId: { in: frontier }, status: DOC_STATUS.NORMAL },
+      select: { id: true },
+    });
+    frontier = children.map((c) => c.id).filter((id) => !visited.has(id));
+    frontier.forEach((id) => visited.add(id));
+    if (frontier.length > 0) height++;
+  }
+  return height;
+}
+
+// 문서 생성 (디렉토리는 .option 파일로 표현)
+// 구조:
+// - .option 파일: dir=폴더명, parentId=부모폴더의 .option ID (root면 null), depth=자신의 depth
+// - 일반 문서: dir=속한폴더명, parentId=부모폴더의 .option ID (root면 null), depth=자신의 depth
+// - depth는 서버에서 부모 기준으로 계산 (root 직계 자식=1, 부모 폴더 depth + 1)
+async function handleCreateDoc(ws, data) {
+  // docName: 문서명 (.option이면 디렉토리 생성)
+  // dir: .option 파일인 경우 폴더명, 일반 문서면 속한 폴더명
+  // parentId: 부모 폴더의 .option 문서 ID (root 직계 자식이면 null)
+  // (depth는 서버에서 계산하므로 클라이언트 값은 무시)
+  // path: docName/dir/parentId 대신 경로로 지정 (예: /specs/api/auth.md, 폴더는 /specs/api/)
+  // parents: true면 경로 중간에 없는 폴더도 함께 생성 (mkdir -p)
+  const { channelId, path, parents = false } = data;
+  let { docName, dir, parentId = null } = data;
+  const userId = ws.user.id;
+
+  // 필수값 검증
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  // 경로 지정 시 마지막 항목이 생성할 문서 (끝이 "/"면 폴더)
+  let parsedPath = null;
+  if (path !== undefined) {
+    parsedPath = parseDocPath(path);
+    if (!parsedPath || parsedPath.segments.length === 0) {
+      return sendSystemMessage(ws, "경로가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+    const leaf = parsedPath.segments[parsedPath.segments.length - 1];
+    if (leaf === ".option") {
+      return sendSystemMessage(ws, "경로가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+    docName = parsedPath.isDirectory ? ".option" : leaf;
+    dir = parsedPath.isDirectory ? leaf : undefined;
+    parentId = null;
+  }
+
+  if (!docName || typeof docName !== "string") {
+    return sendSystemMessage(ws, "문서명을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (docName.length > 100) {
+    return sendSystemMessage(ws, "문서명은 100자 이하로 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  
+  // .option 파일(디렉토리)인 경우 dir(폴더명) 필수
+  const isDirectory = docName === ".option";
+  if (isDirectory) {
+    if (!dir || typeof dir !== "string" || dir.length === 0) {
+      return sendSystemMessage(ws, "디렉토리명(dir)을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    }
+    if (dir.length > 100) {
+      return sendSystemMessage(ws, "디렉토리명은 100자 이하로 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    }
+  }
+  if (isInvalidPathSegment(isDirectory ? dir : docName)) {
+    return sendSystemMessage(ws, "이름에 '/'를 포함하거나 '.', '..'을 사용할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  
+  // parentId 검증 (null 허용, 문자열이면 UUID 형식)
+  if (parentId !== null && typeof parentId !== "string") {
+    return sendSystemMessage(ws, "부모 폴더 ID가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // 채널 존재 여부 및 멤버십 확인
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { id: channelId, status: 0 },
+        include: {
+          members: {
+            where: { userId: userId, status: 0 },
+            select: { permission: true },
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+
+    const membership = channel.members[0];
+    if (!membership) {
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    if (!requirePermission(ws, membership.permission, PERMISSION.CREATE_DOC, "문서 생성 권한이 없습니다.")) {
+      return;
+    }
+
+    // 경로 지정 시 존재하는 마지막 폴더가 부모, 나머지는 새로 만들 폴더
+    let tree = null;
+    let missingFolders = [];
+    if (parsedPath) {
+      try {
+        tree = await getFolderTree(channelId);
+      } catch (dbError) {
+        logError("DB_FOLDER_TREE", dbError);
+        return sendSystemMessage(ws, "폴더 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+      const walked = walkFolderPath(tree, parsedPath.segments.slice(0, -1));
+      if (walked.missing.length > 0 && !parents) {
+        return sendSystemMessage(ws, `'${walked.missing[0]}' 폴더가 존재하지 않습니다.`, ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      parentId = walked.parentId;
+      missingFolders = walked.missing;
+    }
+
+    // parentId가 있으면 부모 폴더 존재 확인 및 dir, depth 조회
+    let parentDir = "root";
+    let parentDepth = 0;
+    if (parentId) {
+      const parentDoc = await prisma.documentData.findFirst({
+        where: {
+          id: parentId,
+          channelId: channelId,
+          name: ".option",
+          status: 0,
+        },
+        select: { dir: true, depth: true },
+      });
+      if (!parentDoc) {
+        return sendSystemMessage(ws, "부모 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      parentDir = parentDoc.dir;
+      parentDepth = parentDoc.depth;
+
+      // 폴더 접근 제어 확인 (하위 항목 관리 권한)
+      if (!tree) {
+        try {
+          tree = await getFolderTree(channelId);
+        } catch (dbError) {
+          logError("DB_FOLDER_TREE", dbError);
+          return sendSystemMessage(ws, "폴더 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+        }
+      }
+      if (!checkFolderAccess(tree, parentId, "read", userId, membership.permission)) {
+        return sendSystemMessage(ws, "부모 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      if (!checkFolderAccess(tree, parentId, "manage", userId, membership.permission)) {
+        return sendSystemMessage(ws, "해당 폴더에 문서를 생성할 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+      }
+    }
+
+    // 중간 폴더는 부모 바로 아래부터 차례로 한 단계씩
+    const depth = parentDepth + 1 + missingFolders.length;
+    if (depth > MAX_DOC_DEPTH) {
+      return sendSystemMessage(ws, `폴더는 ${MAX_DOC_DEPTH}단계까지만 만들 수 있습니다.`, ERROR_CODES.MAX_DEPTH_EXCEEDED);
+    }
+
+    // 문서 생성 시 최종 dir 계산
+    // .option 파일: dir=폴더명
+    // 일반 문서: dir=부모폴더명 (중간 폴더를 만들면 마지막 중간 폴더명)
+    const finalDir = isDirectory
+      ? dir
+      : missingFolders.length > 0 ? missingFolders[missingFolders.length - 1] : parentDir;
+
+    // 같은 부모 아래 동일한 dir+name 조합의 문서 존재 여부 확인
+    // .option: 같은 parentId 아래 같은 dir(폴더명)이 있으면 중복
+    // 일반 문서: 같은 parentId 아래 같은 name이 있으면 중복
+    // (중간 폴더를 새로 만들면 그 아래는 비어 있으므로 생략)
+    let existingDoc = null;
+    if (missingFolders.length === 0) {
+      try {
+        existingDoc = await prisma.documentData.findFirst({
+          where: {
+            channelId: channelId,
+            name: docName,
+            dir: finalDir,
+            parentId: parentId,
+            status: 0,
+          },
+        });
+      } catch (dbError) {
+        logError("DB_DOC_FIND", dbError);
+        return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
+
+    if (existingDoc) {
+      const errorMsg = isDirectory 
+        ? `같은 경로에 '${dir}' 폴더가 이미 존재합니다.`
+        : `같은 경로에 '${docName}' 문서가 이미 존재합니다.`;
+      return sendSystemMessage(ws, errorMsg, ERROR_CODES.DUPLICATE_NAME);
+    }
+
+    // UUID 중복 방지
+    const docId = await generateUniqueId("documentData");
+    const folderIds = [];
+    for (let i = 0; i < missingFolders.length; i++) {
+      folderIds.push(await generateUniqueId("documentData"));
+    }
+
+    // 중간 폴더와 문서를 한 트랜잭션으로 생성
+    let document;
+    const createdFolders = [];
+    try {
+      document = await prisma.$transaction(async (tx) => {
+        let currentParentId = parentId;
+        for (let i = 0; i < missingFolders.length; i++) {
+          const folder = await tx.documentData.create({
+            data: {
+              id: folderIds[i],
+              channelId: channelId,
+              name: ".option",
+              dir: missingFolders[i],
+              parentId: currentParentId,
+              depth: parentDepth + 1 + i,
+              content: "",
+              status: DOC_STATUS.NORMAL,
+              createdBy: userId,
+            },
+          });
+          createdFolders.push({
+            docId: folder.id,
+            dir: folder.dir,
+            parentId: folder.parentId,
+            depth: folder.depth,
+          });
+          currentParentId = folder.id;
+        }
+
+        return tx.documentData.create({
+          data: {
+            id: docId,
+            channelId: channelId,
+            name: docName,
+            dir: finalDir,
+            parentId: currentParentId,
+            depth: depth,
+            content: "",
+            status: DOC_STATUS.NORMAL,
+            createdBy: userId,
+          },
+        });
+      });
+    } catch (dbError) {
+      logError("DB_DOC_CREATE", dbError);
+      if (dbError.code === "P2002") {
+        const errorMsg = isDirectory 
+          ? `같은 경로에 '${dir}' 폴더가 이미 존재합니다.`
+          : `같은 경로에 '${docName}' 문서가 이미 존재합니다.`;
+        return sendSystemMessage(ws, errorMsg, ERROR_CODES.DUPLICATE_NAME);
+      }
+      return sendSystemMessage(ws, "문서 생성 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    const docPath = joinDocPath(
+      tree && parentId ? getFolderPath(tree, parentId) : "/",
+      [...missingFolders, isDirectory ? dir : docName],
+    );
+
+    // 채널 내 모든 유저에게 생성 알림 (자신 포함, 중간 폴더 포함 1회)
+    // 새 폴더는 부모 폴더의 접근 규칙을 그대로 따름
+    await broadcastDocTreeEvent(
+      channelId,
+      [parentId],
+      "docListChanged",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        action: "created",
+        docId: document.id,
+        docName: docName,
+        dir: finalDir,
+        parentId: document.parentId,
+        depth: depth,
+        path: docPath,
+        isDirectory: isDirectory,
+        createdFolders: createdFolders,
+        createdBy: userId,
+      },
+      null, // 자신 포함 모두에게 전송
+    );
+
+    // 생성자에게 성공 메시지
+    safeSend(ws, {
+      event: "docCreated",
+      data: {
+        time: Date.now(),
+        docId: document.id,
+        channelId: channelId,
+        docName: docName,
+        dir: finalDir,
+        parentId: document.parentId,
+        depth: depth,
+        path: docPath,
+        isDirectory: isDirectory,
+        createdFolders: createdFolders,
+        message: isDirectory 
+          ? `디렉토리 '${dir}'가 생성되었습니다.`
+          : `문서 '${docName}'이 생성되었습니다.`,
+      },
+    });
+
+    console.log(
+      `${isDirectory ? "디렉토리" : "문서"} 생성: ${docPath} (${document.id}) in ${channelId} parentId=${document.parentId} depth=${depth} by ${userId}` +
+      (createdFolders.length > 0 ? ` (중간 폴더 ${createdFolders.length}개 생성)` : ""),
+    );
+  } catch (error) {
+    logError("DOC_CREATE", error);
+    sendSystemMessage(ws, "문서 생성 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 문서 삭제 (소프트 삭제)
+// docId 대신 path로 지정 가능
+async function handleDeleteDoc(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+
+  // 필수값 검증
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // 채널 존재 여부 및 멤버십 확인
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { id: channelId, status: 0 },
+        include: {
+          members: {
+            where: { userId: userId, status: 0 },
+            select: { permission: true },
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+
+    // 멤버십 확인
+    const membership = channel.members[0];
+    if (!membership) {
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    if (!requirePermission(ws, membership.permission, PERMISSION.DELETE_DOC, "문서 삭제 권한이 없습니다.")) {
+      return;
+    }
+
+    const docId = await resolveDocTarget(ws, channelId, data.docId, data.path);
+    if (!docId) return;
+
+    // 문서 존재 여부 확인 (삭제되지 않은 문서만)
+    let document;
+    try {
+      document = await prisma.documentData.findFirst({
+        where: {
+          id: docId,
+          channelId: channelId,
+          status: 0,
+        },
+      });
+    } catch (dbError) {
+      logError("DB_DOC_FIND", dbError);
+      return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!document) {
+      return sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    }
+
+    // 폴더 접근 제어 확인 (열람 불가면 없는 문서로 취급)
+    let tree;
+    try {
+      tree = await getFolderTree(channelId);
+    } catch (dbError) {
+      logError("DB_FOLDER_TREE", dbError);
+      return sendSystemMessage(ws, "폴더 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+    if (!checkFolderAccess(tree, getAclFolderId(document), "read", userId, membership.permission)) {
+      return sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    }
+    if (!checkFolderAccess(tree, document.parentId, "manage", userId, membership.permission)) {
+      return sendSystemMessage(ws, "해당 폴더의 문서를 삭제할 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+    if (isRootMarker(document)) {
+      return sendSystemMessage(ws, "최상위 디렉토리는 삭제할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+
+    const isDirectory = document.name === ".option";
+    const docPath = getDocPath(tree, document);
+
+    // 폴더면 하위 항목 전체 (이미 휴지통에 있는 항목 제외)
+    let subtreeIds = [docId];
+    if (isDirectory) {
+      try {
+        subtreeIds = [docId, ...(await collectActiveDescendantIds(channelId, docId))];
+      } catch (dbError) {
+        logError("DB_DOC_SUBTREE", dbError);
+        return sendSystemMessage(ws, "하위 항목 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
+
+    // 캐시에 있는 문서는 잠근 뒤 편집 내용을 DB에 반영 (복원 시 최신 내용 유지)
+    // 삭제까지 끝나지 않으면(잠금 획득 실패 포함) 잠근 문서 모두 해제
+    const lockedDocIds = [];
+    let softDeleted = false;
+    try {
+      for (const id of subtreeIds) {
+        if (await getDocFromCache(id)) {
+          await lockDoc(id, "문서 삭제 중입니다.");
+          lockedDocIds.push(id);
+          if ((await getDocDirtyCount(id)) > 0) await syncDocToSupabase(id);
+        }
+      }
+
+      // 소프트 삭제 (status: 1, 휴지통으로 이동). deletedWith로 함께 삭제된 항목 묶음 기록
+      try {
+        await prisma.documentData.updateMany({
+          where: { id: { in: subtreeIds }, status: { not: DOC_STATUS.DELETED } },
+          data: {
+            status: DOC_STATUS.DELETED,
+            deletedAt: new Date(),
+            deletedBy: userId,
+            deletedWith: docId,
+          },
+        });
+        softDeleted = true;
+      } catch (dbError) {
+        logError("DB_DOC_SOFT_DELETE", dbError);
+        return sendSystemMessage(
+          ws,
+          "문서 삭제 중 데이터베이스 오류가 발생했습니다.",
+          ERROR_CODES.DB_ERROR,
+        );
+      }
+    } finally {
+      if (!softDeleted) await unlockDocs(lockedDocIds);
+    }
+
+    // 열람 중인 유저 퇴장 + 캐시 제거
+    for (const id of subtreeIds) {
+      evictDocViewers(id, "docDeleted", {
+        time: Date.now(),
+        docId: id,
+        deletedBy: userId,
+        deletedWith: docId,
+        message: isDirectory
+          ? `폴더 '${document.dir}'가 삭제되었습니다.`
+          : `문서 '${document.name}'이 삭제되었습니다.`,
+      });
+      await deleteDocFromCache(id);
+      await clearDocDirty(id);
+    }
+
+    // 채널 내 모든 유저에게 문서 삭제 알림 (목록 새로고침 트리거, 하위 항목 포함 1회)
+    await broadcastDocTreeEvent(
+      channelId,
+      [getAclFolderId(document)],
+      "docListChanged",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        action: "deleted",
+        docId: docId,
+        docName: document.name,
+        dir: document.dir,
+        parentId: document.parentId,
+        depth: document.depth,
+        path: docPath,
+        isDirectory: isDirectory,
+        deletedDocIds: subtreeIds,
+        deletedCount: subtreeIds.length,
+        deletedBy: userId,
+      },
+      ws, // 자신에게는 별도로 전송
+    );
+
+    safeSend(ws, {
+      event: "docDeleted",
+      data: {
+        time: Date.now(),
+        docId: docId,
+        channelId: channelId,
+        docName: document.name,
+        dir: document.dir,
+        parentId: document.parentId,
+        depth: document.depth,
+        path: docPath,
+        isDirectory: isDirectory,
+        deletedDocIds: subtreeIds,
+        deletedCount: subtreeIds.length,
+        message: isDirectory 
+          ? `폴더 '${document.dir}'가 삭제되었습니다.` +
+            (subtreeIds.length > 1 ? ` (하위 ${subtreeIds.length - 1}개 항목 포함)` : "")
+          : `문서 '${document.name}'이 삭제되었습니다.`,
+      },
+    });
+
+    console.log(
+      `문서 소프트 삭제: ${document.name} (${docId}) in ${channelId} by ${userId}` +
+      (subtreeIds.length > 1 ? ` (하위 ${subtreeIds.length - 1}개 항목 포함)` : ""),
+    );
+  } catch (error) {
+    logError("DOC_DELETE", error);
+    sendSystemMessage(ws, "문서 삭제 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 휴지통 ===
+// 삭제된 문서(status 1)는 휴지통에 보관되고 TRASH_RETENTION_DAYS 경과 후 자동으로 영구 삭제
+// 이름 중복 검사는 삭제되지 않은 문서끼리만 적용 (DB: status = 0 부분 유니크 인덱스)
+// 폴더 삭제 시 하위 항목도 함께 삭제되며 deletedWith(삭제한 폴더 ID)로 묶여 함께 복원됨
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+const TRASH_PURGE_BATCH_SIZE = 500;
+const TRASH_PURGE_LOCK_TTL_MS = 10 * 60 * 1000; // 한 인스턴스만 정리 작업 실행
+const MAX_RESTORE_NAME_SUFFIX = 100;
+
+let trashPurgeTimer = null;
+
+function getTrashPurgeAt(deletedAt) {
+  if (!deletedAt) return null;
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// 하위 항목 ID 전체 조회 (FK cascade로 함께 삭제될 항목 파악용)
+async function collectDescendantIds(client, docIds) {
+  const descendants = [];
+  const visited = new Set(docIds);
+  let frontier = docIds;
+  while (frontier.length > 0) {
+    const children = await client.documentData.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true },
+    });
+    frontier = children.map((c) => c.id).filter((id) => !visited.has(id));
+    frontier.forEach((id) => visited.add(id));
+    descendants.push(...frontier);
+  }
+  return descendants;
+}
+
+// 폴더 하위의 삭제되지 않은 모든 항목 ID (폴더 삭제 시)
+async function collectActiveDescendantIds(channelId, folderId) {
+  const descendants = [];
+  const visited = new Set([folderId]);
+  let frontier = [folderId];
+  while (frontier.length > 0) {
+    const children = await prisma.documentData.findMany({
+      where: {
+        channelId: channelId,
+        parentId: { in: frontier },
+        status: { not: DOC_STATUS.DELETED },
+      },
+      select: { id: true },
+    });
+    frontier = children.map((c) => c.id).filter((id) => !visited.has(id));
+    frontier.forEach((id) => visited.add(id));
+    descendants.push(...frontier);
+  }
+  return descendants;
+}
+
+// 삭제된 문서 열람 가능 여부 (삭제된 폴더는 트리에 없으므로 자신의 ACL은 따로 확인)
+function canReadTrashedDoc(tree, doc, userId, role) {
+  if (!checkFolderAccess(tree, doc.parentId, "read", userId, role)) return false;
+  if (doc.name !== ".option" || role === ROLE.OWNER) return true;
+  return matchesAclRule(doc.acl?.read, userId, role);
+}
+
+// 영구 삭제된 문서의 캐시/동기화 대기 정리
+async function cleanupPurgedDocs(docIds) {
+  for (const docId of docIds) {
+    await deleteDocFromCache(docId);
+    await clearDocDirty(docId);
+  }
+}
+
+// 보관 기간이 지난 문서 영구 삭제
+// 삭제되지 않은 하위 항목이 남아있는 폴더는 건너뜀 (FK cascade로 함께 지워지지 않도록)
+async function purgeExpiredTrash() {
+  const token = await acquireLock("trashpurge", TRASH_PURGE_LOCK_TTL_MS);
+  if (!token) return 0; // 다른 인스턴스에서 정리 중
+  const stopRenewal = keepLockAlive("trashpurge", token, TRASH_PURGE_LOCK_TTL_MS);
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  let purgedCount = 0;
+
+  try {
+    while (true) {
+      const expired = await prisma.documentData.findMany({
+        where: {
+          status: DOC_STATUS.DELETED,
+          deletedAt: { lt: cutoff },
+          children: { none: { status: { not: DOC_STATUS.DELETED } } },
+        },
+        select: { id: true },
+        orderBy: { depth: "desc" }, // 하위 항목부터
+        take: TRASH_PURGE_BATCH_SIZE,
+      });
+      if (expired.length === 0) break;
+
+      const ids = expired.map((d) => d.id);
+      const descendantIds = await collectDescendantIds(prisma, ids);
+      const result = await prisma.documentData.deleteMany({
+        where: { id: { in: ids }, status: DOC_STATUS.DELETED },
+      });
+      await cleanupPurgedDocs([...ids, ...descendantIds]);
+      purgedCount += result.count;
+
+      if (expired.length < TRASH_PURGE_BATCH_SIZE) break;
+    }
+  } catch (error) {
+    logError("TRASH_PURGE", error);
+  } finally {
+    stopRenewal();
+    await releaseLock("trashpurge", token);
+  }
+
+  if (purgedCount > 0) {
+    console.log(`휴지통 자동 정리: ${purgedCount}개 문서 영구 삭제 (보관 기간 ${TRASH_RETENTION_DAYS}일)`);
+  }
+  return purgedCount;
+}
+
+function startTrashPurger() {
+  if (trashPurgeTimer) return;
+  purgeExpiredTrash();
+  trashPurgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+}
+
+function stopTrashPurger() {
+  if (trashPurgeTimer) {
+    clearInterval(trashPurgeTimer);
+    trashPurgeTimer = null;
+  }
+}
+
+// 휴지통 요청 공통 검증: 채널 존재 + 멤버십 + 폴더 트리 조회
+// 성공 시 { channel, membership, tree } 반환, 실패 시 메시지 전송 후 null
+async function findTrashChannel(ws, channelId) {
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+
+  let channel;
+  let tree;
+  try {
+    channel = await prisma.channelData.findFirst({
+      where: { id: channelId, status: 0 },
+      include: {
+        members: {
+          where: { userId: userId, status: 0 },
+          select: { permission: true },
+        },
+      },
+    });
+    tree = channel ? await getFolderTree(channelId) : null;
+  } catch (dbError) {
+    logError("DB_CHANNEL_FIND", dbError);
+    sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  if (!channel) {
+    sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    return null;
+  }
+
+  const membership = channel.members[0];
+  if (!membership) {
+    sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    return null;
+  }
+
+  return { channel, membership, tree };
+}
+
+// 휴지통의 삭제된 문서 조회
+async function findTrashedDoc(ws, channelId, docId, tree, role) {
+  if (!docId || typeof docId !== "string") {
+    sendSystemMessage(ws, "문서 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+
+  let document;
+  try {
+    document = await prisma.documentData.findFirst({
+      where: { id: docId, channelId: channelId },
+    });
+  } catch (dbError) {
+    logError("DB_DOC_FIND", dbError);
+    sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
+
+  if (!document || !canReadTrashedDoc(tree, document, ws.user.id, role)) {
+    sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    return null;
+  }
+  if (document.status !== DOC_STATUS.DELETED) {
+    sendSystemMessage(ws, "휴지통에 있는 문서가 아닙니다.", ERROR_CODES.NOT_IN_TRASH);
+    return null;
+  }
+
+  return document;
+}
+
+// 휴지통 목록 조회
+async function handleListTrash(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+
+  try {
+    const found = await findTrashChannel(ws, channelId);
+    if (!found) return;
+    const { membership, tree } = found;
+
+    let documents;
+    try {
+      documents = await prisma.documentData.findMany({
+        where: { channelId: channelId, status: DOC_STATUS.DELETED },
+        select: {
+          id: true,
+          name: true,
+          dir: true,
+          parentId: true,
+          depth: true,
+          acl: true,
+          createdBy: true,
+          deletedAt: true,
+          deletedBy: true,
+          deletedWith: true,
+        },
+        orderBy: { deletedAt: "desc" },
+      });
+    } catch (dbError) {
+      logError("DB_TRASH_LIST", dbError);
+      return sendSystemMessage(ws, "휴지통 조회 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    // 폴더와 함께 삭제된 하위 항목은 폴더 항목에 포함해서 표시
+    const bundledCounts = new Map();
+    documents.forEach((d) => {
+      if (d.deletedWith && d.deletedWith !== d.id) {
+        bundledCounts.set(d.deletedWith, (bundledCounts.get(d.deletedWith) || 0) + 1);
+      }
+    });
+
+    // 열람 권한이 없는 폴더의 항목은 제외
+    const visible = documents.filter(
+      (d) =>
+        (!d.deletedWith || d.deletedWith === d.id) &&
+        canReadTrashedDoc(tree, d, userId, membership.permission),
+    );
+
+    safeSend(ws, {
+      event: "trashList",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        retentionDays: TRASH_RETENTION_DAYS,
+        documents: visible.map((d) => ({
+          docId: d.id,
+          name: d.name,
+          dir: d.dir,
+          parentId: d.parentId,
+          depth: d.depth,
+          isDirectory: d.name === ".option",
+          childCount: bundledCounts.get(d.id) || 0, // 함께 삭제된 하위 항목 수
+          createdBy: d.createdBy,
+          deletedBy: d.deletedBy,
+          deletedAt: d.deletedAt ? d.deletedAt.toISOString() : null,
+          purgeAt: d.deletedAt ? getTrashPurgeAt(d.deletedAt).toISOString() : null,
+        })),
+      },
+    });
+  } catch (error) {
+    logError("TRASH_LIST", error);
+    sendSystemMessage(ws, "휴지통 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 같은 위치에 이름이 겹치지 않도록 "이름 (n)" 형식으로 변경
+// .option(폴더)은 dir, 일반 문서는 name 기준
+function getRestoreCandidateName(baseName, n, isDirectory) {
+  if (n === 0) return baseName;
+  if (isDirectory) return `${baseName} (${n})`;
+  const dotIndex = baseName.lastIndexOf(".");
+  if (dotIndex > 0) {
+    return `${baseName.slice(0, dotIndex)} (${n})${baseName.slice(dotIndex)}`;
+  }
+  return `${baseName} (${n})`;
+}
+
+// 휴지통에서 복원
+// - 폴더와 함께 삭제된 하위 항목도 같은 구조로 함께 복원
+// - 부모 폴더가 삭제/영구 삭제된 경우 root로 복원
+// - 같은 위치에 같은 이름이 있으면 newName 사용, 없으면 "이름 (n)"으로 자동 변경
+async function handleRestoreDoc(ws, data) {
+  const { channelId, docId, newName } = data;
+  const userId = ws.user.id;
+
+  if (newName !== undefined && (typeof newName !== "string" || newName.length === 0 || newName.length > 100)) {
+    return sendSystemMessage(ws, "문서명이 올바르지 않습니다. (1~100자)", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    const found = await findTrashChannel(ws, channelId);
+    if (!found) return;
+    const { membership, tree } = found;
+
+    if (!requirePermission(ws, membership.permission, PERMISSION.DELETE_DOC, "문서 복원 권한이 없습니다.")) {
+      return;
+    }
+
+    const document = await findTrashedDoc(ws, channelId, docId, tree, membership.permission);
+    if (!document) return;
+
+    const isDirectory = document.name === ".option";
+
+    // 부모 폴더가 살아있으면 원래 위치, 아니면 root (depth 1)
+    const parentAlive = document.parentId !== null && tree.has(document.parentId);
+    const targetParentId = parentAlive ? document.parentId : null;
+    const targetDepth = parentAlive ? tree.get(targetParentId).depth + 1 : 1;
+    const parentDir = parentAlive ? tree.get(targetParentId).dir : "root";
+
+    if (!checkFolderAccess(tree, targetParentId, "manage", userId, membership.permission)) {
+      return sendSystemMessage(ws, "해당 폴더에 복원할 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+
+    const baseName = newName ?? (isDirectory ? document.dir : document.name);
+    const depthDelta = targetDepth - document.depth;
+    let restored = null;
+    let restoredChildCount = 0;
+    let updatedChildDocs = [];
+
+    for (let n = 0; n <= MAX_RESTORE_NAME_SUFFIX && !restored; n++) {
+      const candidate = getRestoreCandidateName(baseName, n, isDirectory);
+      if (candidate.length > 100) break;
+      const finalName = isDirectory ? ".option" : candidate;
+      const finalDir = isDirectory ? candidate : parentDir;
+
+      let existingDoc;
+      try {
+        existingDoc = await prisma.documentData.findFirst({
+          where: {
+            channelId: channelId,
+            name: finalName,
+            dir: finalDir,
+            parentId: targetParentId,
+            status: DOC_STATUS.NORMAL,
+          },
+          select: { id: true },
+        });
+      } catch (dbError) {
+        logError("DB_DOC_FIND_DUP", dbError);
+        return sendSystemMessage(ws, "문서 중복 확인 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+      if (existingDoc) continue;
+
+      try {
+        updatedChildDocs = [];
+        restoredChildCount = 0;
+        restored = await prisma.$transaction(async (tx) => {
+          const result = await tx.documentData.updateMany({
+            where: { id: docId, status: DOC_STATUS.DELETED },
+            data: {
+              status: DOC_STATUS.NORMAL,
+              name: finalName,
+              dir: finalDir,
+              parentId: targetParentId,
+              depth: targetDepth,
+              deletedAt: null,
+              deletedBy: null,
+              deletedWith: null,
+            },
+          });
+          if (result.count === 0) throw new Error("NOT_IN_TRASH");
+
+          // 함께 삭제된 하위 항목 복원 (원래 부모 아래 그대로)
+          if (isDirectory) {
+            const children = await tx.documentData.updateMany({
+              where: { deletedWith: docId, status: DOC_STATUS.DELETED, NOT: { id: docId } },
+              data: {
+                status: DOC_STATUS.NORMAL,
+                deletedAt: null,
+                deletedBy: null,
+                deletedWith: null,
+              },
+            });
+            restoredChildCount = children.count;
+          }
+
+          // 폴더가 root로 옮겨진 경우 하위 항목 depth 보정
+          if (isDirectory && depthDelta !== 0) {
+            await updateChildrenDepthRecursive(tx, channelId, docId, targetDepth, updatedChildDocs);
+          }
+          return { name: finalName, dir: finalDir };
+        });
+      } catch (dbError) {
+        if (dbError.message === "NOT_IN_TRASH") {
+          return sendSystemMessage(ws, "휴지통에 있는 문서가 아닙니다.", ERROR_CODES.NOT_IN_TRASH);
+        }
+        // 확인 후 같은 이름이 생긴 경우 다음 이름으로 재시도
+        if (dbError.code === "P2002") continue;
+        logError("DB_DOC_RESTORE", dbError);
+        return sendSystemMessage(ws, "문서 복원 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
+
+    if (!restored) {
+      return sendSystemMessage(
+        ws,
+        `같은 위치에 '${baseName}' 이름의 ${isDirectory ? "폴더" : "문서"}가 이미 존재합니다. 다른 이름으로 복원해주세요.`,
+        ERROR_CODES.DUPLICATE_NAME,
+      );
+    }
+
+    const originalName = isDirectory ? document.dir : document.name;
+    const restoredName = isDirectory ? restored.dir : restored.name;
+    const renamed = restoredName !== originalName;
+    const movedToRoot = document.parentId !== targetParentId;
+
+    await broadcastDocTreeEvent(
+      channelId,
+      [isDirectory ? docId : targetParentId],
+      "docListChanged",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        action: "restored",
+        docId: docId,
+        docName: restored.name,
+        dir: restored.dir,
+        parentId: targetParentId,
+        depth: targetDepth,
+        isDirectory: isDirectory,
+        restoredCount: restoredChildCount + 1,
+        restoredBy: userId,
+      },
+    );
+
+    safeSend(ws, {
+      event: "docRestoredFromTrash",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        docId: docId,
+        docName: restored.name,
+        dir: restored.dir,
+        parentId: targetParentId,
+        depth: targetDepth,
+        isDirectory: isDirectory,
+        renamed: renamed,
+        movedToRoot: movedToRoot,
+        restoredCount: restoredChildCount + 1,
+        updatedChildren: updatedChildDocs,
+        message:
+          `${isDirectory ? "폴더" : "문서"} '${restoredName}'이(가) 복원되었습니다.` +
+          (restoredChildCount > 0 ? ` (하위 ${restoredChildCount}개 항목 포함)` : "") +
+          (renamed ? ` (이름 중복으로 '${originalName}'에서 변경)` : "") +
+          (movedToRoot ? " (원래 폴더가 없어 최상위로 복원)" : ""),
+      },
+    });
+
+    console.log(
+      `문서 복원: ${originalName} → ${restoredName} (${docId}) in ${channelId} parentId=${targetParentId} by ${userId}`,
+    );
+  } catch (error) {
+    logError("DOC_RESTORE", error);
+    sendSystemMessage(ws, "문서 복원 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 휴지통에서 영구 삭제 (버전 기록 포함)
+async function handlePurgeDoc(ws, data) {
+  const { channelId, docId } = data;
+  const userId = ws.user.id;
+
+  try {
+    const found = await findTrashChannel(ws, channelId);
+    if (!found) return;
+    const { membership, tree } = found;
+
+    if (!requirePermission(ws, membership.permission, PERMISSION.PURGE_DOC, "문서 영구 삭제 권한이 없습니다.")) {
+      return;
+    }
+
+    const document = await findTrashedDoc(ws, channelId, docId, tree, membership.permission);
+    if (!document) return;
+
+    // 하위 항목은 FK cascade로 함께 삭제되므로 삭제되지 않은 항목이 있으면 거부
+    let activeChildCount;
+    try {
+      activeChildCount = await prisma.documentData.count({
+        where: { parentId: docId, status: { not: DOC_STATUS.DELETED } },
+      });
+    } catch (dbError) {
+      logError("DB_DOC_CHILD_COUNT", dbError);
+      return sendSystemMessage(ws, "하위 항목 확인 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+    if (activeChildCount > 0) {
+      return sendSystemMessage(
+        ws,
+        `폴더 안에 삭제되지 않은 항목이 ${activeChildCount}개 있어 영구 삭제할 수 없습니다.`,
+        ERROR_CODES.FOLDER_NOT_EMPTY,
+      );
+    }
+
+    let purgedIds = [docId];
+    try {
+      await prisma.$transaction(async (tx) => {
+        // cascade로 함께 지워질 하위 항목 (모두 휴지통 상태)
+        purgedIds = [docId, ...(await collectDescendantIds(tx, [docId]))];
+
+        const result = await tx.documentData.deleteMany({
+          where: { id: docId, status: DOC_STATUS.DELETED },
+        });
+        if (result.count === 0) throw new Error("NOT_IN_TRASH");
+      });
+    } catch (dbError) {
+      if (dbError.message === "NOT_IN_TRASH") {
+        return sendSystemMessage(ws, "휴지통에 있는 문서가 아닙니다.", ERROR_CODES.NOT_IN_TRASH);
+      }
+      logError("DB_DOC_PURGE", dbError);
+      return sendSystemMessage(ws, "문서 영구 삭제 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    await cleanupPurgedDocs(purgedIds);
+
+    const isDirectory = document.name === ".option";
+    safeSend(ws, {
+      event: "docPurged",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        docId: docId,
+        purgedCount: purgedIds.length,
+        message: `${isDirectory ? "폴더" : "문서"} '${isDirectory ? document.dir : document.name}'이(가) 영구 삭제되었습니다.`,
+      },
+    });
+
+    console.log(`문서 영구 삭제: ${document.name} (${docId}) in ${channelId} by ${userId} (${purgedIds.length}개)`);
+  } catch (error) {
+    logError("DOC_PURGE", error);
+    sendSystemMessage(ws, "문서 영구 삭제 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 문서 목록 조회
+async function handleListDoc(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+
+  // 필수값 검증
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // 채널 존재 여부 및 멤버십 확인
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { id: channelId, status: 0 },
+        include: {
+          members: {
+            where: { userId: userId, status: 0 },
+            select: { permission: true },
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+
+    // 멤버십 확인
+    const membership = channel.members[0];
+    if (!membership) {
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    // 문서 목록 조회 (삭제되지 않은 문서만)
+    let documents;
+    let tree;
+    try {
+      tree = await getFolderTree(channelId);
+      documents = await prisma.documentData.findMany({
+        where: { channelId: channelId, status: 0 },
+        select: {
+          id: true,
+          channelId: true,
+          name: true,
+          dir: true,
+          parentId: true,
+          depth: true,
+          createdAt: true,
+        },
+        orderBy: [{ depth: "asc" }, { parentId: "asc" }, { name: "asc" }],
+      });
+    } catch (dbError) {
+      logError("DB_DOC_LIST", dbError);
+      return sendSystemMessage(
+        ws,
+        "문서 목록 조회 중 데이터베이스 오류가 발생했습니다.",
+        ERROR_CODES.DB_ERROR,
+      );
+    }
+
+    safeSend(ws, {
+      event: "docList",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        // 열람 권한이 없는 폴더와 그 하위 항목은 제외
+        documents: documents
+          .filter((d) => checkFolderAccess(tree, getAclFolderId(d), "read", userId, membership.permission))
+          .map((d) => ({
+            docId: d.id,
+            channelId: d.channelId,
+            name: d.name,
+            dir: d.dir,
+            parentId: d.parentId,
+            depth: d.depth,
+            path: getDocPath(tree, d),
+            restricted: !!tree.get(d.id)?.acl, // 접근 제어가 설정된 폴더
+            createdAt: d.createdAt.toISOString(),
+          })),
+      },
+    });
+
+    console.log(`문서 목록 조회: ${channelId} by ${userId}`);
+  } catch (error) {
+    logError("DOC_LIST", error);
+    sendSystemMessage(ws, "문서 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 문서 검색 ===
+// 이름(폴더는 dir)과 내용에 검색어가 포함된 문서 검색 (pg_trgm GIN 인덱스로 ILIKE 가속)
+// - channelId 지정 시 해당 채널, 없으면 가입한 모든 채널
+// - DB에 아직 반영되지 않은 편집 내용(docs:dirty)은 Redis 캐시 기준으로 검색
+// - 열람 권한이 없는 폴더 안의 문서는 제외
+
+const SEARCH_MIN_QUERY_LENGTH = 2;
+const SEARCH_MAX_QUERY_LENGTH = 100;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_CANDIDATE_LIMIT = 500; // 권한 확인 전 DB에서 가져오는 최대 후보 수
+const SEARCH_SNIPPET_RADIUS = 60; // 스니펫에 포함할 일치 위치 앞뒤 글자 수
+const SEARCH_MAX_HIGHLIGHTS = 10;
+
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// text에서 query가 나오는 위치 목록 [[start, end], ...] (대소문자 무시)
+function findMatchRanges(text, query, max = SEARCH_MAX_HIGHLIGHTS) {
+  const ranges = [];
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  let index = lowerText.indexOf(lowerQuery);
+  while (index !== -1 && ranges.length < max) {
+    ranges.push([index, index + lowerQuery.length]);
+    index = lowerText.indexOf(lowerQuery, index + lowerQuery.length);
+  }
+  return ranges;
+}
+
+// 첫 번째 일치 위치 주변 내용 (highlights는 text 기준 위치)
+function buildSearchSnippet(content, query) {
+  const first = findMatchRanges(content, query, 1)[0];
+  if (!first) return null;
+
+  const start = Math.max(0, first[0] - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(content.length, first[1] + SEARCH_SNIPPET_RADIUS);
+  return formatSearchSnippet(content.slice(start, end), start > 0, end < content.length, query);
+}
+
+// 일치 위치 주변 내용(window) → 스니펫
+function formatSearchSnippet(window, truncatedStart, truncatedEnd, query) {
+  const text = window.replace(/[\r\n\t]/g, " "); // 글자 수 유지
+  return {
+    text: text,
+    highlights: findMatchRanges(text, query),
+    truncatedStart: truncatedStart,
+    truncatedEnd: truncatedEnd,
+  };
+}
+
+async function handleSearchDocs(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+  const query = typeof data.query === "string" ? data.query.trim() : "";
+  const limit = Math.min(Math.max(parseInt(data.limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+
+  if (channelId !== undefined && (typeof channelId !== "string" || channelId.length === 0)) {
+    return sendSystemMessage(ws, "채널 ID가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (query.length < SEARCH_MIN_QUERY_LENGTH || query.length > SEARCH_MAX_QUERY_LENGTH) {
+    return sendSystemMessage(
+      ws,
+      `검색어는 ${SEARCH_MIN_QUERY_LENGTH}~${SEARCH_MAX_QUERY_LENGTH}자로 입력해주세요.`,
+      ERROR_CODES.INVALID_REQUEST,
+    );
+  }
+
+  try {
+    // 검색 대상 채널 (가입한 채널만)
+    let memberships;
+    try {
+      memberships = await prisma.channelMember.findMany({
+        where: {
+          userId: userId,
+          status: MEMBER_STATUS.ACTIVE,
+          channel: { status: 0 },
+          ...(channelId ? { channelId: channelId } : {}),
+        },
+        select: { channelId: true, permission: true },
+      });
+    } catch (dbError) {
+      logError("DB_MEMBER_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (channelId && memberships.length === 0) {
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    const roles = new Map(memberships.map((m) => [m.channelId, m.permission]));
+    const channelIds = [...roles.keys()];
+    const pattern = `%${escapeLikePattern(query)}%`;
+
+    // DB 검색 (폴더는 이름 대신 dir로 검색)
+    // 내용 전체 대신 첫 일치 위치 주변(snippetWindow)과 일치 횟수만 가져옴
+    let rows = [];
+    if (channelIds.length > 0) {
+      try {
+        rows = await prisma.$queryRaw`
+          SELECT d."id", d."channel_id" AS "channelId", d."name", d."dir", d."parent_id" AS "parentId",
+                 d."depth", d."updated_at" AS "updatedAt",
+                 m."pos" AS "matchPos", m."count" AS "matchCount",
+                 char_length(d."content") AS "contentLength",
+                 CASE WHEN m."pos" > 0 THEN substring(
+                   d."content" FROM greatest(m."pos" - ${SEARCH_SNIPPET_RADIUS}::int, 1)
+                   FOR ${query.length + SEARCH_SNIPPET_RADIUS * 2}::int
+                 ) END AS "snippetWindow"
+          FROM "document_data" d
+          CROSS JOIN LATERAL (
+            SELECT strpos(lower(d."content"), lower(${query})) AS "pos",
+                   (char_length(lower(d."content")) - char_length(replace(lower(d."content"), lower(${query}), '')))
+                     / char_length(${query}) AS "count"
+          ) m
+          WHERE d."channel_id" = ANY(${channelIds}::uuid[])
+            AND d."status" = 0
+            AND (
+              (d."name" <> '.option' AND d."name" ILIKE ${pattern})
+              OR (d."name" = '.option' AND d."dir" ILIKE ${pattern})
+              OR d."content" ILIKE ${pattern}
+            )
+          ORDER BY d."updated_at" DESC
+          LIMIT ${SEARCH_CANDIDATE_LIMIT}
+        `;
+      } catch (dbError) {
+        logError("DB_DOC_SEARCH", dbError);
+        return sendSystemMessage(ws, "문서 검색 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
+    const candidates = new Map(rows.map((row) => [row.id, row]));
+
+    // 미반영 편집이 있는 문서는 캐시 내용으로 다시 확인 (DB 내용으로는 일치하지 않던 문서 포함)
+    const dirtyDocIds = await getChannelDirtyDocIds(channelIds);
+    const cachedContents = new Map();
+    for (const docId of dirtyDocIds) {
+      const cached = await getDocFromCache(docId);
+      if (cached && roles.has(cached.channelId) && cached.status !== DOC_STATUS.DELETED) {
+        cachedContents.set(docId, cached.content || "");
+      }
+    }
+    const missingIds = [...cachedContents.keys()].filter(
+      (docId) => !candidates.has(docId) && findMatchRanges(cachedContents.get(docId), query, 1).length > 0,
+    );
+    if (missingIds.length > 0) {
+      try {
+        const extra = await prisma.documentData.findMany({
+          where: { id: { in: missingIds }, status: DOC_STATUS.NORMAL },
+          select: { id: true, channelId: true, name: true, dir: true, parentId: true, depth: true, updatedAt: true },
+        });
+        extra.forEach((doc) => candidates.set(doc.id, doc));
+      } catch (dbError) {
+        logError("DB_DOC_FIND", dbError);
+        return sendSystemMessage(ws, "문서 검색 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
+
+    // 채널별 폴더 트리 (권한 확인, 경로 계산)
+    const trees = new Map();
+    try {
+      for (const id of new Set([...candidates.values()].map((doc) => doc.channelId))) {
+        trees.set(id, await getFolderTree(id));
+      }
+    } catch (dbError) {
+      logError("DB_FOLDER_TREE", dbError);
+      return sendSystemMessage(ws, "폴더 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    const matches = [];
+    candidates.forEach((doc) => {
+      const tree = trees.get(doc.channelId);
+      const role = roles.get(doc.channelId);
+      if (!checkFolderAccess(tree, getAclFolderId(doc), "read", userId, role)) return;
+
+      const isDirectory = doc.name === ".option";
+      const displayName = isDirectory ? doc.dir : doc.name;
+      const nameHighlights = findMatchRanges(displayName, query);
+
+      // 캐시 내용이 있으면 캐시 기준, 없으면 DB에서 계산한 일치 위치 기준
+      let matchCount = 0;
+      let snippet = null;
+      if (cachedContents.has(doc.id)) {
+        const content = cachedContents.get(doc.id);
+        matchCount = findMatchRanges(content, query).length;
+        if (matchCount > 0) snippet = buildSearchSnippet(content, query);
+      } else if (doc.matchPos > 0) {
+        matchCount = Math.min(doc.matchCount, SEARCH_MAX_HIGHLIGHTS);
+        const windowStart = Math.max(doc.matchPos - 1 - SEARCH_SNIPPET_RADIUS, 0);
+        snippet = formatSearchSnippet(
+          doc.snippetWindow,
+          windowStart > 0,
+          windowStart + Array.from(doc.snippetWindow).length < doc.contentLength,
+          query,
+        );
+      }
+      if (nameHighlights.length === 0 && matchCount === 0) return;
+
+      matches.push({
+        score: (nameHighlights.length > 0 ? SEARCH_MAX_HIGHLIGHTS + 1 : 0) + matchCount,
+        updatedAt: doc.updatedAt,
+        result: {
+          docId: doc.id,
+          channelId: doc.channelId,
+          name: doc.name,
+          dir: doc.dir,
+          parentId: doc.parentId,
+          depth: doc.depth,
+          path: getDocPath(tree, doc),
+          isDirectory: isDirectory,
+          nameHighlights: nameHighlights,
+          snippet: snippet,
+          matchCount: matchCount,
+          unsynced: cachedContents.has(doc.id),
+          updatedAt: doc.updatedAt.toISOString(),
+        },
+      });
+    });
+
+    // 이름 일치 우선, 내용 일치 횟수, 최근 수정 순
+    matches.sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt);
+
+    safeSend(ws, {
+      event: "searchResults",
+      data: {
+        time: Date.now(),
+        query: query,
+        channelId: channelId ?? null,
+        results: matches.slice(0, limit).map((m) => m.result),
+        total: matches.length,
+        truncated: rows.length >= SEARCH_CANDIDATE_LIMIT,
+      },
+    });
+
+    console.log(`문서 검색: "${query}" in ${channelId ?? `${channelIds.length}개 채널`} by ${userId} (${matches.length}건)`);
+  } catch (error) {
+    logError("DOC_SEARCH", error);
+    sendSystemMessage(ws, "문서 검색 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// === 채널 입장/퇴장 핸들러 (실시간 연결 관리) ===
+
+// 채널 입장 (실시간 연결)
+async function handleEnterChannel(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  try {
+    // 이미 다른 채널에 입장한 상태면 먼저 퇴장
+    if (ws.currentChannel && ws.currentChannel !== channelId) {
+      const prevChannelId = ws.currentChannel;
+      removeFromChannel(prevChannelId, ws);
+
+      // 이전 채널 유저들에게 퇴장 알림
+      broadcastToChannel(prevChannelId, "userLeft", {
+        time: Date.now(),
+        channelId: prevChannelId,
+        userId: userId,
+        email: ws.user.email,
+      });
+    }
+
+    // 채널 존재 여부 및 멤버십 확인
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { id: channelId, status: 0 },
+        include: {
+          members: {
+            where: { userId: userId, status: 0 },
+            select: { permission: true, joinOrder: true },
+          },
+        },
+      });
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    }
+
+    // 멤버십 확인
+    const membership = channel.members[0];
+    if (!membership) {
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    }
+
+    // 채널에 입장
+    addToChannel(channelId, ws);
+    ws.channelRole = membership.permission; // 역할 변경 시 applyMemberRole로 갱신
+
+    // 채널 내 다른 유저들에게 입장 알림
+    broadcastToChannel(
+      channelId,
+      "userEntered",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        userId: userId,
+        email: ws.user.email,
+      },
+      ws,
+    );
+
+    // 현재 채널 접속 유저 목록 (열람 권한 없는 문서는 숨김)
+    const onlineUsers = await filterVisibleCurrentDocs(
+      channelId,
+      await getChannelUsers(channelId),
+      userId,
+      membership.permission,
+    );
+
+    safeSend(ws, {
+      event: "channelEntered",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        channelName: channel.name,
+        myPermission: membership.permission,
+        myRole: getRoleName(membership.permission),
+        myJoinOrder: membership.joinOrder,
+        onlineUsers: onlineUsers,
+        message: `채널 '${channel.name}'에 입장했습니다.`,
+      },
+    });
+
+    console.log(`채널 입장: ${channel.name} (${channelId}) - ${userId}`);
+  } catch (error) {
+    logError("CHANNEL_ENTER", error);
+    sendSystemMessage(ws, "채널 입장 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 채널 퇴장 (실시간 연결 해제)
+async function handleLeaveChannel(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+
+  // channelId 없으면 현재 채널에서 퇴장
+  const targetChannelId = channelId || ws.currentChannel;
+
+  if (!targetChannelId) {
+    return sendSystemMessage(ws, "퇴장할 채널이 없습니다.", ERROR_CODES.NOT_IN_CHANNEL);
+  }
+
+  // 문서 열람 중이면 먼저 문서에서 퇴장
+  if (ws.currentDoc) {
+    const docId = ws.currentDoc;
+    removeFromDoc(docId, ws);
+
+    // 문서 열람 유저들에게 퇴장 알림
+    broadcastToDoc(docId, "userLeftDoc", {
+      time: Date.now(),
+      docId: docId,
+      userId: userId,
+      email: ws.user.email,
+    });
+  }
+
+  // 채널에서 퇴장
+  removeFromChannel(targetChannelId, ws);
+
+  // 채널 내 다른 유저들에게 퇴장 알림
+  broadcastToChannel(targetChannelId, "userLeft", {
+    time: Date.now(),
+    channelId: targetChannelId,
+    userId: userId,
+    email: ws.user.email,
+  });
+
+  safeSend(ws, {
+    event: "channelLeft",
+    data: {
+      time: Date.now(),
+      channelId: targetChannelId,
+      message: "채널에서 퇴장했습니다.",
+    },
+  });
+
+  console.log(`채널 퇴장: ${targetChannelId} - ${userId}`);
+}
+
+// === 문서 열람 입장/퇴장 핸들러 ===
+
+// 문서 열람 시작 (입장)
+// docId 대신 path로 지정 가능
+async function handleEnterDoc(ws, data) {
+  const { channelId } = data;
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  // 채널에 입장하지 않은 상태면 먼저 채널 입장 필요
+  if (ws.currentChannel !== channelId) {
+    return sendSystemMessage(ws, "먼저 해당 채널에 입장해주세요.", ERROR_CODES.NOT_IN_CHANNEL);
+  }
+
+  try {
+    const docId = await resolveDocTarget(ws, channelId, data.docId, data.path);
+    if (!docId) return;
+
+    // 이미 다른 문서를 열람 중이면 먼저 퇴장
+    if (ws.currentDoc && ws.currentDoc !== docId) {
+      const prevDocId = ws.currentDoc;
+      removeFromDoc(prevDocId, ws);
+
+      // 이전 문서 열람 유저들에게 퇴장 알림
+      broadcastToDoc(prevDocId, "userLeftDoc", {
+        time: Date.now(),
+        docId: prevDocId,
+        userId: userId,
+        email: ws.user.email,
+      });
+
+      // 마지막 유저 퇴장 시 동기화 체크
+      onDocDisconnect(prevDocId);
+    }
+
+    // Redis 캐시에서 문서 조회 (없으면 DB에서 로드)
+    let document = await getDocFromCache(docId);
+
+    if (document) {
+      await touchDocCache(docId);
+    } else {
+      // DB에서 문서 조회 후 캐시에 로드
+      document = await loadDocToCache(docId);
+    }
+
+    // 문서가 없거나 채널 불일치 또는 삭제된 경우
+    if (!document || document.channelId !== channelId) {
+      return sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    }
+
+    if (document.status === DOC_STATUS.DELETED) {
+      return sendSystemMessage(ws, "삭제된 문서입니다.", ERROR_CODES.DOC_DELETED);
+    }
+
+    // 폴더 접근 제어 확인 (입장 시 항상 새로 계산)
+    ws.docAccess = null;
+    let access;
+    try {
+      access = await getDocAccess(ws, docId);
+    } catch (dbError) {
+      logError("DB_DOC_ACCESS", dbError);
+      return sendSystemMessage(ws, "문서 권한 확인 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+    if (!access.canRead) {
+      return sendSystemMessage(ws, "문서 열람 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+    // 캐시의 이름/위치는 이동/이름 변경 후 갱신되지 않으므로 DB 기준으로 사용
+    document = { ...document, ...access.location };
+    const restricted = access.restricted;
+
+    // 문서 경로 (조회 실패 시 경로 없이 입장)
+    let docPath = null;
+    try {
+      docPath = getDocPath(await getFolderTree(channelId), document);
+    } catch (dbError) {
+      logError("DB_FOLDER_TREE", dbError);
+    }
+
+    // 문서에 입장 (CRDT 편집용 site 발급: 연결당 1개)
+    if (!ws.siteId) ws.siteId = generateUUID();
+    addToDoc(docId, ws);
+    ws.docAccess = access;
+
+    // 문서 열람 중인 다른 유저들에게 입장 알림
+    broadcastToDoc(
+      docId,
+      "userEnteredDoc",
+      {
+        time: Date.now(),
+        docId: docId,
+        userId: userId,
+        email: ws.user.email,
+        color: getUserColor(userId),
+      },
+      ws,
+    );
+
+    // 채널 내 유저들에게도 상태 변경 알림 (누군가가 문서를 열람 시작함)
+    // 열람 제한 폴더 안의 문서면 문서 정보 없이 전송
+    broadcastToChannel(
+      channelId,
+      "userDocStatusChanged",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        userId: userId,
+        email: ws.user.email,
+        docId: restricted ? null : docId,
+        docName: restricted ? null : document.name,
+        status: "viewing",
+        ...(restricted ? { restricted: true } : {}),
+      },
+      ws,
+    );
+
+    // 현재 문서 열람 유저 목록
+    const viewingUsers = await getDocUsers(docId);
+
+    // CRDT 상태 (편집 큐에서 최신 내용과 함께 조회, 실패 시 입장 시점 캐시 내용 사용)
+    const crdtDoc = await getDocWithChars(docId);
+    if (crdtDoc) document = { ...crdtDoc, ...access.location };
+
+    safeSend(ws, {
+      event: "docEntered",
+      data: {
+        time: Date.now(),
+        docId: docId,
+        channelId: channelId,
+        docName: document.name,
+        dir: document.dir,
+        parentId: document.parentId,
+        depth: document.depth,
+        path: docPath,
+        isDirectory: document.name === ".option",
+        content: document.content,
+        chars: document.chars || [],
+        clock: document.clock || 0,
+        siteId: ws.siteId,
+        revision: document.revision || 0,
+        status: document.status,
+        statusText:
+          document.status === DOC_STATUS.NORMAL
+            ? "normal"
+            : document.status === DOC_STATUS.DELETED
+              ? "deleted"
+              : "locked",
+        viewingUsers: viewingUsers,
+        cursors: await getDocCursors(docId, ws),
+        myColor: getUserColor(userId),
+        canEdit: access.canEdit,
+        message: `문서 '${document.name}'을 열람합니다.`,
+      },
+    });
+
+    console.log(`문서 입장: ${document.name} (${docId}) - ${userId}`);
+  } catch (error) {
+    logError("DOC_ENTER", error);
+    sendSystemMessage(ws, "문서 열람 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
+
+// 문서 열람 종료 (퇴장)
+async function handleLeaveDoc(ws, data) {
+  const { docId } = data;
+  const userId = ws.user.id;
+
+  // docId 없으면 현재 문서에서 퇴장
+  const targetDocId = docId || ws.currentDoc;
+
+  if (!targetDocId) {
+    return sendSystemMessage(ws, "퇴장할 문서가 없습니다.", ERROR_CODES.NOT_IN_DOC);
+  }
+
+  const channelId = ws.currentChannel;
+
+  // 문서에서 퇴장
+  removeFromDoc(targetDocId, ws);
+
+  // 문서 열람 중인 다른 유저들에게 퇴장 알림
+  broadcastToDoc(targetDocId, "userLeftDoc", {
+    time: Date.now(),
+    docId: targetDocId,
+    userId: userId,
+    email: ws.user.email,
+  });
+
+  // 채널 내 유저들에게도 상태 변경 알림
+  if (channelId) {
+    broadcastToChannel(
+      channelId,
+      "userDocStatusChanged",
+      {
+        time: Date.now(),
+        channelId: channelId,
+        userId: userId,
+        email: ws.user.email,
+        docId: null,
+        docName: null,
+        status: "idle",
+      },
+      ws,
+    );
+  }
+
+  safeSend(ws, {
+    event: "docLeft",
+    data: {
+      time: Date.now(),
+      docId: targetDocId,
+      message: "문서 열람을 종료했습니다.",
+    },
+  });
+
+  // 마지막 유저 퇴장 시 동기화 체크
+  onDocDisconnect(targetDocId);
+
+  console.log(`문서 퇴장: ${targetDocId} - ${userId}`);
+}
+
+// === 문서 내용 편집 핸들러 (실시간 협업) ===
+
+const MAX_EDIT_OPS = 1000; // 한 번에 적용 가능한 편집 연산 수
+const MAX_DOC_CONTENT_LENGTH = 1000000; // 문서 최대 길이 (문자 수)
+
+// 문서별 편집 작업 직렬화 큐: Map<docId, Promise>
+// 캐시 읽기 → 수정 → 쓰기 사이에 다른 편집이 끼어들지 않도록 순서대로 실행
+// (인스턴스 내에서는 큐로, 인스턴스 간에는 분산 잠금으로 직렬화)
+const docEditQueues = new Map();
+
+const DOC_EDIT_LOCK_TTL_MS = 5000; // 작업 중에는 keepLockAlive로 연장 (인스턴스 중단 시에만 만료)
+const DOC_EDIT_LOCK_WAIT_MS = 3000;
+
+function runDocEditExclusive(docId, task) {
+  // 다른 인스턴스의 편집과도 겹치지 않도록 분산 잠금 안에서 실행
+  const run = async () => {
+    const lockName = `docedit:${docId}`;
+    const token = await acquireLock(lockName, DOC_EDIT_LOCK_TTL_MS, DOC_EDIT_LOCK_WAIT_MS);
+    if (!token) {
+      throw new Error(`문서 잠금 획득 실패: ${docId}`);
+    }
+    const stopRenewal = keepLockAlive(lockName, token, DOC_EDIT_LOCK_TTL_MS);
+    try {
+      return await task();
+    } finally {
+      stopRenewal();
+      await releaseLock(lockName, token);
+    }
+  };
+
+  const prev = docEditQueues.get(docId) || Promise.resolve();
+  const next = prev.then(run, run);
+  const tail = next.catch(() => {});
+  docEditQueues.set(docId, tail);
+  tail.then(() => {
+    // 마지막 작업이면 큐 정리
+    if (docEditQueues.get(docId) === tail) {
+      docEditQueues.delete(docId);
+    }
+  });
+  return next;
+}
+
+// 문서 내용 편집
+// ops: 편집 연산 배열 (CRDT 연산 또는 index 연산, applyCrdtOps 참고)
+// baseRevision: index 연산을 보내는 클라이언트가 마지막으로 본 revision (선택)
+async function handleEditDoc(ws, data) {
+  const { docId, ops, baseRevision } = data;
+  const userId = ws.user.id;
+
+  const targetDocId = docId || ws.currentDoc;
+
+  if (!targetDocId || typeof targetDocId !== "string") {
+    return sendSystemMessage(ws, "문서 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (!Array.isArray(ops) || ops.length === 0) {
+    return sendSystemMessage(ws, "편집 내용을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (ops.length > MAX_EDIT_OPS) {
+    return sendSystemMessage(ws, `편집 연산은 한 번에 ${MAX_EDIT_OPS}개까지 가능합니다.`, ERROR_CODES.INVALID_REQUEST);
+  }
+
+  // 열람 중인 문서만 편집 가능
+  if (ws.currentDoc !== targetDocId) {
+    return sendSystemMessage(ws, "먼저 해당 문서에 입장해주세요.", ERROR_CODES.NOT_IN_DOC);
+  }
+
+  let access;
+  try {
+    access = await getDocAccess(ws, targetDocId);
+  } catch (dbError) {
+    logError("DB_DOC_ACCESS", dbError);
+    return sendSystemMessage(ws, "문서 권한 확인 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+  }
+  if (!access.canEdit) {
+    return sendSystemMessage(ws, "문서 편집 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+  }
+
+  try {
+    await runDocEditExclusive(targetDocId, async () => {
+      const document = await getDocFromCache(targetDocId);
+      if (!document) {
+        return sendSystemMessage(ws, "문서가 존재하지 않거나 캐시되지 않았습니다.", ERROR_CODES.DOC_NOT_FOUND);
+      }
+
+      // 잠긴 문서(동기화 중 등)는 편집 불가
+      if (!(await isDocEditable(targetDocId))) {
+        return safeSend(ws, {
+          event: "docEditRejected",
+          data: {
+            time: Date.now(),
+            docId: targetDocId,
+            code: ERROR_CODES.DOC_LOCKED,
+            status: document.status,
+            revision: document.revision || 0,
+            message: "현재 편집할 수 없는 문서입니다.",
+          },
+        });
+      }
+
+      // 클라이언트가 최신 상태가 아니면 거부 (재동기화 후 다시 시도)
+      const currentRevision = document.revision || 0;
+      if (baseRevision !== undefined && baseRevision !== currentRevision) {
+        return safeSend(ws, {
+          event: "docEditRejected",
+          data: {
+            time: Date.now(),
+            docId: targetDocId,
+            code: ERROR_CODES.STALE_REVISION,
+            status: document.status,
+            revision: currentRevision,
+            content: document.content,
+            message: "문서가 변경되었습니다. 최신 내용으로 다시 시도해주세요.",
+          },
+        });
+      }
+
+      const state = await getDocCrdtState(targetDocId, document);
+      if (!state) {
+        return sendSystemMessage(ws, "편집 상태를 불러오지 못했습니다.", ERROR_CODES.INTERNAL_ERROR);
+      }
+
+      // 적용 도중 실패하면 메모리 상태가 일부만 바뀌었으므로 버림
+      let result;
+      try {
+        result = applyCrdtOps(state, ops, ws.siteId);
+      } catch (error) {
+        forgetDocCrdtState(targetDocId);
+        throw error;
+      }
+      if (!result.ok) {
+        forgetDocCrdtState(targetDocId);
+        return sendSystemMessage(ws, result.message, result.code || ERROR_CODES.INVALID_OPERATION);
+      }
+
+      // 이미 적용된 연산만 재전송된 경우
+      if (result.applied.length === 0) {
+        return safeSend(ws, {
+          event: "docEditApplied",
+          data: { time: Date.now(), docId: targetDocId, revision: currentRevision, ops: [] },
+        });
+      }
 
-    // Supabase에 멤버 추가
-    try {
-      await prisma.channelMember.create({
-        data: {
-          id: memberId,
-          channelId: channel.id,
+      if (getCrdtVisibleLength(state) > MAX_DOC_CONTENT_LENGTH) {
+        forgetDocCrdtState(targetDocId);
+        return sendSystemMessage(ws, "문서 최대 길이를 초과했습니다.", ERROR_CODES.CONTENT_TOO_LARGE);
+      }
+
+      const revision = currentRevision + 1;
+      const editors = document.editors || [];
+      const saved = await saveDocCrdtEdit(targetDocId, document, state, result.applied, {
+        content: getCrdtContent(state),
+        editors: editors.includes(userId) ? editors : [...editors, userId],
+        revision: revision,
+        updatedAt: new Date().toISOString(),
+      });
+      if (!saved) {
+        return sendSystemMessage(ws, "편집 내용 저장 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+      }
+      await markDocDirty(targetDocId, result.applied.length, document.channelId);
+
+      // 문서 열람 중인 다른 유저들에게 편집 내용 전파
+      broadcastToDoc(
+        targetDocId,
+        "docEdited",
+        {
+          time: Date.now(),
+          docId: targetDocId,
           userId: userId,
-          permission: 1, // 일반 멤버
-          status: 0,
-          joinOrder: joinOrder,
+          email: ws.user.email,
+          ops: result.applied,
+          revision: revision,
         },
-      });
-    } catch (dbError) {
-      logError("DB_MEMBER_CREATE", dbError);
-      return sendSystemMessage(
         ws,
-        "채널 참여 중 데이터베이스 오류가 발생했습니다.",
       );
-    }
 
-    // 활성 멤버 수 조회
-    let memberCount;
-    try {
-      memberCount = await prisma.channelMember.count({
-        where: { channelId: channel.id, status: 0 },
+      // 적용된 CRDT 연산을 함께 전달 (index 연산으로 보낸 경우 발급된 ID 확인용)
+      safeSend(ws, {
+        event: "docEditApplied",
+        data: {
+          time: Date.now(),
+          docId: targetDocId,
+          revision: revision,
+          ops: result.applied,
+        },
       });
-    } catch (dbError) {
-      logError("DB_MEMBER_COUNT", dbError);
-      memberCount = joinOrder;
-    }
-
-    safeSend(ws, {
-      event: "channelJoined",
-      data: {
-        time: Date.now(),
-        channelId: channel.id,
-        channel: channelName,
-        memberCount,
-        myPermission: 1,
-        myJoinOrder: joinOrder,
-        message: `채널 '${channelName}'에 참여했습니다.`,
-      },
     });
-
-    console.log(`채널 참여: ${channelName} - ${userId} (순서: ${joinOrder})`);
   } catch (error) {
-    logError("CHANNEL_JOIN", error);
-    sendSystemMessage(ws, "채널 참여 중 오류가 발생했습니다.");
+    logError("DOC_EDIT", error);
+    sendSystemMessage(ws, "문서 편집 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
-// 채널 목록 조회 (공개 채널 목록 + 가입 여부)
-async function handleListChannel(ws, data) {
-  const userId = ws.user.id;
+// === 커서/선택 영역 핸들러 ===
 
-  try {
-    // 공개 채널 목록 조회 (visibility = 0, status = 0)
-    let publicChannels;
-    try {
-      publicChannels = await prisma.channelData.findMany({
-        where: { visibility: 0, status: 0 },
-        select: {
-          id: true,
-          name: true,
-          visibility: true,
-          createdAt: true,
-          members: {
-            where: { userId: userId, status: 0 }, // 활성 멤버만
-            select: { id: true, permission: true, joinOrder: true },
-          },
-          _count: {
-            select: {
-              members: { where: { status: 0 } }, // 활성 멤버 수만
-            },
-          },
-        },
-        orderBy: { createdAt: "desc" },
-      });
-    } catch (dbError) {
-      logError("DB_CHANNEL_LIST", dbError);
-      return sendSystemMessage(
-        ws,
-        "채널 목록 조회 중 데이터베이스 오류가 발생했습니다.",
-      );
-    }
+// 커서 위치 값 검증 (문자 index 또는 CRDT 요소 ID, 미지정은 null)
+function isValidCursorPosition(position) {
+  if (position === null) return true;
+  if (Number.isInteger(position)) return position >= 0;
+  return typeof position === "string" && position.length <= 200;
+}
 
-    const channels = publicChannels.map((channel) => {
-      const membership = channel.members[0]; // 가입되어 있으면 1개, 없으면 빈 배열
-      return {
-        channelId: channel.id,
-        channelName: channel.name,
-        memberCount: channel._count.members,
-        createdAt: channel.createdAt,
-        joined: !!membership,
-        myPermission: membership?.permission ?? null,
-        myJoinOrder: membership?.joinOrder ?? null,
-      };
-    });
+// 커서/선택 영역 갱신
+// position: 커서 위치, selection: { anchor, head } 또는 null
+async function handleUpdateCursor(ws, data) {
+  const { docId, position = null, selection = null } = data;
 
-    safeSend(ws, {
-      event: "channelList",
-      data: { time: Date.now(), channels },
-    });
+  const targetDocId = docId || ws.currentDoc;
 
-    console.log(`채널 목록 조회: ${userId}`);
-  } catch (error) {
-    logError("CHANNEL_LIST", error);
-    sendSystemMessage(ws, "채널 목록 조회 중 오류가 발생했습니다.");
+  if (!targetDocId || ws.currentDoc !== targetDocId) {
+    return sendSystemMessage(ws, "먼저 해당 문서에 입장해주세요.", ERROR_CODES.NOT_IN_DOC);
+  }
+
+  if (!isValidCursorPosition(position)) {
+    return sendSystemMessage(ws, "커서 위치가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
   }
+  if (
+    selection !== null &&
+    (typeof selection !== "object" ||
+      !isValidCursorPosition(selection.anchor ?? null) ||
+      !isValidCursorPosition(selection.head ?? null))
+  ) {
+    return sendSystemMessage(ws, "선택 영역이 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  ws.cursor = {
+    position,
+    selection: selection
+      ? { anchor: selection.anchor ?? null, head: selection.head ?? null }
+      : null,
+    updatedAt: Date.now(),
+  };
+
+  scheduleCursorBroadcast(ws);
 }
 
-// 채널 탈퇴
-async function handleQuitChannel(ws, data) {
-  const { channel: channelName } = data;
+// === 문서 버전 핸들러 ===
+
+// 버전 관련 요청 공통 검증: 채널 멤버십 + 문서 존재 확인
+// 성공 시 { membership, document } 반환, 실패 시 메시지 전송 후 null
+async function findVersionTarget(ws, channelId, docId) {
   const userId = ws.user.id;
 
-  if (!channelName || typeof channelName !== "string") {
-    return sendSystemMessage(ws, "채널명을 입력해주세요.");
+  if (!channelId || typeof channelId !== "string") {
+    sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
+  }
+  if (!docId || typeof docId !== "string") {
+    sendSystemMessage(ws, "문서 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    return null;
   }
 
+  let channel;
   try {
-    // Supabase에서 채널 조회 (삭제되지 않은 채널, 활성 멤버만)
-    let channel;
-    try {
-      channel = await prisma.channelData.findFirst({
-        where: { name: channelName, status: 0 },
-        include: {
-          members: {
-            where: { status: 0 }, // 활성 멤버만
-          },
+    channel = await prisma.channelData.findFirst({
+      where: { id: channelId, status: 0 },
+      include: {
+        members: {
+          where: { userId: userId, status: 0 },
+          select: { permission: true },
         },
-      });
-    } catch (dbError) {
-      logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
-    }
+      },
+    });
+  } catch (dbError) {
+    logError("DB_CHANNEL_FIND", dbError);
+    sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
 
-    if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
-    }
+  if (!channel) {
+    sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
+    return null;
+  }
 
-    // 멤버십 확인 (활성 멤버만)
-    const membership = channel.members.find((m) => m.userId === userId);
-    if (!membership) {
-      return sendSystemMessage(ws, "가입되지 않은 채널입니다.");
-    }
+  const membership = channel.members[0];
+  if (!membership) {
+    sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
+    return null;
+  }
 
-    // 오너(생성자)가 탈퇴하려는 경우
-    if (membership.permission === 0) {
-      // 활성 멤버가 본인만 있는 경우
-      if (channel.members.length === 1) {
-        // 마지막 멤버(오너)가 탈퇴 = 채널 소프트 삭제
-        try {
-          await prisma.$transaction([
-            // 멤버 소프트 삭제
-            prisma.channelMember.update({
-              where: { id: membership.id },
-              data: { status: 1 },
-            }),
-            // 채널 소프트 삭제
-            prisma.channelData.update({
-              where: { id: channel.id },
-              data: { status: 1 },
-            }),
-          ]);
-        } catch (dbError) {
-          logError("DB_CHANNEL_SOFT_DELETE", dbError);
-          return sendSystemMessage(
-            ws,
-            "채널 삭제 중 데이터베이스 오류가 발생했습니다.",
-          );
-        }
+  let document;
+  let tree;
+  try {
+    document = await prisma.documentData.findFirst({
+      where: { id: docId, channelId: channelId, status: 0 },
+      select: { id: true, name: true, parentId: true },
+    });
+    tree = await getFolderTree(channelId);
+  } catch (dbError) {
+    logError("DB_DOC_FIND", dbError);
+    sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    return null;
+  }
 
-        safeSend(ws, {
-          event: "channelQuitted",
-          data: {
-            time: Date.now(),
-            channel: channelName,
-            message: `채널 '${channelName}'이 삭제되었습니다. (마지막 멤버 탈퇴)`,
-          },
-        });
+  // 열람 권한이 없는 폴더의 문서는 없는 문서로 취급
+  if (
+    !document ||
+    !checkFolderAccess(tree, getAclFolderId(document), "read", userId, membership.permission)
+  ) {
+    sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    return null;
+  }
 
-        console.log(`채널 소프트 삭제: ${channelName} (마지막 멤버 탈퇴)`);
-        return;
-      }
+  return { membership, document, tree };
+}
 
-      // 다른 활성 멤버가 있는 경우
-      return sendSystemMessage(
-        ws,
-        "채널 생성자는 다른 멤버가 있을 때 탈퇴할 수 없습니다. 채널을 삭제하거나 권한을 양도해주세요.",
-      );
-    }
+// 문서 버전 목록 조회
+async function handleListDocVersions(ws, data) {
+  const { channelId, docId } = data;
 
-    // 일반 멤버 탈퇴 (소프트 삭제)
+  try {
+    const target = await findVersionTarget(ws, channelId, docId);
+    if (!target) return;
+
+    let versions;
     try {
-      await prisma.channelMember.update({
-        where: { id: membership.id },
-        data: { status: 1 },
+      versions = await prisma.documentVersion.findMany({
+        where: { documentId: docId },
+        select: { id: true, version: true, authors: true, size: true, createdAt: true },
+        orderBy: { version: "desc" },
       });
     } catch (dbError) {
-      logError("DB_MEMBER_SOFT_DELETE", dbError);
-      return sendSystemMessage(
-        ws,
-        "채널 탈퇴 중 데이터베이스 오류가 발생했습니다.",
-      );
+      logError("DB_VERSION_LIST", dbError);
+      return sendSystemMessage(ws, "버전 목록 조회 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    // 작성자 정보 조회
+    const authorIds = [...new Set(versions.flatMap((v) => v.authors))];
+    let authors = [];
+    if (authorIds.length > 0) {
+      try {
+        authors = await prisma.userData.findMany({
+          where: { id: { in: authorIds } },
+          select: { id: true, email: true, name: true },
+        });
+      } catch (dbError) {
+        logError("DB_VERSION_AUTHORS", dbError);
+        // 작성자 정보 실패 시 ID만 전달
+      }
     }
+    const authorMap = new Map(authors.map((a) => [a.id, a]));
 
     safeSend(ws, {
-      event: "channelQuitted",
+      event: "docVersionList",
       data: {
         time: Date.now(),
-        channel: channelName,
-        message: `채널 '${channelName}'에서 탈퇴했습니다.`,
+        channelId: channelId,
+        docId: docId,
+        versions: versions.map((v) => ({
+          versionId: v.id,
+          version: v.version,
+          authors: v.authors.map((id) => ({
+            id,
+            email: authorMap.get(id)?.email ?? null,
+            name: authorMap.get(id)?.name ?? null,
+          })),
+          size: v.size,
+          createdAt: v.createdAt.toISOString(),
+        })),
       },
     });
-
-    console.log(`채널 탈퇴 (소프트 삭제): ${channelName} - ${userId}`);
   } catch (error) {
-    logError("CHANNEL_QUIT", error);
-    sendSystemMessage(ws, "채널 탈퇴 중 오류가 발생했습니다.");
+    logError("DOC_VERSION_LIST", error);
+    sendSystemMessage(ws, "버전 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
-// === 문서 핸들러 ===
-
-// 문서 생성 (디렉토리는 .option 파일로 표현)
-// 구조:
-// - .option 파일: dir=폴더명, parentId=부모폴더의 .option ID (root면 null), depth=자신의 depth
-// - 일반 문서: dir=속한폴더명, parentId=부모폴더의 .option ID (root면 null), depth=자신의 depth
-async function handleCreateDoc(ws, data) {
-  // docName: 문서명 (.option이면 디렉토리 생성)
-  // dir: .option 파일인 경우 폴더명, 일반 문서면 속한 폴더명
-  // parentId: 부모 폴더의 .option 문서 ID (root 직계 자식이면 null)
-  // depth: 디렉토리 깊이 (root=0, root 직계 자식=1, ...)
-  const { channelId, docName, dir, parentId = null, depth = 1 } = data;
-  const userId = ws.user.id;
+// 특정 버전 내용 조회
+async function handleGetDocVersion(ws, data) {
+  const { channelId, docId, versionId } = data;
 
-  // 필수값 검증
-  if (!channelId || typeof channelId !== "string") {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
-  }
-  if (!docName || typeof docName !== "string") {
-    return sendSystemMessage(ws, "문서명을 입력해주세요.");
-  }
-  if (docName.length > 100) {
-    return sendSystemMessage(ws, "문서명은 100자 이하로 입력해주세요.");
-  }
-  
-  // .option 파일(디렉토리)인 경우 dir(폴더명) 필수
-  const isDirectory = docName === ".option";
-  if (isDirectory) {
-    if (!dir || typeof dir !== "string" || dir.length === 0) {
-      return sendSystemMessage(ws, "디렉토리명(dir)을 입력해주세요.");
-    }
-    if (dir.length > 100) {
-      return sendSystemMessage(ws, "디렉토리명은 100자 이하로 입력해주세요.");
-    }
-  }
-  
-  // parentId 검증 (null 허용, 문자열이면 UUID 형식)
-  if (parentId !== null && typeof parentId !== "string") {
-    return sendSystemMessage(ws, "부모 폴더 ID가 올바르지 않습니다.");
-  }
-  if (typeof depth !== "number" || depth < 0 || depth > 20) {
-    return sendSystemMessage(ws, "디렉토리 깊이가 올바르지 않습니다. (0~20)");
+  if (!versionId || typeof versionId !== "string") {
+    return sendSystemMessage(ws, "버전 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
 
   try {
-    // 채널 존재 여부 및 멤버십 확인
-    let channel;
+    const target = await findVersionTarget(ws, channelId, docId);
+    if (!target) return;
+
+    let version;
     try {
-      channel = await prisma.channelData.findFirst({
-        where: { id: channelId, status: 0 },
-        include: {
-          members: {
-            where: { userId: userId, status: 0 },
-            select: { permission: true },
-          },
-        },
+      version = await prisma.documentVersion.findFirst({
+        where: { id: versionId, documentId: docId },
       });
     } catch (dbError) {
-      logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
+      logError("DB_VERSION_FIND", dbError);
+      return sendSystemMessage(ws, "버전 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
-    if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
+    if (!version) {
+      return sendSystemMessage(ws, "버전이 존재하지 않습니다.", ERROR_CODES.VERSION_NOT_FOUND);
     }
 
-    const membership = channel.members[0];
-    if (!membership) {
-      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.");
-    }
+    safeSend(ws, {
+      event: "docVersion",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        docId: docId,
+        versionId: version.id,
+        version: version.version,
+        authors: version.authors,
+        size: version.size,
+        content: version.content,
+        createdAt: version.createdAt.toISOString(),
+      },
+    });
+  } catch (error) {
+    logError("DOC_VERSION_GET", error);
+    sendSystemMessage(ws, "버전 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
+}
 
-    if (membership.permission !== 0) {
-      return sendSystemMessage(ws, "문서 생성 권한이 없습니다.");
-    }
+// 이전 버전으로 복원
+// 문서를 잠근 뒤 캐시 내용을 해당 버전으로 교체하고, 즉시 동기화하여 새 버전으로 기록
+async function handleRestoreDocVersion(ws, data) {
+  const { channelId, docId, versionId } = data;
+  const userId = ws.user.id;
 
-    // parentId가 있으면 부모 폴더 존재 확인 및 dir 조회
-    let parentDir = "root";
-    if (parentId) {
-      const parentDoc = await prisma.documentData.findFirst({
-        where: {
-          id: parentId,
-          channelId: channelId,
-          name: ".option",
-          status: 0,
-        },
-        select: { dir: true },
-      });
-      if (!parentDoc) {
-        return sendSystemMessage(ws, "부모 폴더가 존재하지 않습니다.");
-      }
-      parentDir = parentDoc.dir;
-    }
+  if (!versionId || typeof versionId !== "string") {
+    return sendSystemMessage(ws, "버전 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
 
-    // 문서 생성 시 최종 dir 계산
-    // .option 파일: dir=폴더명
-    // 일반 문서: dir=부모폴더명
-    const finalDir = isDirectory ? dir : parentDir;
+  try {
+    const target = await findVersionTarget(ws, channelId, docId);
+    if (!target) return;
 
-    // 같은 부모 아래 동일한 dir+name 조합의 문서 존재 여부 확인
-    // .option: 같은 parentId 아래 같은 dir(폴더명)이 있으면 중복
-    // 일반 문서: 같은 parentId 아래 같은 name이 있으면 중복
-    let existingDoc;
+    if (!requirePermission(ws, target.membership.permission, PERMISSION.RESTORE_VERSION, "문서 복원 권한이 없습니다.")) {
+      return;
+    }
+    if (!checkFolderAccess(target.tree, getAclFolderId(target.document), "edit", ws.user.id, target.membership.permission)) {
+      return sendSystemMessage(ws, "문서 편집 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+
+    let version;
     try {
-      existingDoc = await prisma.documentData.findFirst({
-        where: {
-          channelId: channelId,
-          name: docName,
-          dir: finalDir,
-          parentId: parentId,
-          status: 0,
-        },
+      version = await prisma.documentVersion.findFirst({
+        where: { id: versionId, documentId: docId },
       });
     } catch (dbError) {
-      logError("DB_DOC_FIND", dbError);
-      return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.");
+      logError("DB_VERSION_FIND", dbError);
+      return sendSystemMessage(ws, "버전 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
-    if (existingDoc) {
-      const errorMsg = isDirectory 
-        ? `같은 경로에 '${dir}' 폴더가 이미 존재합니다.`
-        : `같은 경로에 '${docName}' 문서가 이미 존재합니다.`;
-      return sendSystemMessage(ws, errorMsg);
+    if (!version) {
+      return sendSystemMessage(ws, "버전이 존재하지 않습니다.", ERROR_CODES.VERSION_NOT_FOUND);
     }
 
-    // UUID 중복 방지
-    const docId = await generateUniqueId("documentData");
+    // 캐시에 없으면 로드
+    let cachedDoc = await getDocFromCache(docId);
+    if (!cachedDoc) {
+      cachedDoc = await loadDocToCache(docId);
+    }
+    if (!cachedDoc) {
+      return sendSystemMessage(ws, "문서를 불러오지 못했습니다.", ERROR_CODES.INTERNAL_ERROR);
+    }
+    if (cachedDoc.status === DOC_STATUS.LOCKED) {
+      return sendSystemMessage(ws, "다른 작업이 진행 중인 문서입니다. 잠시 후 다시 시도해주세요.", ERROR_CODES.DOC_LOCKED);
+    }
 
-    // 문서 생성
-    let document;
+    await lockDoc(docId, `버전 ${version.version}(으)로 복원 중입니다.`);
+
+    let restored;
     try {
-      document = await prisma.documentData.create({
-        data: {
-          id: docId,
-          channelId: channelId,
-          name: docName,
-          dir: finalDir,
-          parentId: parentId,
-          depth: depth,
-          content: "",
-          status: DOC_STATUS.NORMAL,
-          createdBy: userId,
-        },
+      restored = await runDocEditExclusive(docId, async () => {
+        const current = await getDocFromCache(docId);
+        if (!current) return null;
+
+        const state = await getDocCrdtState(docId, current);
+        if (!state) return null;
+        const ops = replaceCrdtContent(state, version.content);
+        const revision = (current.revision || 0) + 1;
+        const editors = current.editors || [];
+
+        const saved = await saveDocCrdtEdit(docId, current, state, ops, {
+          content: getCrdtContent(state),
+          editors: editors.includes(userId) ? editors : [...editors, userId],
+          revision: revision,
+          updatedAt: new Date().toISOString(),
+        });
+        if (!saved) return null;
+        await markDocDirty(docId, ops.length, current.channelId);
+        return { ops, revision };
       });
-    } catch (dbError) {
-      logError("DB_DOC_CREATE", dbError);
-      if (dbError.code === "P2002") {
-        const errorMsg = isDirectory 
-          ? `같은 경로에 '${dir}' 폴더가 이미 존재합니다.`
-          : `같은 경로에 '${docName}' 문서가 이미 존재합니다.`;
-        return sendSystemMessage(ws, errorMsg);
+
+      if (!restored) {
+        return sendSystemMessage(ws, "버전 복원 중 캐시 저장에 실패했습니다.", ERROR_CODES.INTERNAL_ERROR);
       }
-      return sendSystemMessage(ws, "문서 생성 중 데이터베이스 오류가 발생했습니다.");
-    }
 
-    // 채널 내 모든 유저에게 생성 알림 (자신 포함)
-    broadcastToChannel(
-      channelId,
-      "docListChanged",
-      {
+      // 문서 열람 중인 유저들에게 교체 연산 전파 (복원 요청자 포함)
+      broadcastToDoc(docId, "docRestored", {
         time: Date.now(),
-        channelId: channelId,
-        action: "created",
-        docId: document.id,
-        docName: docName,
-        dir: finalDir,
-        parentId: parentId,
-        depth: depth,
-        isDirectory: isDirectory,
-        createdBy: userId,
-      },
-      null, // 자신 포함 모두에게 전송
-    );
+        docId: docId,
+        versionId: version.id,
+        version: version.version,
+        ops: restored.ops,
+        content: version.content,
+        revision: restored.revision,
+        restoredBy: userId,
+      });
+
+      // 복원 결과를 즉시 DB에 기록 (새 버전 생성)
+      await syncDocToSupabase(docId, { forceVersion: true });
+    } finally {
+      await unlockDoc(docId);
+    }
 
-    // 생성자에게 성공 메시지
     safeSend(ws, {
-      event: "docCreated",
+      event: "docVersionRestored",
       data: {
         time: Date.now(),
-        docId: document.id,
         channelId: channelId,
-        docName: docName,
-        dir: finalDir,
-        parentId: parentId,
-        depth: depth,
-        isDirectory: isDirectory,
-        message: isDirectory 
-          ? `디렉토리 '${dir}'가 생성되었습니다.`
-          : `문서 '${docName}'이 생성되었습니다.`,
+        docId: docId,
+        versionId: version.id,
+        version: version.version,
+        revision: restored.revision,
+        message: `버전 ${version.version}(으)로 복원되었습니다.`,
       },
     });
 
-    console.log(`${isDirectory ? "디렉토리" : "문서"} 생성: ${isDirectory ? dir : docName} (${document.id}) in ${channelId} parentId=${parentId} depth=${depth} by ${userId}`);
+    console.log(`문서 버전 복원: ${docId} → v${version.version} by ${userId}`);
   } catch (error) {
-    logError("DOC_CREATE", error);
-    sendSystemMessage(ws, "문서 생성 중 오류가 발생했습니다.");
+    logError("DOC_VERSION_RESTORE", error);
+    sendSystemMessage(ws, "버전 복원 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
-// 문서 삭제 (소프트 삭제)
-async function handleDeleteDoc(ws, data) {
-  const { channelId, docId } = data;
+// === 문서 수정 핸들러 (경로, 이름 변경) ===
+
+// parentId 기반 구조:
+// - 이름 변경 (rename): newName 지정
+//   - .option 파일: dir만 변경 (하위 항목은 parentId로 연결되어 있으므로 변경 불필요!)
+//   - 일반 문서: name만 변경
+// - 이동 (move): newParentId 지정 (null이면 root)
+//   - parentId 변경, depth는 새 부모 기준으로 계산 + 하위 항목들의 depth도 재계산
+//   - 자기 자신 또는 하위 폴더로의 이동은 거부
+// 경로 지정: docId 대신 path, newParentId 대신 newParentPath (root는 "/")
+async function handleUpdateDoc(ws, data) {
+  const { channelId, newName, newParentPath } = data;
+  let { newParentId } = data;
   const userId = ws.user.id;
 
   // 필수값 검증
   if (!channelId || typeof channelId !== "string") {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
-  if (!docId || typeof docId !== "string") {
-    return sendSystemMessage(ws, "문서 ID를 입력해주세요.");
+
+  // 수정할 값이 하나도 없으면
+  if (newName === undefined && newParentId === undefined && newParentPath === undefined) {
+    return sendSystemMessage(ws, "수정할 항목을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+
+  // 유효성 검증
+  if (newName !== undefined) {
+    if (typeof newName !== "string" || newName.length === 0) {
+      return sendSystemMessage(ws, "문서명이 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+    if (newName.length > 100) {
+      return sendSystemMessage(ws, "문서명은 100자 이하로 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+    }
+    if (isInvalidPathSegment(newName)) {
+      return sendSystemMessage(ws, "이름에 '/'를 포함하거나 '.', '..'을 사용할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+  }
+  // newParentId: null 허용 (root로 이동), 문자열이면 UUID
+  if (newParentId !== undefined && newParentId !== null && typeof newParentId !== "string") {
+    return sendSystemMessage(ws, "부모 폴더 ID가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  let parsedParentPath = null;
+  if (newParentPath !== undefined) {
+    if (newParentId !== undefined) {
+      return sendSystemMessage(ws, "newParentId와 newParentPath는 함께 사용할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+    parsedParentPath = parseDocPath(newParentPath);
+    if (!parsedParentPath) {
+      return sendSystemMessage(ws, "이동할 경로가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
   }
 
   try {
@@ -1544,25 +8254,26 @@ async function handleDeleteDoc(ws, data) {
       });
     } catch (dbError) {
       logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
     if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
     }
 
-    // 멤버십 확인
     const membership = channel.members[0];
     if (!membership) {
-      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.");
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
     }
 
-    // 오너(생성자) 권한 확인
-    if (membership.permission !== 0) {
-      return sendSystemMessage(ws, "문서 삭제 권한이 없습니다.");
+    if (!requirePermission(ws, membership.permission, PERMISSION.EDIT_DOC, "문서 수정 권한이 없습니다.")) {
+      return;
     }
 
-    // 문서 존재 여부 확인 (삭제되지 않은 문서만)
+    const docId = await resolveDocTarget(ws, channelId, data.docId, data.path);
+    if (!docId) return;
+
+    // 문서 존재 여부 확인
     let document;
     try {
       document = await prisma.documentData.findFirst({
@@ -1574,90 +8285,314 @@ async function handleDeleteDoc(ws, data) {
       });
     } catch (dbError) {
       logError("DB_DOC_FIND", dbError);
-      return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.");
+      return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+
+    if (!document) {
+      return sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    }
+
+    const isOptionFile = document.name === ".option";
+
+    // 폴더 접근 제어 확인 (열람 불가면 없는 문서로 취급)
+    let tree;
+    try {
+      tree = await getFolderTree(channelId);
+    } catch (dbError) {
+      logError("DB_FOLDER_TREE", dbError);
+      return sendSystemMessage(ws, "폴더 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
+    if (!checkFolderAccess(tree, getAclFolderId(document), "read", userId, membership.permission)) {
+      return sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    }
+    if (!checkFolderAccess(tree, document.parentId, "manage", userId, membership.permission)) {
+      return sendSystemMessage(ws, "해당 폴더의 항목을 수정할 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+    
+    // root의 .option은 수정 불가 (최상위 디렉토리)
+    if (isOptionFile && document.parentId === null && document.depth === 0) {
+      return sendSystemMessage(ws, "최상위 디렉토리는 수정할 수 없습니다.", ERROR_CODES.ROOT_DIRECTORY);
+    }
+
+    // 이동할 폴더를 경로로 지정한 경우 (root 직계 항목은 parentId null)
+    if (parsedParentPath) {
+      const walked = walkFolderPath(tree, parsedParentPath.segments);
+      if (walked.missing.length > 0) {
+        return sendSystemMessage(ws, "이동할 부모 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      newParentId = walked.parentId;
+    }
+    const oldPath = getDocPath(tree, document);
+
+    // 최종 값 계산
+    // 이름 변경: .option이면 dir 변경, 일반 문서면 name 변경
+    // 이동: parentId 변경, depth는 새 부모 기준으로 서버에서 계산 (newDepth는 무시)
+    const finalParentId = newParentId !== undefined ? newParentId : document.parentId;
+    const isMove = finalParentId !== document.parentId;
+    
+    // 일반 문서의 이름 변경
+    const finalDocName = !isOptionFile && newName !== undefined ? newName : document.name;
+
+    // 이동할 부모 폴더 확인
+    let finalDepth = document.depth;
+    let parentDir = "root";
+    if (isMove && finalParentId !== null) {
+      const parentFolder = tree.get(finalParentId);
+      if (!parentFolder || !checkFolderAccess(tree, finalParentId, "read", userId, membership.permission)) {
+        return sendSystemMessage(ws, "이동할 부모 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      if (!checkFolderAccess(tree, finalParentId, "manage", userId, membership.permission)) {
+        return sendSystemMessage(ws, "이동할 폴더에 대한 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+      }
+      // 자기 자신 또는 자신의 하위 폴더로 이동 방지 (새 부모의 상위 경로에 자신이 있으면 순환)
+      if (isOptionFile && isFolderInPath(tree, finalParentId, docId)) {
+        return sendSystemMessage(ws, "자기 자신 또는 하위 폴더로 이동할 수 없습니다.", ERROR_CODES.INVALID_MOVE);
+      }
+
+      finalDepth = parentFolder.depth + 1;
+      parentDir = parentFolder.dir;
+    } else if (isMove) {
+      finalDepth = 1; // root로 이동
+    }
+
+    // .option은 폴더명, 일반 문서는 속한 폴더명 (이동 시 새 부모 기준)
+    const finalDir = isOptionFile
+      ? newName !== undefined ? newName : document.dir
+      : isMove ? parentDir : document.dir;
+
+    // 이동 후 하위 항목까지 최대 깊이 이내인지 확인
+    if (isMove && finalDepth !== document.depth) {
+      let subtreeHeight = 0;
+      if (isOptionFile) {
+        try {
+          subtreeHeight = await getSubtreeHeight(channelId, docId);
+        } catch (dbError) {
+          logError("DB_DOC_SUBTREE", dbError);
+          return sendSystemMessage(ws, "하위 항목 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+        }
+      }
+      if (finalDepth + subtreeHeight > MAX_DOC_DEPTH) {
+        return sendSystemMessage(ws, `폴더는 ${MAX_DOC_DEPTH}단계까지만 만들 수 있습니다.`, ERROR_CODES.MAX_DEPTH_EXCEEDED);
+      }
+    }
+
+    // 중복 체크 (parentId + dir + name 기준)
+    const nameToCheck = isOptionFile ? ".option" : finalDocName;
+    if (
+      nameToCheck !== document.name ||
+      finalDir !== document.dir ||
+      finalParentId !== document.parentId
+    ) {
+      let existingDoc;
+      try {
+        existingDoc = await prisma.documentData.findFirst({
+          where: {
+            channelId: channelId,
+            name: nameToCheck,
+            dir: finalDir,
+            parentId: finalParentId,
+            status: 0,
+            NOT: { id: docId },
+          },
+        });
+      } catch (dbError) {
+        logError("DB_DOC_FIND_DUP", dbError);
+        return sendSystemMessage(ws, "문서 중복 확인 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+
+      if (existingDoc) {
+        return sendSystemMessage(
+          ws,
+          `해당 경로에 '${isOptionFile ? finalDir : finalDocName}' 이름의 ${isOptionFile ? "폴더" : "문서"}가 이미 존재합니다.`,
+          ERROR_CODES.DUPLICATE_NAME,
+        );
+      }
+    }
+
+    const depthDelta = finalDepth - document.depth;
+    let updatedChildDocs = [];
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        // 1. 현재 문서 업데이트
+        await tx.documentData.update({
+          where: { id: docId },
+          data: {
+            name: finalDocName,
+            dir: finalDir,
+            parentId: finalParentId,
+            depth: finalDepth,
+          },
+        });
+
+        // 2. .option 파일(디렉토리)이 이동된 경우 하위 항목들의 depth만 변경
+        // 이름 변경은 하위 항목에 영향 없음! (parentId로 연결되어 있으므로)
+        if (isOptionFile && isMove && depthDelta !== 0) {
+          await updateChildrenDepthRecursive(tx, channelId, docId, finalDepth, updatedChildDocs);
+        }
+      });
+    } catch (dbError) {
+      logError("DB_DOC_UPDATE", dbError);
+      if (dbError.code === "P2002") {
+        return sendSystemMessage(
+          ws,
+          `해당 경로에 동일한 이름의 ${isOptionFile ? "폴더" : "문서"}가 이미 존재합니다.`,
+          ERROR_CODES.DUPLICATE_NAME,
+        );
+      }
+      return sendSystemMessage(
+        ws,
+        "문서 수정 중 데이터베이스 오류가 발생했습니다.",
+        ERROR_CODES.DB_ERROR,
+      );
+    }
+
+    // 변경 내용 구성
+    const changes = {};
+    if (finalDocName !== document.name) {
+      changes.name = { from: document.name, to: finalDocName };
+    }
+    if (finalDir !== document.dir) {
+      changes.dir = { from: document.dir, to: finalDir };
+    }
+    if (finalParentId !== document.parentId) {
+      changes.parentId = { from: document.parentId, to: finalParentId };
     }
-
-    if (!document) {
-      return sendSystemMessage(ws, "문서가 존재하지 않습니다.");
+    if (finalDepth !== document.depth) {
+      changes.depth = { from: document.depth, to: finalDepth };
+    }
+    if (updatedChildDocs.length > 0) {
+      changes.childrenUpdated = updatedChildDocs.length;
+    }
+    const newPath = joinDocPath(
+      finalParentId ? getFolderPath(tree, finalParentId) : "/",
+      [isOptionFile ? finalDir : finalDocName],
+    );
+    if (newPath !== oldPath) {
+      changes.path = { from: oldPath, to: newPath };
     }
 
-    // 소프트 삭제 (status: 1)
-    try {
-      await prisma.documentData.update({
-        where: { id: docId },
-        data: { status: 1 },
-      });
-    } catch (dbError) {
-      logError("DB_DOC_SOFT_DELETE", dbError);
-      return sendSystemMessage(
-        ws,
-        "문서 삭제 중 데이터베이스 오류가 발생했습니다.",
-      );
+    // 위치가 바뀌면 적용되는 접근 제어도 바뀌므로 열람 중인 유저 권한 재확인
+    if (finalParentId !== document.parentId) {
+      await refreshDocAccess(channelId);
     }
 
-    // 채널 내 모든 유저에게 문서 삭제 알림 (목록 새로고침 트리거)
-    broadcastToChannel(
+    // 채널 내 모든 유저에게 문서 변경 알림
+    await broadcastDocTreeEvent(
       channelId,
-      "docListChanged",
+      [getAclFolderId(document), finalParentId],
+      "docUpdated",
       {
         time: Date.now(),
-        channelId: channelId,
-        action: "deleted",
         docId: docId,
-        docName: document.name,
-        dir: document.dir,
-        parentId: document.parentId,
-        depth: document.depth,
-        isDirectory: document.name === ".option",
-        deletedBy: userId,
+        channelId: channelId,
+        isDirectory: isOptionFile,
+        oldName: document.name,
+        oldDir: document.dir,
+        oldParentId: document.parentId,
+        oldDepth: document.depth,
+        newName: finalDocName,
+        newDir: finalDir,
+        newParentId: finalParentId,
+        newDepth: finalDepth,
+        oldPath: oldPath,
+        newPath: newPath,
+        changes: changes,
+        updatedChildren: updatedChildDocs,
+        updatedBy: userId,
       },
-      ws, // 자신에게는 별도로 전송
+      ws,
     );
 
-    // 해당 문서를 열람 중인 유저들에게도 알림
-    broadcastToDoc(docId, "docDeleted", {
-      time: Date.now(),
-      docId: docId,
-      docName: document.name,
-      deletedBy: userId,
-      message: `문서 '${document.name}'이 삭제되었습니다.`,
-    });
+    // 문서 열람 중인 유저들에게도 알림
+    broadcastToDoc(
+      docId,
+      "docInfoChanged",
+      {
+        time: Date.now(),
+        docId: docId,
+        newName: finalDocName,
+        newDir: finalDir,
+        newParentId: finalParentId,
+        newDepth: finalDepth,
+        newPath: newPath,
+        changes: changes,
+      },
+      ws,
+    );
 
-    const isDirectory = document.name === ".option";
     safeSend(ws, {
-      event: "docDeleted",
+      event: "docUpdated",
       data: {
         time: Date.now(),
         docId: docId,
         channelId: channelId,
-        docName: document.name,
-        dir: document.dir,
-        parentId: document.parentId,
-        depth: document.depth,
-        isDirectory: isDirectory,
-        message: isDirectory 
-          ? `폴더 '${document.dir}'가 삭제되었습니다.`
-          : `문서 '${document.name}'이 삭제되었습니다.`,
+        isDirectory: isOptionFile,
+        oldName: document.name,
+        oldDir: document.dir,
+        oldParentId: document.parentId,
+        oldDepth: document.depth,
+        newName: finalDocName,
+        newDir: finalDir,
+        newParentId: finalParentId,
+        newDepth: finalDepth,
+        oldPath: oldPath,
+        newPath: newPath,
+        changes: changes,
+        updatedChildren: updatedChildDocs,
+        message: updatedChildDocs.length > 0 
+          ? `${isOptionFile ? "폴더" : "문서"}가 수정되었습니다. (하위 ${updatedChildDocs.length}개 항목 업데이트)`
+          : `${isOptionFile ? "폴더" : "문서"}가 수정되었습니다.`,
       },
     });
 
     console.log(
-      `문서 소프트 삭제: ${document.name} (${docId}) in ${channelId} by ${userId}`,
+      `${isOptionFile ? "폴더" : "문서"} 수정: ${oldPath} → ${newPath} (${docId}) in ${channelId} by ${userId}` +
+      (updatedChildDocs.length > 0 ? ` (하위 ${updatedChildDocs.length}개 항목 depth 업데이트)` : ""),
     );
   } catch (error) {
-    logError("DOC_DELETE", error);
-    sendSystemMessage(ws, "문서 삭제 중 오류가 발생했습니다.");
+    logError("DOC_UPDATE", error);
+    sendSystemMessage(ws, "문서 수정 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
-// 문서 목록 조회
-async function handleListDoc(ws, data) {
-  const { channelId } = data;
+// === 문서 복사 ===
+// - 일반 문서: 캐시의 최신 내용으로 복제 (캐시에 없으면 DB 내용)
+// - 폴더: 하위 항목 전체를 같은 구조로 복제 (열람 권한이 없는 하위 폴더는 제외, 폴더 접근 규칙은 그대로 복사)
+// - 대상 폴더: targetParentId 또는 targetParentPath (미지정 시 원본과 같은 폴더)
+// - 같은 위치에 같은 이름이 있으면 "이름 (n)"으로 자동 변경
+// - 버전 기록은 복사하지 않음
+
+const MAX_COPY_DOC_COUNT = 1000;
+
+async function handleCopyDoc(ws, data) {
+  const { channelId, newName, targetParentPath } = data;
+  let { targetParentId } = data;
   const userId = ws.user.id;
 
-  // 필수값 검증
   if (!channelId || typeof channelId !== "string") {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
+  }
+  if (newName !== undefined) {
+    if (typeof newName !== "string" || newName.length === 0 || newName.length > 100) {
+      return sendSystemMessage(ws, "문서명이 올바르지 않습니다. (1~100자)", ERROR_CODES.INVALID_REQUEST);
+    }
+    if (newName === ".option" || isInvalidPathSegment(newName)) {
+      return sendSystemMessage(ws, "이름에 '/'를 포함하거나 '.', '..'을 사용할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+  }
+  if (targetParentId !== undefined && targetParentId !== null && typeof targetParentId !== "string") {
+    return sendSystemMessage(ws, "부모 폴더 ID가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+  }
+  let parsedParentPath = null;
+  if (targetParentPath !== undefined) {
+    if (targetParentId !== undefined) {
+      return sendSystemMessage(ws, "targetParentId와 targetParentPath는 함께 사용할 수 없습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
+    parsedParentPath = parseDocPath(targetParentPath);
+    if (!parsedParentPath) {
+      return sendSystemMessage(ws, "복사할 경로가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST);
+    }
   }
 
   try {
@@ -1675,432 +8610,908 @@ async function handleListDoc(ws, data) {
       });
     } catch (dbError) {
       logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
     if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
     }
 
-    // 멤버십 확인
     const membership = channel.members[0];
     if (!membership) {
-      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.");
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
     }
 
-    // 문서 목록 조회 (삭제되지 않은 문서만)
-    let documents;
+    if (!requirePermission(ws, membership.permission, PERMISSION.CREATE_DOC, "문서 생성 권한이 없습니다.")) {
+      return;
+    }
+
+    const docId = await resolveDocTarget(ws, channelId, data.docId, data.path);
+    if (!docId) return;
+
+    let document;
+    let tree;
     try {
-      documents = await prisma.documentData.findMany({
-        where: { channelId: channelId, status: 0 },
-        select: {
-          id: true,
-          channelId: true,
-          name: true,
-          dir: true,
-          parentId: true,
-          depth: true,
-          createdAt: true,
-        },
-        orderBy: [{ depth: "asc" }, { parentId: "asc" }, { name: "asc" }],
+      document = await prisma.documentData.findFirst({
+        where: { id: docId, channelId: channelId, status: DOC_STATUS.NORMAL },
+        select: { id: true, name: true, dir: true, parentId: true, depth: true, content: true, acl: true },
       });
+      tree = await getFolderTree(channelId);
     } catch (dbError) {
-      logError("DB_DOC_LIST", dbError);
-      return sendSystemMessage(
-        ws,
-        "문서 목록 조회 중 데이터베이스 오류가 발생했습니다.",
-      );
+      logError("DB_DOC_FIND", dbError);
+      return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
-    safeSend(ws, {
-      event: "docList",
-      data: {
-        time: Date.now(),
-        channelId: channelId,
-        documents: documents.map((d) => ({
-          docId: d.id,
-          channelId: d.channelId,
-          name: d.name,
-          dir: d.dir,
-          parentId: d.parentId,
-          depth: d.depth,
-          createdAt: d.createdAt.toISOString(),
-        })),
-      },
-    });
+    // 열람 불가면 없는 문서로 취급
+    if (!document || !checkFolderAccess(tree, getAclFolderId(document), "read", userId, membership.permission)) {
+      return sendSystemMessage(ws, "문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND);
+    }
+    if (isRootMarker(document)) {
+      return sendSystemMessage(ws, "최상위 디렉토리는 복사할 수 없습니다.", ERROR_CODES.ROOT_DIRECTORY);
+    }
 
-    console.log(`문서 목록 조회: ${channelId} by ${userId}`);
-  } catch (error) {
-    logError("DOC_LIST", error);
-    sendSystemMessage(ws, "문서 목록 조회 중 오류가 발생했습니다.");
-  }
-}
+    const isDirectory = document.name === ".option";
 
-// === 채널 입장/퇴장 핸들러 (실시간 연결 관리) ===
+    // 대상 폴더 확인 (root 직계 항목은 parentId null)
+    if (parsedParentPath) {
+      const walked = walkFolderPath(tree, parsedParentPath.segments);
+      if (walked.missing.length > 0) {
+        return sendSystemMessage(ws, "복사할 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      targetParentId = walked.parentId;
+    } else if (targetParentId === undefined) {
+      targetParentId = document.parentId;
+    }
 
-// 채널 입장 (실시간 연결)
-async function handleEnterChannel(ws, data) {
-  const { channelId } = data;
-  const userId = ws.user.id;
+    let targetDepth = 1;
+    let parentDir = "root";
+    if (targetParentId !== null) {
+      const parentFolder = tree.get(targetParentId);
+      if (!parentFolder || !checkFolderAccess(tree, targetParentId, "read", userId, membership.permission)) {
+        return sendSystemMessage(ws, "복사할 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND);
+      }
+      targetDepth = parentFolder.depth + 1;
+      parentDir = isRootMarker(parentFolder) ? "root" : parentFolder.dir;
+    }
+    if (!checkFolderAccess(tree, targetParentId, "manage", userId, membership.permission)) {
+      return sendSystemMessage(ws, "해당 폴더에 복사할 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED);
+    }
+    if (isDirectory && targetParentId !== null && isFolderInPath(tree, targetParentId, docId)) {
+      return sendSystemMessage(ws, "자기 자신 또는 하위 폴더로 복사할 수 없습니다.", ERROR_CODES.INVALID_MOVE);
+    }
 
-  if (!channelId || typeof channelId !== "string") {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
-  }
+    // 복사할 하위 항목 (부모가 먼저 오도록 상위부터)
+    let descendants = [];
+    if (isDirectory) {
+      try {
+        const descendantIds = await collectActiveDescendantIds(channelId, docId);
+        if (descendantIds.length + 1 > MAX_COPY_DOC_COUNT) {
+          return sendSystemMessage(
+            ws,
+            `한 번에 ${MAX_COPY_DOC_COUNT}개 이하의 항목만 복사할 수 있습니다.`,
+            ERROR_CODES.INVALID_REQUEST,
+          );
+        }
+        descendants = await prisma.documentData.findMany({
+          where: { id: { in: descendantIds }, status: DOC_STATUS.NORMAL },
+          select: { id: true, name: true, dir: true, parentId: true, content: true, acl: true },
+        });
+      } catch (dbError) {
+        logError("DB_DOC_SUBTREE", dbError);
+        return sendSystemMessage(ws, "하위 항목 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    }
 
-  try {
-    // 이미 다른 채널에 입장한 상태면 먼저 퇴장
-    if (ws.currentChannel && ws.currentChannel !== channelId) {
-      const prevChannelId = ws.currentChannel;
-      removeFromChannel(prevChannelId, ws);
+    const readable = descendants.filter((d) =>
+      checkFolderAccess(tree, getAclFolderId(d), "read", userId, membership.permission),
+    );
+    const childrenOf = new Map();
+    readable.forEach((d) => {
+      if (!childrenOf.has(d.parentId)) childrenOf.set(d.parentId, []);
+      childrenOf.get(d.parentId).push(d);
+    });
 
-      // 이전 채널 유저들에게 퇴장 알림
-      broadcastToChannel(prevChannelId, "userLeft", {
-        time: Date.now(),
-        channelId: prevChannelId,
-        userId: userId,
-        email: ws.user.email,
-      });
+    const ordered = []; // { doc, relDepth }
+    const queue = [[document, 0]];
+    while (queue.length > 0) {
+      const [doc, relDepth] = queue.shift();
+      ordered.push({ doc, relDepth });
+      if (doc.name === ".option") {
+        (childrenOf.get(doc.id) || []).forEach((child) => queue.push([child, relDepth + 1]));
+      }
     }
+    const skippedCount = descendants.length - (ordered.length - 1);
 
-    // 채널 존재 여부 및 멤버십 확인
-    let channel;
-    try {
-      channel = await prisma.channelData.findFirst({
-        where: { id: channelId, status: 0 },
-        include: {
-          members: {
-            where: { userId: userId, status: 0 },
-            select: { permission: true, joinOrder: true },
+    const subtreeHeight = Math.max(...ordered.map((o) => o.relDepth));
+    if (targetDepth + subtreeHeight > MAX_DOC_DEPTH) {
+      return sendSystemMessage(ws, `폴더는 ${MAX_DOC_DEPTH}단계까지만 만들 수 있습니다.`, ERROR_CODES.MAX_DEPTH_EXCEEDED);
+    }
+
+    // 편집 중인 문서는 캐시의 최신 내용 사용
+    const contents = new Map();
+    for (const { doc } of ordered) {
+      const cached = await getDocFromCache(doc.id);
+      contents.set(doc.id, cached ? cached.content : doc.content || "");
+    }
+
+    // 새 ID 발급 (원본 ID → 복사본 ID)
+    const newIds = new Map();
+    for (const { doc } of ordered) {
+      newIds.set(doc.id, await generateUniqueId("documentData"));
+    }
+    const newRootId = newIds.get(docId);
+
+    const baseName = newName ?? (isDirectory ? document.dir : document.name);
+    let copied = null;
+
+    for (let n = 0; n <= MAX_RESTORE_NAME_SUFFIX && !copied; n++) {
+      const candidate = getRestoreCandidateName(baseName, n, isDirectory);
+      if (candidate.length > 100) break;
+      const finalName = isDirectory ? ".option" : candidate;
+      const finalDir = isDirectory ? candidate : parentDir;
+
+      let existingDoc;
+      try {
+        existingDoc = await prisma.documentData.findFirst({
+          where: {
+            channelId: channelId,
+            name: finalName,
+            dir: finalDir,
+            parentId: targetParentId,
+            status: DOC_STATUS.NORMAL,
           },
-        },
+          select: { id: true },
+        });
+      } catch (dbError) {
+        logError("DB_DOC_FIND_DUP", dbError);
+        return sendSystemMessage(ws, "문서 중복 확인 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+      if (existingDoc) continue;
+
+      // 일반 문서의 dir은 속한 폴더명 (복사한 최상위 폴더는 바뀐 이름 기준)
+      const folderDirs = new Map([[docId, finalDir]]);
+      const rows = ordered.map(({ doc, relDepth }) => {
+        const isRoot = doc.id === docId;
+        const dir = isRoot ? finalDir : doc.name === ".option" ? doc.dir : folderDirs.get(doc.parentId);
+        if (!isRoot && doc.name === ".option") folderDirs.set(doc.id, doc.dir);
+        return {
+          id: newIds.get(doc.id),
+          channelId: channelId,
+          name: isRoot ? finalName : doc.name,
+          dir: dir,
+          parentId: isRoot ? targetParentId : newIds.get(doc.parentId),
+          depth: targetDepth + relDepth,
+          content: contents.get(doc.id),
+          acl: doc.acl ?? undefined,
+          status: DOC_STATUS.NORMAL,
+          createdBy: userId,
+        };
       });
-    } catch (dbError) {
-      logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
-    }
 
-    if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
+      try {
+        await prisma.$transaction(async (tx) => {
+          await tx.documentData.createMany({ data: rows });
+        });
+        copied = { name: finalName, dir: finalDir };
+      } catch (dbError) {
+        // 확인 후 같은 이름이 생긴 경우 다음 이름으로 재시도
+        if (dbError.code === "P2002") continue;
+        logError("DB_DOC_COPY", dbError);
+        return sendSystemMessage(ws, "문서 복사 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
     }
 
-    // 멤버십 확인
-    const membership = channel.members[0];
-    if (!membership) {
-      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.");
+    if (!copied) {
+      return sendSystemMessage(
+        ws,
+        `같은 위치에 '${baseName}' 이름의 ${isDirectory ? "폴더" : "문서"}가 이미 존재합니다. 다른 이름으로 복사해주세요.`,
+        ERROR_CODES.DUPLICATE_NAME,
+      );
     }
 
-    // 채널에 입장
-    addToChannel(channelId, ws);
+    const copiedName = isDirectory ? copied.dir : copied.name;
+    const docPath = joinDocPath(targetParentId ? getFolderPath(tree, targetParentId) : "/", [copiedName]);
+    const copiedDocIds = ordered.map(({ doc }) => newIds.get(doc.id));
 
-    // 채널 내 다른 유저들에게 입장 알림
-    broadcastToChannel(
+    // 채널 내 모든 유저에게 알림 (하위 항목 포함 1회)
+    await broadcastDocTreeEvent(
       channelId,
-      "userEntered",
+      [isDirectory ? newRootId : targetParentId],
+      "docListChanged",
       {
         time: Date.now(),
         channelId: channelId,
-        userId: userId,
-        email: ws.user.email,
+        action: "copied",
+        docId: newRootId,
+        sourceDocId: docId,
+        docName: copied.name,
+        dir: copied.dir,
+        parentId: targetParentId,
+        depth: targetDepth,
+        path: docPath,
+        isDirectory: isDirectory,
+        copiedDocIds: copiedDocIds,
+        copiedCount: copiedDocIds.length,
+        copiedBy: userId,
       },
-      ws,
+      ws, // 자신에게는 별도로 전송
     );
 
-    // 현재 채널 접속 유저 목록
-    const onlineUsers = getChannelUsers(channelId);
-
     safeSend(ws, {
-      event: "channelEntered",
+      event: "docCopied",
       data: {
         time: Date.now(),
         channelId: channelId,
-        channelName: channel.name,
-        myPermission: membership.permission,
-        myJoinOrder: membership.joinOrder,
-        onlineUsers: onlineUsers,
-        message: `채널 '${channel.name}'에 입장했습니다.`,
+        docId: newRootId,
+        sourceDocId: docId,
+        docName: copied.name,
+        dir: copied.dir,
+        parentId: targetParentId,
+        depth: targetDepth,
+        path: docPath,
+        isDirectory: isDirectory,
+        renamed: copiedName !== baseName,
+        copiedDocIds: copiedDocIds,
+        copiedCount: copiedDocIds.length,
+        skippedCount: skippedCount,
+        message:
+          `${isDirectory ? "폴더" : "문서"} '${copiedName}'이(가) 복사되었습니다.` +
+          (copiedDocIds.length > 1 ? ` (하위 ${copiedDocIds.length - 1}개 항목 포함)` : "") +
+          (skippedCount > 0 ? ` (열람 권한이 없는 ${skippedCount}개 항목 제외)` : ""),
       },
     });
 
-    console.log(`채널 입장: ${channel.name} (${channelId}) - ${userId}`);
+    console.log(
+      `문서 복사: ${docId} → ${docPath} (${newRootId}) in ${channelId} by ${userId}` +
+      (copiedDocIds.length > 1 ? ` (하위 ${copiedDocIds.length - 1}개 항목 포함)` : ""),
+    );
   } catch (error) {
-    logError("CHANNEL_ENTER", error);
-    sendSystemMessage(ws, "채널 입장 중 오류가 발생했습니다.");
+    logError("DOC_COPY", error);
+    sendSystemMessage(ws, "문서 복사 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
-// 채널 퇴장 (실시간 연결 해제)
-async function handleLeaveChannel(ws, data) {
-  const { channelId } = data;
-  const userId = ws.user.id;
+// === 문서 일괄 작업 ===
+// operations: [{ op: "create" | "rename" | "move" | "delete", ... }] 순서대로 검증 후 한 트랜잭션으로 적용
+// - create: docName, dir(폴더), parentId | parentPath | parentRef, ref(이후 작업에서 참조할 임시 이름)
+// - rename: docId | path | ref, newName
+// - move:   docId | path | ref, newParentId | newParentPath | newParentRef (null, "/"이면 root)
+// - delete: docId | path | ref (폴더면 하위 항목 포함)
+// 앞선 작업의 결과를 반영한 상태에서 다음 작업을 검증하며, 하나라도 실패하면 아무것도 적용하지 않음
+
+const MAX_BATCH_OPERATIONS = 100;
+
+const BATCH_OP_PERMISSIONS = {
+  create: PERMISSION.CREATE_DOC,
+  rename: PERMISSION.EDIT_DOC,
+  move: PERMISSION.EDIT_DOC,
+  delete: PERMISSION.DELETE_DOC,
+};
 
-  // channelId 없으면 현재 채널에서 퇴장
-  const targetChannelId = channelId || ws.currentChannel;
+// 작업 목록 검증 및 최종 변경 내용 계산 (DB 변경 없음)
+// documents: 채널의 삭제되지 않은 문서 전체, newIds: create 작업 순서대로 발급한 ID
+function planDocBatch(documents, operations, { userId, role, newIds }) {
+  const docs = new Map(documents.map((d) => [d.id, { ...d }]));
+  const folders = new Map([...docs.values()].filter((d) => d.name === ".option").map((d) => [d.id, d]));
+  const original = new Map(documents.map((d) => [d.id, d]));
+  const refs = new Map();
+  const createdIds = [];
+  const deleted = []; // { id, deletedWith, parentId }
+  const results = [];
+  let nextNewId = 0;
+
+  const rootMarkerId = getRootMarkerId(folders);
+  const isRootParent = (parentId) => parentId === null || parentId === rootMarkerId;
+  const childrenOf = (parentId) => [...docs.values()].filter((d) => d.parentId === parentId);
+  const descendantsOf = (folderId) => {
+    const result = [];
+    const stack = [folderId];
+    while (stack.length > 0) {
+      childrenOf(stack.pop()).forEach((child) => {
+        result.push(child);
+        if (child.name === ".option") stack.push(child.id);
+      });
+    }
+    return result;
+  };
+  const hasDuplicate = (parentId, name, dir, excludeId) =>
+    [...docs.values()].some(
+      (d) => d.id !== excludeId && d.parentId === parentId && d.name === name && d.dir === dir,
+    );
+  const canAccess = (folderId, action) => checkFolderAccess(folders, folderId, action, userId, role);
+
+  const findByPath = (path) => {
+    const parsed = parseDocPath(path);
+    if (!parsed) return undefined;
+    if (parsed.segments.length === 0) return rootMarkerId;
+    const walked = walkFolderPath(folders, parsed.isDirectory ? parsed.segments : parsed.segments.slice(0, -1));
+    if (walked.missing.length > 0) return null;
+    if (parsed.isDirectory) return walked.parentId;
+    const leaf = parsed.segments[parsed.segments.length - 1];
+    const doc = [...docs.values()].find(
+      (d) =>
+        d.name === leaf &&
+        (walked.parentId === null ? isRootParent(d.parentId) : d.parentId === walked.parentId),
+    );
+    if (doc) return doc.id;
+    const folder = walkFolderPath(folders, parsed.segments);
+    return folder.missing.length === 0 ? folder.parentId : null;
+  };
+
+  // 대상 문서 (열람 불가면 없는 문서로 취급)
+  const resolveTarget = (op) => {
+    let id = null;
+    if (op.ref !== undefined) id = refs.get(op.ref) ?? null;
+    else if (typeof op.docId === "string") id = op.docId;
+    else if (op.path !== undefined) {
+      id = findByPath(op.path);
+      if (id === undefined) return { error: ["경로가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST] };
+    } else return { error: ["대상 문서(docId, path 또는 ref)를 입력해주세요.", ERROR_CODES.INVALID_REQUEST] };
+
+    const doc = id ? docs.get(id) : null;
+    if (!doc || !canAccess(getAclFolderId(doc), "read")) {
+      return { error: ["문서가 존재하지 않습니다.", ERROR_CODES.DOC_NOT_FOUND] };
+    }
+    if (isRootMarker(doc)) {
+      return { error: ["최상위 디렉토리는 변경할 수 없습니다.", ERROR_CODES.ROOT_DIRECTORY] };
+    }
+    if (!canAccess(doc.parentId, "manage")) {
+      return { error: ["해당 폴더의 항목을 변경할 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED] };
+    }
+    return { doc };
+  };
+
+  // 부모 폴더 (root면 null)
+  const resolveParent = (op, idKey, pathKey, refKey) => {
+    let parentId = null;
+    if (op[refKey] !== undefined) {
+      parentId = refs.get(op[refKey]) ?? undefined;
+    } else if (op[pathKey] !== undefined) {
+      const parsed = parseDocPath(op[pathKey]);
+      if (!parsed) return { error: ["경로가 올바르지 않습니다.", ERROR_CODES.INVALID_REQUEST] };
+      const walked = walkFolderPath(folders, parsed.segments);
+      parentId = walked.missing.length === 0 ? walked.parentId : undefined;
+    } else if (op[idKey] !== undefined && op[idKey] !== null) {
+      parentId = typeof op[idKey] === "string" ? op[idKey] : undefined;
+    }
 
-  if (!targetChannelId) {
-    return sendSystemMessage(ws, "퇴장할 채널이 없습니다.");
-  }
+    if (parentId === null) {
+      return canAccess(null, "manage")
+        ? { parentId: null, parent: null }
+        : { error: ["해당 폴더에 대한 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED] };
+    }
+    const parent = parentId ? folders.get(parentId) : null;
+    if (!parent || !canAccess(parentId, "read")) {
+      return { error: ["부모 폴더가 존재하지 않습니다.", ERROR_CODES.PARENT_NOT_FOUND] };
+    }
+    if (!canAccess(parentId, "manage")) {
+      return { error: ["해당 폴더에 대한 권한이 없습니다.", ERROR_CODES.PERMISSION_DENIED] };
+    }
+    return { parentId, parent };
+  };
+
+  const validateName = (name, label) => {
+    if (!name || typeof name !== "string") return [`${label}을 입력해주세요.`, ERROR_CODES.INVALID_REQUEST];
+    if (name.length > 100) return [`${label}은 100자 이하로 입력해주세요.`, ERROR_CODES.INVALID_REQUEST];
+    if (isInvalidPathSegment(name)) {
+      return ["이름에 '/'를 포함하거나 '.', '..'을 사용할 수 없습니다.", ERROR_CODES.INVALID_REQUEST];
+    }
+    return null;
+  };
+
+  // 하위 항목 depth를 부모 기준으로 다시 계산
+  const updateSubtreeDepth = (folderId) => {
+    const folder = docs.get(folderId);
+    childrenOf(folderId).forEach((child) => {
+      child.depth = folder.depth + 1;
+      if (child.name === ".option") updateSubtreeDepth(child.id);
+    });
+  };
 
-  // 문서 열람 중이면 먼저 문서에서 퇴장
-  if (ws.currentDoc) {
-    const docId = ws.currentDoc;
-    removeFromDoc(docId, ws);
+  for (let index = 0; index < operations.length; index++) {
+    const op = operations[index];
+    const fail = ([message, code]) => ({ error: { index, op: op?.op, message, code } });
+    if (!op || typeof op !== "object" || !Object.hasOwn(BATCH_OP_PERMISSIONS, op.op)) {
+      return fail(["지원하지 않는 작업입니다.", ERROR_CODES.INVALID_REQUEST]);
+    }
 
-    // 문서 열람 유저들에게 퇴장 알림
-    broadcastToDoc(docId, "userLeftDoc", {
-      time: Date.now(),
-      docId: docId,
-      userId: userId,
-      email: ws.user.email,
-    });
-  }
+    if (op.op === "create") {
+      const isDirectory = op.docName === ".option";
+      const nameError = isDirectory ? validateName(op.dir, "디렉토리명") : validateName(op.docName, "문서명");
+      if (nameError) return fail(nameError);
+      if (op.ref !== undefined && (typeof op.ref !== "string" || op.ref.length === 0 || refs.has(op.ref))) {
+        return fail(["ref가 올바르지 않거나 이미 사용 중입니다.", ERROR_CODES.INVALID_REQUEST]);
+      }
 
-  // 채널에서 퇴장
-  removeFromChannel(targetChannelId, ws);
+      const target = resolveParent(op, "parentId", "parentPath", "parentRef");
+      if (target.error) return fail(target.error);
 
-  // 채널 내 다른 유저들에게 퇴장 알림
-  broadcastToChannel(targetChannelId, "userLeft", {
-    time: Date.now(),
-    channelId: targetChannelId,
-    userId: userId,
-    email: ws.user.email,
-  });
+      const depth = target.parent ? target.parent.depth + 1 : 1;
+      if (depth > MAX_DOC_DEPTH) {
+        return fail([`폴더는 ${MAX_DOC_DEPTH}단계까지만 만들 수 있습니다.`, ERROR_CODES.MAX_DEPTH_EXCEEDED]);
+      }
+      const dir = isDirectory ? op.dir : target.parent ? target.parent.dir : "root";
+      if (hasDuplicate(target.parentId, op.docName, dir, null)) {
+        return fail([`같은 경로에 '${isDirectory ? op.dir : op.docName}'이(가) 이미 존재합니다.`, ERROR_CODES.DUPLICATE_NAME]);
+      }
 
-  safeSend(ws, {
-    event: "channelLeft",
-    data: {
-      time: Date.now(),
-      channelId: targetChannelId,
-      message: "채널에서 퇴장했습니다.",
-    },
+      const id = newIds[nextNewId++];
+      const doc = { id, name: op.docName, dir, parentId: target.parentId, depth, acl: null };
+      docs.set(id, doc);
+      if (isDirectory) folders.set(id, doc);
+      if (op.ref !== undefined) refs.set(op.ref, id);
+      createdIds.push(id);
+      results.push({ index, op: op.op, docId: id, ref: op.ref ?? null });
+      continue;
+    }
+
+    const target = resolveTarget(op);
+    if (target.error) return fail(target.error);
+    const doc = target.doc;
+    const isDirectory = doc.name === ".option";
+
+    if (op.op === "rename") {
+      const nameError = validateName(op.newName, "문서명");
+      if (nameError) return fail(nameError);
+      const name = isDirectory ? ".option" : op.newName;
+      const dir = isDirectory ? op.newName : doc.dir;
+      if (hasDuplicate(doc.parentId, name, dir, doc.id)) {
+        return fail([`같은 경로에 '${op.newName}'이(가) 이미 존재합니다.`, ERROR_CODES.DUPLICATE_NAME]);
+      }
+      doc.name = name;
+      doc.dir = dir;
+    } else if (op.op === "move") {
+      if (op.newParentId === undefined && op.newParentPath === undefined && op.newParentRef === undefined) {
+        return fail(["이동할 폴더를 입력해주세요.", ERROR_CODES.INVALID_REQUEST]);
+      }
+      const parent = resolveParent(op, "newParentId", "newParentPath", "newParentRef");
+      if (parent.error) return fail(parent.error);
+      const parentId = isRootParent(parent.parentId) && isRootParent(doc.parentId) ? doc.parentId : parent.parentId;
+
+      if (isDirectory && parentId !== null && isFolderInPath(folders, parentId, doc.id)) {
+        return fail(["자기 자신 또는 하위 폴더로 이동할 수 없습니다.", ERROR_CODES.INVALID_MOVE]);
+      }
+      const depth = parent.parent ? parent.parent.depth + 1 : 1;
+      const height = isDirectory
+        ? Math.max(0, ...descendantsOf(doc.id).map((d) => d.depth - doc.depth))
+        : 0;
+      if (depth + height > MAX_DOC_DEPTH) {
+        return fail([`폴더는 ${MAX_DOC_DEPTH}단계까지만 만들 수 있습니다.`, ERROR_CODES.MAX_DEPTH_EXCEEDED]);
+      }
+      const dir = isDirectory ? doc.dir : parent.parent ? parent.parent.dir : "root";
+      if (hasDuplicate(parentId, doc.name, dir, doc.id)) {
+        return fail([`이동할 폴더에 같은 이름의 항목이 이미 존재합니다.`, ERROR_CODES.DUPLICATE_NAME]);
+      }
+      if (parentId !== doc.parentId) {
+        doc.parentId = parentId;
+        doc.depth = depth;
+        doc.dir = dir;
+        if (isDirectory) updateSubtreeDepth(doc.id);
+      }
+    } else if (op.op === "delete") {
+      const subtree = [doc, ...(isDirectory ? descendantsOf(doc.id) : [])];
+      const subtreeIds = new Set(subtree.map((d) => d.id));
+      subtree.forEach((d) => {
+        docs.delete(d.id);
+        folders.delete(d.id);
+        if (!original.has(d.id)) return;
+        // 삭제되는 문서는 이동/이름 변경이 적용되지 않으므로 DB상 원래 위치 기준으로 묶음의 최상위 결정
+        let top = original.get(d.id);
+        while (top.parentId && subtreeIds.has(top.parentId) && original.has(top.parentId)) {
+          top = original.get(top.parentId);
+        }
+        deleted.push({ id: d.id, deletedWith: top.id, parentId: top.parentId });
+      });
+    }
+
+    results.push({ index, op: op.op, docId: doc.id, ref: op.ref ?? null });
+  }
+
+  // 최종 상태와 원래 상태 비교
+  const created = createdIds.filter((id) => docs.has(id)).map((id) => docs.get(id));
+  const updated = [];
+  docs.forEach((doc, id) => {
+    const before = original.get(id);
+    if (!before) return;
+    if (
+      before.name !== doc.name ||
+      before.dir !== doc.dir ||
+      before.parentId !== doc.parentId ||
+      before.depth !== doc.depth
+    ) {
+      updated.push({ before, after: doc });
+    }
   });
 
-  console.log(`채널 퇴장: ${targetChannelId} - ${userId}`);
+  return { plan: { created, updated, deleted, results, tree: folders } };
 }
 
-// === 문서 열람 입장/퇴장 핸들러 ===
-
-// 문서 열람 시작 (입장)
-async function handleEnterDoc(ws, data) {
-  const { channelId, docId } = data;
+async function handleBatchDocs(ws, data) {
+  const { channelId, operations } = data;
   const userId = ws.user.id;
 
   if (!channelId || typeof channelId !== "string") {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
-  if (!docId || typeof docId !== "string") {
-    return sendSystemMessage(ws, "문서 ID를 입력해주세요.");
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return sendSystemMessage(ws, "작업 목록을 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
-
-  // 채널에 입장하지 않은 상태면 먼저 채널 입장 필요
-  if (ws.currentChannel !== channelId) {
-    return sendSystemMessage(ws, "먼저 해당 채널에 입장해주세요.");
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return sendSystemMessage(
+      ws,
+      `한 번에 ${MAX_BATCH_OPERATIONS}개 이하의 작업만 처리할 수 있습니다.`,
+      ERROR_CODES.INVALID_REQUEST,
+    );
   }
 
   try {
-    // 이미 다른 문서를 열람 중이면 먼저 퇴장
-    if (ws.currentDoc && ws.currentDoc !== docId) {
-      const prevDocId = ws.currentDoc;
-      removeFromDoc(prevDocId, ws);
-
-      // 이전 문서 열람 유저들에게 퇴장 알림
-      broadcastToDoc(prevDocId, "userLeftDoc", {
-        time: Date.now(),
-        docId: prevDocId,
-        userId: userId,
-        email: ws.user.email,
+    // 채널 존재 여부 및 멤버십 확인
+    let channel;
+    try {
+      channel = await prisma.channelData.findFirst({
+        where: { id: channelId, status: 0 },
+        include: {
+          members: {
+            where: { userId: userId, status: 0 },
+            select: { permission: true },
+          },
+        },
       });
-
-      // 마지막 유저 퇴장 시 동기화 체크
-      onDocDisconnect(prevDocId);
+    } catch (dbError) {
+      logError("DB_CHANNEL_FIND", dbError);
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
-    // Redis 캐시에서 문서 조회 (없으면 DB에서 로드)
-    let document = await getDocFromCache(docId);
-
-    if (!document) {
-      // DB에서 문서 조회 후 캐시에 로드
-      document = await loadDocToCache(docId);
+    if (!channel) {
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
     }
 
-    // 문서가 없거나 채널 불일치 또는 삭제된 경우
-    if (!document || document.channelId !== channelId) {
-      return sendSystemMessage(ws, "문서가 존재하지 않습니다.");
+    const membership = channel.members[0];
+    if (!membership) {
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
     }
 
-    if (document.status === DOC_STATUS.DELETED) {
-      return sendSystemMessage(ws, "삭제된 문서입니다.");
+    // 포함된 작업 종류별 권한 확인
+    const opTypes = new Set(operations.map((op) => op?.op));
+    for (const opType of opTypes) {
+      const action = BATCH_OP_PERMISSIONS[opType];
+      if (action !== undefined && !hasPermission(membership.permission, action)) {
+        return sendSystemMessage(ws, `'${opType}' 작업 권한이 없습니다.`, ERROR_CODES.PERMISSION_DENIED);
+      }
     }
 
-    // 문서에 입장
-    addToDoc(docId, ws);
+    let documents;
+    try {
+      documents = await prisma.documentData.findMany({
+        where: { channelId: channelId, status: DOC_STATUS.NORMAL },
+        select: { id: true, name: true, dir: true, parentId: true, depth: true, acl: true },
+      });
+    } catch (dbError) {
+      logError("DB_DOC_LIST", dbError);
+      return sendSystemMessage(ws, "문서 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+    }
 
-    // 문서 열람 중인 다른 유저들에게 입장 알림
-    broadcastToDoc(
-      docId,
-      "userEnteredDoc",
-      {
-        time: Date.now(),
-        docId: docId,
-        userId: userId,
-        email: ws.user.email,
-      },
-      ws,
-    );
+    const newIds = [];
+    for (const op of operations) {
+      if (op?.op === "create") newIds.push(await generateUniqueId("documentData"));
+    }
 
-    // 채널 내 유저들에게도 상태 변경 알림 (누군가가 문서를 열람 시작함)
-    broadcastToChannel(
-      channelId,
-      "userDocStatusChanged",
-      {
-        time: Date.now(),
-        channelId: channelId,
-        userId: userId,
-        email: ws.user.email,
-        docId: docId,
-        docName: document.name,
-        status: "viewing",
-      },
-      ws,
-    );
+    const { plan, error } = planDocBatch(documents, operations, {
+      userId,
+      role: membership.permission,
+      newIds,
+    });
+    if (error) {
+      return sendSystemMessage(ws, `${error.index + 1}번째 작업(${error.op}) 실패: ${error.message}`, error.code);
+    }
 
-    // 현재 문서 열람 유저 목록
-    const viewingUsers = getDocUsers(docId);
+    const { created, updated, deleted } = plan;
+    const deletedIds = deleted.map((d) => d.id);
 
-    safeSend(ws, {
-      event: "docEntered",
-      data: {
-        time: Date.now(),
-        docId: docId,
-        channelId: channelId,
-        docName: document.name,
-        dir: document.dir,
-        parentId: document.parentId,
-        depth: document.depth,
-        isDirectory: document.name === ".option",
-        content: document.content,
-        status: document.status,
-        statusText:
-          document.status === DOC_STATUS.NORMAL
-            ? "normal"
-            : document.status === DOC_STATUS.DELETED
-              ? "deleted"
-              : "locked",
-        viewingUsers: viewingUsers,
-        message: `문서 '${document.name}'을 열람합니다.`,
-      },
-    });
+    // 삭제할 문서 중 캐시에 있는 문서는 잠근 뒤 편집 내용을 DB에 반영 (복원 시 최신 내용 유지)
+    // 적용까지 끝나지 않으면(잠금 획득 실패 포함) 잠근 문서 모두 해제
+    const lockedDocIds = [];
+    let applied = false;
+    try {
+      for (const id of deletedIds) {
+        if (await getDocFromCache(id)) {
+          await lockDoc(id, "문서 삭제 중입니다.");
+          lockedDocIds.push(id);
+          if ((await getDocDirtyCount(id)) > 0) await syncDocToSupabase(id);
+        }
+      }
 
-    console.log(`문서 입장: ${document.name} (${docId}) - ${userId}`);
-  } catch (error) {
-    logError("DOC_ENTER", error);
-    sendSystemMessage(ws, "문서 열람 중 오류가 발생했습니다.");
-  }
-}
+      // 삭제 → 수정 → 생성 순서로 적용 (삭제로 비는 이름을 재사용할 수 있도록)
+      try {
+        await prisma.$transaction(async (tx) => {
+          const deletedAt = new Date();
+          const groups = new Map();
+          deleted.forEach(({ id, deletedWith }) => {
+            if (!groups.has(deletedWith)) groups.set(deletedWith, []);
+            groups.get(deletedWith).push(id);
+          });
+          for (const [deletedWith, ids] of groups) {
+            const result = await tx.documentData.updateMany({
+              where: { id: { in: ids }, status: DOC_STATUS.NORMAL },
+              data: { status: DOC_STATUS.DELETED, deletedAt, deletedBy: userId, deletedWith },
+            });
+            if (result.count !== ids.length) throw new Error("DOC_CHANGED");
+          }
 
-// 문서 열람 종료 (퇴장)
-async function handleLeaveDoc(ws, data) {
-  const { docId } = data;
-  const userId = ws.user.id;
+          for (const { after } of updated) {
+            const result = await tx.documentData.updateMany({
+              where: { id: after.id, status: DOC_STATUS.NORMAL },
+              data: { name: after.name, dir: after.dir, parentId: after.parentId, depth: after.depth },
+            });
+            if (result.count === 0) throw new Error("DOC_CHANGED");
+          }
 
-  // docId 없으면 현재 문서에서 퇴장
-  const targetDocId = docId || ws.currentDoc;
+          if (created.length > 0) {
+            await tx.documentData.createMany({
+              data: created.map((doc) => ({
+                id: doc.id,
+                channelId: channelId,
+                name: doc.name,
+                dir: doc.dir,
+                parentId: doc.parentId,
+                depth: doc.depth,
+                content: "",
+                status: DOC_STATUS.NORMAL,
+                createdBy: userId,
+              })),
+            });
+          }
+        });
+        applied = true;
+      } catch (dbError) {
+        if (dbError.message === "DOC_CHANGED") {
+          return sendSystemMessage(ws, "처리 중 문서가 변경되었습니다. 다시 시도해주세요.", ERROR_CODES.DOC_NOT_FOUND);
+        }
+        logError("DB_DOC_BATCH", dbError);
+        if (dbError.code === "P2002") {
+          return sendSystemMessage(ws, "같은 경로에 동일한 이름의 항목이 이미 존재합니다.", ERROR_CODES.DUPLICATE_NAME);
+        }
+        return sendSystemMessage(ws, "일괄 작업 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
+      }
+    } finally {
+      if (!applied) await unlockDocs(lockedDocIds);
+    }
 
-  if (!targetDocId) {
-    return sendSystemMessage(ws, "퇴장할 문서가 없습니다.");
-  }
+    // 삭제된 문서 열람 유저 퇴장 + 캐시 제거
+    for (const { id, deletedWith } of deleted) {
+      evictDocViewers(id, "docDeleted", {
+        time: Date.now(),
+        docId: id,
+        deletedBy: userId,
+        deletedWith: deletedWith,
+        message: "문서가 삭제되었습니다.",
+      });
+      await deleteDocFromCache(id);
+      await clearDocDirty(id);
+    }
 
-  const channelId = ws.currentChannel;
+    // 이름/위치가 바뀐 문서를 열람 중인 유저들에게 알림
+    const describe = (doc) => ({
+      docId: doc.id,
+      name: doc.name,
+      dir: doc.dir,
+      parentId: doc.parentId,
+      depth: doc.depth,
+      path: getDocPath(plan.tree, doc),
+      isDirectory: doc.name === ".option",
+    });
+    const updatedDocs = updated.map(({ before, after }) => {
+      broadcastToDoc(after.id, "docInfoChanged", {
+        time: Date.now(),
+        docId: after.id,
+        newName: after.name,
+        newDir: after.dir,
+        newParentId: after.parentId,
+        newDepth: after.depth,
+        newPath: getDocPath(plan.tree, after),
+      });
+      return { ...describe(after), oldParentId: before.parentId, oldName: before.name, oldDir: before.dir };
+    });
 
-  // 문서에서 퇴장
-  removeFromDoc(targetDocId, ws);
+    // 위치가 바뀌면 적용되는 접근 제어도 바뀌므로 열람 중인 유저 권한 재확인
+    if (updated.some(({ before, after }) => before.parentId !== after.parentId)) {
+      await refreshDocAccess(channelId);
+    }
 
-  // 문서 열람 중인 다른 유저들에게 퇴장 알림
-  broadcastToDoc(targetDocId, "userLeftDoc", {
-    time: Date.now(),
-    docId: targetDocId,
-    userId: userId,
-    email: ws.user.email,
-  });
+    const summary = {
+      created: created.map(describe),
+      updated: updatedDocs,
+      deletedDocIds: deletedIds,
+      createdCount: created.length,
+      updatedCount: updated.length,
+      deletedCount: deletedIds.length,
+    };
 
-  // 채널 내 유저들에게도 상태 변경 알림
-  if (channelId) {
-    broadcastToChannel(
+    // 채널 내 모든 유저에게 한 번에 알림 (목록 새로고침 트리거)
+    const folderIds = new Set();
+    created.forEach((doc) => folderIds.add(doc.parentId));
+    updated.forEach(({ before, after }) => {
+      folderIds.add(getAclFolderId(before));
+      folderIds.add(after.parentId);
+    });
+    deleted.forEach(({ parentId }) => folderIds.add(parentId));
+    await broadcastDocTreeEvent(
       channelId,
-      "userDocStatusChanged",
+      [...folderIds],
+      "docListChanged",
       {
         time: Date.now(),
         channelId: channelId,
-        userId: userId,
-        email: ws.user.email,
-        docId: null,
-        docName: null,
-        status: "idle",
+        action: "batch",
+        ...summary,
+        changedBy: userId,
       },
-      ws,
+      ws, // 자신에게는 별도로 전송
     );
-  }
 
-  safeSend(ws, {
-    event: "docLeft",
-    data: {
-      time: Date.now(),
-      docId: targetDocId,
-      message: "문서 열람을 종료했습니다.",
-    },
-  });
+    const refs = {};
+    plan.results.forEach((r) => {
+      if (r.op === "create" && r.ref !== null) refs[r.ref] = r.docId;
+    });
 
-  // 마지막 유저 퇴장 시 동기화 체크
-  onDocDisconnect(targetDocId);
+    safeSend(ws, {
+      event: "docBatchApplied",
+      data: {
+        time: Date.now(),
+        channelId: channelId,
+        results: plan.results,
+        refs: refs,
+        ...summary,
+        message: `일괄 작업이 완료되었습니다. (생성 ${created.length}, 수정 ${updated.length}, 삭제 ${deletedIds.length})`,
+      },
+    });
 
-  console.log(`문서 퇴장: ${targetDocId} - ${userId}`);
+    console.log(
+      `문서 일괄 작업: ${operations.length}개 작업 in ${channelId} by ${userId} ` +
+      `(생성 ${created.length}, 수정 ${updated.length}, 삭제 ${deletedIds.length})`,
+    );
+  } catch (error) {
+    logError("DOC_BATCH", error);
+    sendSystemMessage(ws, "일괄 작업 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
+  }
 }
 
-// === 문서 수정 핸들러 (경로, 이름 변경) ===
+// === 문서 트리 점검 ===
+// 잘못된 parentId/depth 복구
+// - 부모가 없거나(삭제 포함) 폴더가 아닌 항목, 순환 경로에 있는 폴더 → root로 이동
+// - depth는 부모 경로 기준으로 재계산 (최상위 디렉토리 마커는 0)
+// - root로 옮긴 항목의 이름이 겹치면 "이름 (n)"으로 변경
 
-// parentId 기반 구조:
-// - 이름 변경 (rename): newName 지정
-//   - .option 파일: dir만 변경 (하위 항목은 parentId로 연결되어 있으므로 변경 불필요!)
-//   - 일반 문서: name만 변경
-// - 이동 (move): newParentId + newDepth 지정
-//   - parentId와 depth 변경 + 하위 항목들의 depth만 변경 (depthDelta 적용)
-async function handleUpdateDoc(ws, data) {
-  const { channelId, docId, newName, newParentId, newDepth } = data;
-  const userId = ws.user.id;
+function isRootMarker(doc) {
+  return doc.name === ".option" && doc.parentId === null && doc.depth === 0;
+}
 
-  // 필수값 검증
-  if (!channelId || typeof channelId !== "string") {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
-  }
-  if (!docId || typeof docId !== "string") {
-    return sendSystemMessage(ws, "문서 ID를 입력해주세요.");
-  }
+// 복구 계획 계산 (DB 변경 없음)
+function planDocTreeRepair(documents) {
+  const byId = new Map(documents.map((d) => [d.id, d]));
+  const parentOf = new Map();
+  const issues = new Map(); // docId → 문제 목록
+  const addIssue = (docId, issue) => {
+    if (!issues.has(docId)) issues.set(docId, []);
+    issues.get(docId).push(issue);
+  };
+
+  // 1. 부모가 없거나 폴더가 아닌 항목은 root로
+  documents.forEach((d) => {
+    let parentId = d.parentId;
+    if (parentId !== null) {
+      const parent = byId.get(parentId);
+      if (!parent) {
+        addIssue(d.id, "missingParent");
+        parentId = null;
+      } else if (parent.name !== ".option") {
+        addIssue(d.id, "parentNotFolder");
+        parentId = null;
+      }
+    }
+    parentOf.set(d.id, parentId);
+  });
 
-  // 수정할 값이 하나도 없으면
-  if (newName === undefined && newParentId === undefined && newDepth === undefined) {
-    return sendSystemMessage(ws, "수정할 항목을 입력해주세요.");
-  }
+  const childrenOf = new Map();
+  documents.forEach((d) => {
+    const parentId = parentOf.get(d.id);
+    if (parentId === null) return;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(d.id);
+  });
 
-  // 유효성 검증
-  if (newName !== undefined) {
-    if (typeof newName !== "string" || newName.length === 0) {
-      return sendSystemMessage(ws, "문서명이 올바르지 않습니다.");
+  // 2. root부터 depth 계산
+  const depthOf = new Map();
+  const assignDepths = (startId, startDepth) => {
+    const queue = [[startId, startDepth]];
+    while (queue.length > 0) {
+      const [id, depth] = queue.shift();
+      if (depthOf.has(id)) continue;
+      depthOf.set(id, depth);
+      (childrenOf.get(id) || []).forEach((childId) => queue.push([childId, depth + 1]));
     }
-    if (newName.length > 100) {
-      return sendSystemMessage(ws, "문서명은 100자 이하로 입력해주세요.");
+  };
+  documents.forEach((d) => {
+    if (parentOf.get(d.id) === null) assignDepths(d.id, isRootMarker(d) ? 0 : 1);
+  });
+
+  // 3. root에서 닿지 않는 항목 = 순환 경로 (또는 그 하위) → 순환을 끊고 root로
+  documents.forEach((d) => {
+    if (depthOf.has(d.id)) return;
+    const seen = new Set();
+    let id = d.id;
+    while (!seen.has(id)) {
+      seen.add(id);
+      id = parentOf.get(id);
     }
-  }
-  // newParentId: null 허용 (root로 이동), 문자열이면 UUID
-  if (newParentId !== undefined && newParentId !== null && typeof newParentId !== "string") {
-    return sendSystemMessage(ws, "부모 폴더 ID가 올바르지 않습니다.");
-  }
-  if (newDepth !== undefined) {
-    if (typeof newDepth !== "number" || newDepth < 0 || newDepth > 20) {
-      return sendSystemMessage(ws, "디렉토리 깊이가 올바르지 않습니다. (0~20)");
+    addIssue(id, "cycle");
+    childrenOf.set(
+      parentOf.get(id),
+      (childrenOf.get(parentOf.get(id)) || []).filter((childId) => childId !== id),
+    );
+    parentOf.set(id, null);
+    assignDepths(id, 1);
+  });
+
+  // 4. root로 옮긴 항목 이름 중복 처리
+  const rootKeys = new Set(
+    documents
+      .filter((d) => d.parentId === null && parentOf.get(d.id) === null)
+      .map((d) => `${d.name}/${d.dir}`),
+  );
+
+  const fixes = [];
+  documents.forEach((d) => {
+    const isDirectory = d.name === ".option";
+    const parentId = parentOf.get(d.id);
+    const depth = depthOf.get(d.id);
+    let name = d.name;
+    let dir = d.dir;
+
+    if (parentId !== d.parentId && parentId === null) {
+      if (!isDirectory) dir = "root";
+      const baseName = isDirectory ? d.dir : d.name;
+      for (let n = 0; n <= MAX_RESTORE_NAME_SUFFIX; n++) {
+        const candidate = getRestoreCandidateName(baseName, n, isDirectory);
+        const key = isDirectory ? `.option/${candidate}` : `${candidate}/${dir}`;
+        if (!rootKeys.has(key)) {
+          if (isDirectory) dir = candidate;
+          else name = candidate;
+          rootKeys.add(key);
+          break;
+        }
+      }
+      if (isDirectory ? dir !== d.dir : name !== d.name) addIssue(d.id, "renamed");
     }
+
+    if (depth !== d.depth) addIssue(d.id, "depthMismatch");
+    if (depth > MAX_DOC_DEPTH) addIssue(d.id, "tooDeep");
+
+    const changed = parentId !== d.parentId || depth !== d.depth || name !== d.name || dir !== d.dir;
+    if (!changed && !issues.has(d.id)) return;
+
+    fixes.push({
+      docId: d.id,
+      issues: issues.get(d.id) || [],
+      changed: changed,
+      from: { name: d.name, dir: d.dir, parentId: d.parentId, depth: d.depth },
+      to: { name, dir, parentId, depth },
+    });
+  });
+
+  return fixes;
+}
+
+// 채널 문서 트리 점검/복구 (dryRun이면 점검 결과만 반환)
+async function handleRepairDocTree(ws, data) {
+  const { channelId, dryRun = false } = data;
+  const userId = ws.user.id;
+
+  if (!channelId || typeof channelId !== "string") {
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
 
   try {
-    // 채널 존재 여부 및 멤버십 확인
     let channel;
     try {
       channel = await prisma.channelData.findFirst({
@@ -2114,236 +9525,93 @@ async function handleUpdateDoc(ws, data) {
       });
     } catch (dbError) {
       logError("DB_CHANNEL_FIND", dbError);
-      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.");
+      return sendSystemMessage(ws, "채널 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
     if (!channel) {
-      return sendSystemMessage(ws, "채널이 존재하지 않습니다.");
+      return sendSystemMessage(ws, "채널이 존재하지 않습니다.", ERROR_CODES.CHANNEL_NOT_FOUND);
     }
 
     const membership = channel.members[0];
     if (!membership) {
-      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.");
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
     }
 
-    if (membership.permission !== 0) {
-      return sendSystemMessage(ws, "문서 수정 권한이 없습니다.");
+    if (!requirePermission(ws, membership.permission, PERMISSION.REPAIR_DOC_TREE, "문서 트리 복구 권한이 없습니다.")) {
+      return;
     }
 
-    // 문서 존재 여부 확인
-    let document;
+    let documents;
     try {
-      document = await prisma.documentData.findFirst({
-        where: {
-          id: docId,
-          channelId: channelId,
-          status: 0,
-        },
+      documents = await prisma.documentData.findMany({
+        where: { channelId: channelId, status: DOC_STATUS.NORMAL },
+        select: { id: true, name: true, dir: true, parentId: true, depth: true },
+        orderBy: [{ depth: "asc" }, { createdAt: "asc" }],
       });
     } catch (dbError) {
-      logError("DB_DOC_FIND", dbError);
-      return sendSystemMessage(ws, "문서 조회 중 오류가 발생했습니다.");
-    }
-
-    if (!document) {
-      return sendSystemMessage(ws, "문서가 존재하지 않습니다.");
-    }
-
-    const isOptionFile = document.name === ".option";
-    
-    // root의 .option은 수정 불가 (최상위 디렉토리)
-    if (isOptionFile && document.parentId === null && document.depth === 0) {
-      return sendSystemMessage(ws, "최상위 디렉토리는 수정할 수 없습니다.");
+      logError("DB_DOC_LIST", dbError);
+      return sendSystemMessage(ws, "문서 목록 조회 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
-    // 최종 값 계산
-    // 이름 변경: .option이면 dir 변경, 일반 문서면 name 변경
-    // 이동: parentId + depth 변경
-    const finalDir = isOptionFile && newName !== undefined ? newName : document.dir;
-    const finalParentId = newParentId !== undefined ? newParentId : document.parentId;
-    const finalDepth = newDepth !== undefined ? newDepth : document.depth;
-    
-    // 일반 문서의 이름 변경
-    const finalDocName = !isOptionFile && newName !== undefined ? newName : document.name;
-
-    // newParentId가 있으면 부모 폴더 존재 확인
-    if (finalParentId !== null && finalParentId !== document.parentId) {
-      const parentDoc = await prisma.documentData.findFirst({
-        where: {
-          id: finalParentId,
-          channelId: channelId,
-          name: ".option",
-          status: 0,
-        },
-      });
-      if (!parentDoc) {
-        return sendSystemMessage(ws, "이동할 부모 폴더가 존재하지 않습니다.");
-      }
-      // 자기 자신 또는 자신의 하위 폴더로 이동 방지
-      if (isOptionFile && finalParentId === docId) {
-        return sendSystemMessage(ws, "자기 자신의 하위로 이동할 수 없습니다.");
-      }
-    }
+    const fixes = planDocTreeRepair(documents);
+    const changes = fixes.filter((f) => f.changed);
 
-    // 중복 체크 (parentId + dir + name 기준)
-    const nameToCheck = isOptionFile ? ".option" : finalDocName;
-    if (
-      nameToCheck !== document.name ||
-      finalDir !== document.dir ||
-      finalParentId !== document.parentId
-    ) {
-      let existingDoc;
+    if (!dryRun && changes.length > 0) {
       try {
-        existingDoc = await prisma.documentData.findFirst({
-          where: {
-            channelId: channelId,
-            name: nameToCheck,
-            dir: finalDir,
-            parentId: finalParentId,
-            status: 0,
-            NOT: { id: docId },
-          },
-        });
-      } catch (dbError) {
-        logError("DB_DOC_FIND_DUP", dbError);
-        return sendSystemMessage(ws, "문서 중복 확인 중 오류가 발생했습니다.");
-      }
-
-      if (existingDoc) {
-        return sendSystemMessage(
-          ws,
-          `해당 경로에 '${isOptionFile ? finalDir : finalDocName}' 이름의 ${isOptionFile ? "폴더" : "문서"}가 이미 존재합니다.`,
+        await prisma.$transaction(
+          changes.map((f) =>
+            prisma.documentData.update({
+              where: { id: f.docId },
+              data: f.to,
+            }),
+          ),
         );
-      }
-    }
-
-    const depthDelta = finalDepth - document.depth;
-    const isMove = newParentId !== undefined || newDepth !== undefined;
-    let updatedChildDocs = [];
-
-    try {
-      await prisma.$transaction(async (tx) => {
-        // 1. 현재 문서 업데이트
-        await tx.documentData.update({
-          where: { id: docId },
-          data: {
-            name: finalDocName,
-            dir: finalDir,
-            parentId: finalParentId,
-            depth: finalDepth,
-          },
-        });
-
-        // 2. .option 파일(디렉토리)이 이동된 경우 하위 항목들의 depth만 변경
-        // 이름 변경은 하위 항목에 영향 없음! (parentId로 연결되어 있으므로)
-        if (isOptionFile && isMove && depthDelta !== 0) {
-          await updateChildrenDepthRecursive(tx, channelId, docId, depthDelta, updatedChildDocs);
+      } catch (dbError) {
+        logError("DB_DOC_TREE_REPAIR", dbError);
+        if (dbError.code === "P2002") {
+          return sendSystemMessage(ws, "복구 중 이름 충돌이 발생했습니다. 다시 시도해주세요.", ERROR_CODES.DUPLICATE_NAME);
         }
-      });
-    } catch (dbError) {
-      logError("DB_DOC_UPDATE", dbError);
-      if (dbError.code === "P2002") {
-        return sendSystemMessage(
-          ws,
-          `해당 경로에 동일한 이름의 ${isOptionFile ? "폴더" : "문서"}가 이미 존재합니다.`,
-        );
+        return sendSystemMessage(ws, "문서 트리 복구 중 데이터베이스 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
       }
-      return sendSystemMessage(
-        ws,
-        "문서 수정 중 데이터베이스 오류가 발생했습니다.",
-      );
-    }
-
-    // 변경 내용 구성
-    const changes = {};
-    if (finalDocName !== document.name) {
-      changes.name = { from: document.name, to: finalDocName };
-    }
-    if (finalDir !== document.dir) {
-      changes.dir = { from: document.dir, to: finalDir };
-    }
-    if (finalParentId !== document.parentId) {
-      changes.parentId = { from: document.parentId, to: finalParentId };
-    }
-    if (finalDepth !== document.depth) {
-      changes.depth = { from: document.depth, to: finalDepth };
-    }
-    if (updatedChildDocs.length > 0) {
-      changes.childrenUpdated = updatedChildDocs.length;
-    }
 
-    // 채널 내 모든 유저에게 문서 변경 알림
-    broadcastToChannel(
-      channelId,
-      "docUpdated",
-      {
+      broadcastToChannel(channelId, "docListChanged", {
         time: Date.now(),
-        docId: docId,
         channelId: channelId,
-        isDirectory: isOptionFile,
-        oldName: document.name,
-        oldDir: document.dir,
-        oldParentId: document.parentId,
-        oldDepth: document.depth,
-        newName: finalDocName,
-        newDir: finalDir,
-        newParentId: finalParentId,
-        newDepth: finalDepth,
-        changes: changes,
-        updatedChildren: updatedChildDocs,
-        updatedBy: userId,
-      },
-      ws,
-    );
+        action: "repaired",
+        repairedCount: changes.length,
+        repairedBy: userId,
+      });
 
-    // 문서 열람 중인 유저들에게도 알림
-    broadcastToDoc(
-      docId,
-      "docInfoChanged",
-      {
-        time: Date.now(),
-        docId: docId,
-        newName: finalDocName,
-        newDir: finalDir,
-        newParentId: finalParentId,
-        newDepth: finalDepth,
-        changes: changes,
-      },
-      ws,
-    );
+      // 부모가 바뀐 항목은 적용되는 접근 제어도 바뀜
+      if (changes.some((f) => f.to.parentId !== f.from.parentId)) {
+        await refreshDocAccess(channelId);
+      }
+    }
 
     safeSend(ws, {
-      event: "docUpdated",
+      event: "docTreeRepaired",
       data: {
         time: Date.now(),
-        docId: docId,
         channelId: channelId,
-        isDirectory: isOptionFile,
-        oldName: document.name,
-        oldDir: document.dir,
-        oldParentId: document.parentId,
-        oldDepth: document.depth,
-        newName: finalDocName,
-        newDir: finalDir,
-        newParentId: finalParentId,
-        newDepth: finalDepth,
-        changes: changes,
-        updatedChildren: updatedChildDocs,
-        message: updatedChildDocs.length > 0 
-          ? `${isOptionFile ? "폴더" : "문서"}가 수정되었습니다. (하위 ${updatedChildDocs.length}개 항목 업데이트)`
-          : `${isOptionFile ? "폴더" : "문서"}가 수정되었습니다.`,
+        dryRun: !!dryRun,
+        checkedCount: documents.length,
+        repairedCount: dryRun ? 0 : changes.length,
+        fixes: fixes,
+        message:
+          changes.length === 0
+            ? "문서 트리에 문제가 없습니다."
+            : dryRun
+              ? `${changes.length}개 항목에 복구가 필요합니다.`
+              : `${changes.length}개 항목을 복구했습니다.`,
       },
     });
 
-    const displayName = isOptionFile ? finalDir : finalDocName;
-    const oldDisplayName = isOptionFile ? document.dir : document.name;
-    console.log(
-      `${isOptionFile ? "폴더" : "문서"} 수정: ${oldDisplayName} → ${displayName} (${docId}) in ${channelId} by ${userId}` +
-      (updatedChildDocs.length > 0 ? ` (하위 ${updatedChildDocs.length}개 항목 depth 업데이트)` : ""),
-    );
+    if (!dryRun && changes.length > 0) {
+      console.log(`문서 트리 복구: ${channelId} - ${changes.length}개 항목 by ${userId}`);
+    }
   } catch (error) {
-    logError("DOC_UPDATE", error);
-    sendSystemMessage(ws, "문서 수정 중 오류가 발생했습니다.");
+    logError("DOC_TREE_REPAIR", error);
+    sendSystemMessage(ws, "문서 트리 복구 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
@@ -2358,7 +9626,7 @@ async function handleGetChannelUsers(ws, data) {
   const targetChannelId = channelId || ws.currentChannel;
 
   if (!targetChannelId) {
-    return sendSystemMessage(ws, "채널 ID를 입력해주세요.");
+    return sendSystemMessage(ws, "채널 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
 
   try {
@@ -2375,14 +9643,19 @@ async function handleGetChannelUsers(ws, data) {
       });
     } catch (dbError) {
       logError("DB_MEMBER_FIND", dbError);
-      return sendSystemMessage(ws, "멤버 조회 중 오류가 발생했습니다.");
+      return sendSystemMessage(ws, "멤버 조회 중 오류가 발생했습니다.", ERROR_CODES.DB_ERROR);
     }
 
     if (!membership || membership.status !== 0) {
-      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.");
+      return sendSystemMessage(ws, "해당 채널에 가입되어 있지 않습니다.", ERROR_CODES.NOT_A_MEMBER);
     }
 
-    const onlineUsers = getChannelUsers(targetChannelId);
+    const onlineUsers = await filterVisibleCurrentDocs(
+      targetChannelId,
+      await getChannelUsers(targetChannelId),
+      userId,
+      membership.permission,
+    );
 
     safeSend(ws, {
       event: "channelUsers",
@@ -2394,7 +9667,7 @@ async function handleGetChannelUsers(ws, data) {
     });
   } catch (error) {
     logError("GET_CHANNEL_USERS", error);
-    sendSystemMessage(ws, "유저 목록 조회 중 오류가 발생했습니다.");
+    sendSystemMessage(ws, "유저 목록 조회 중 오류가 발생했습니다.", ERROR_CODES.INTERNAL_ERROR);
   }
 }
 
@@ -2407,15 +9680,15 @@ async function handleGetDocUsers(ws, data) {
   const targetDocId = docId || ws.currentDoc;
 
   if (!targetDocId) {
-    return sendSystemMessage(ws, "문서 ID를 입력해주세요.");
+    return sendSystemMessage(ws, "문서 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
 
   // 채널 입장 상태 확인
   if (!ws.currentChannel) {
-    return sendSystemMessage(ws, "먼저 채널에 입장해주세요.");
+    return sendSystemMessage(ws, "먼저 채널에 입장해주세요.", ERROR_CODES.NOT_IN_CHANNEL);
   }
 
-  const viewingUsers = getDocUsers(targetDocId);
+  const viewingUsers = await getDocUsers(targetDocId);
 
   safeSend(ws, {
     event: "docUsers",
@@ -2436,13 +9709,13 @@ async function handleGetDocStatus(ws, data) {
   const targetDocId = docId || ws.currentDoc;
 
   if (!targetDocId) {
-    return sendSystemMessage(ws, "문서 ID를 입력해주세요.");
+    return sendSystemMessage(ws, "문서 ID를 입력해주세요.", ERROR_CODES.INVALID_REQUEST);
   }
 
   const doc = await getDocFromCache(targetDocId);
 
   if (!doc) {
-    return sendSystemMessage(ws, "문서가 존재하지 않거나 캐시되지 않았습니다.");
+    return sendSystemMessage(ws, "문서가 존재하지 않거나 캐시되지 않았습니다.", ERROR_CODES.DOC_NOT_FOUND);
   }
 
   safeSend(ws, {
@@ -2482,6 +9755,22 @@ async function gracefulShutdown(signal) {
     console.log("HTTP 서버 종료됨");
   });
 
+  // 미반영 문서 변경사항 저장 (Redis 종료 전)
+  // 진행 중인 주기 동기화가 있으면 끝난 뒤, 그 사이 쌓인 변경까지 다시 반영
+  stopDocFlusher();
+  stopDocCacheSweeper();
+  stopTrashPurger();
+  stopSessionPurger();
+  try {
+    if (dirtyDocsFlush) await dirtyDocsFlush;
+    await flushDirtyDocs();
+  } catch (e) {
+    logError("DOC_FLUSH_SHUTDOWN", e);
+  }
+
+  // 클러스터에서 이탈 (presence 정리)
+  await leaveCluster();
+
   // Redis 연결 종료
   try {
     if (redis.isOpen) {